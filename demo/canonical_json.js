@@ -0,0 +1,52 @@
+/**
+ * SpaceProof Canonical JSON
+ *
+ * RFC 8785 (JCS) style serialization for hashing:
+ * - Object keys sorted by UTF-16 code units, at every depth
+ * - Numbers in shortest round-trip form (-0 → 0), no NaN/Infinity
+ * - Undefined members dropped, no insignificant whitespace
+ *
+ * Two services that agree on the data agree on the bytes, so a receipt
+ * re-serialized elsewhere hashes identically.
+ */
+
+const CanonicalJSON = {
+  /**
+   * Serialize a value canonically
+   */
+  stringify(value) {
+    if (value === null) return 'null';
+    if (value !== undefined && typeof value.toJSON === 'function') {
+      return this.stringify(value.toJSON());
+    }
+
+    switch (typeof value) {
+      case 'boolean':
+        return value ? 'true' : 'false';
+      case 'number':
+        if (!Number.isFinite(value)) {
+          throw new Error(`Canonical JSON: non-finite number ${value}`);
+        }
+        // ECMAScript Number serialization is the JCS number format
+        return JSON.stringify(value);
+      case 'string':
+        return JSON.stringify(value);
+      case 'object':
+        if (Array.isArray(value)) {
+          return '[' + value.map(item => item === undefined ? 'null' : this.stringify(item)).join(',') + ']';
+        }
+        return '{' + Object.keys(value)
+          .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+          .sort()
+          .map(key => JSON.stringify(key) + ':' + this.stringify(value[key]))
+          .join(',') + '}';
+      default:
+        throw new Error(`Canonical JSON: unsupported type ${typeof value}`);
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CanonicalJSON;
+}
@@ -0,0 +1,244 @@
+/**
+ * SpaceProof CBOR
+ *
+ * RFC 8949 encoder/decoder for JSON-shaped data (compact ledger downlink):
+ * - Deterministic: shortest-form integers and lengths, map keys sorted by
+ *   their encoded bytes, definite lengths only
+ * - Integral safe numbers → major types 0/1; others → float32 when exact, else float64
+ * - Uint8Array ↔ byte strings; undefined members dropped as in canonical JSON
+ *
+ * Tags, indefinite lengths and simple values other than false/true/null are rejected.
+ */
+
+// Sibling modules are shared globals in the browser (see index.html); load them in Node
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.CryptoHash = globalThis.CryptoHash || require('./crypto_hash.js');
+}
+
+const CBOR = {
+  // Major types
+  UNSIGNED: 0,
+  NEGATIVE: 1,
+  BYTES: 2,
+  TEXT: 3,
+  ARRAY: 4,
+  MAP: 5,
+  SIMPLE: 7,
+
+  /**
+   * Encode a value; returns a Uint8Array
+   */
+  encode(value) {
+    const chunks = [];
+    this.encodeInto(value, chunks);
+    const out = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return out;
+  },
+
+  /**
+   * Initial byte plus shortest-form argument
+   */
+  head(major, n) {
+    const type = major << 5;
+    if (n < 24) return Uint8Array.of(type | n);
+    if (n < 0x100) return Uint8Array.of(type | 24, n);
+    if (n < 0x10000) return Uint8Array.of(type | 25, n >> 8, n & 0xff);
+    if (n < 0x100000000) return Uint8Array.of(type | 26, n >>> 24, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff);
+
+    const out = new Uint8Array(9);
+    out[0] = type | 27;
+    const view = new DataView(out.buffer);
+    view.setUint32(1, Math.floor(n / 0x100000000));
+    view.setUint32(5, n >>> 0);
+    return out;
+  },
+
+  encodeInto(value, chunks) {
+    if (value === null || value === undefined) {
+      chunks.push(Uint8Array.of(0xf6));
+      return;
+    }
+    if (value instanceof Uint8Array) {
+      chunks.push(this.head(this.BYTES, value.length), value);
+      return;
+    }
+
+    switch (typeof value) {
+      case 'boolean':
+        chunks.push(Uint8Array.of(value ? 0xf5 : 0xf4));
+        return;
+      case 'number':
+        chunks.push(this.encodeNumber(value));
+        return;
+      case 'string': {
+        const bytes = CryptoHash.toBytes(value);
+        chunks.push(this.head(this.TEXT, bytes.length), bytes);
+        return;
+      }
+      case 'object': {
+        if (Array.isArray(value)) {
+          chunks.push(this.head(this.ARRAY, value.length));
+          for (const item of value) this.encodeInto(item, chunks);
+          return;
+        }
+        const entries = Object.keys(value)
+          .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+          .map(key => ({ key: this.encode(key), value: value[key] }))
+          .sort((a, b) => this.compareBytes(a.key, b.key));
+        chunks.push(this.head(this.MAP, entries.length));
+        for (const entry of entries) {
+          chunks.push(entry.key);
+          this.encodeInto(entry.value, chunks);
+        }
+        return;
+      }
+      default:
+        throw new Error(`CBOR: unsupported type ${typeof value}`);
+    }
+  },
+
+  encodeNumber(value) {
+    if (!Number.isFinite(value)) {
+      throw new Error(`CBOR: non-finite number ${value}`);
+    }
+    if (Number.isSafeInteger(value)) {
+      return value >= 0 ? this.head(this.UNSIGNED, value) : this.head(this.NEGATIVE, -1 - value);
+    }
+    if (Math.fround(value) === value) {
+      const out = new Uint8Array(5);
+      out[0] = 0xfa;
+      new DataView(out.buffer).setFloat32(1, value);
+      return out;
+    }
+    const out = new Uint8Array(9);
+    out[0] = 0xfb;
+    new DataView(out.buffer).setFloat64(1, value);
+    return out;
+  },
+
+  /**
+   * Bytewise lexicographic order (deterministic map key order)
+   */
+  compareBytes(a, b) {
+    const n = Math.min(a.length, b.length);
+    for (let i = 0; i < n; i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  },
+
+  /**
+   * Decode one data item; trailing bytes are an error
+   */
+  decode(bytes) {
+    const state = { bytes: bytes, view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), offset: 0 };
+    const value = this.decodeItem(state);
+    if (state.offset !== bytes.length) {
+      throw new Error(`CBOR: ${bytes.length - state.offset} trailing bytes`);
+    }
+    return value;
+  },
+
+  readArgument(state, info) {
+    if (info < 24) return info;
+    const { view } = state;
+    if (info === 24) return view.getUint8(this.skip(state, 1));
+    if (info === 25) return view.getUint16(this.skip(state, 2));
+    if (info === 26) return view.getUint32(this.skip(state, 4));
+    if (info === 27) {
+      const start = this.skip(state, 8);
+      const n = view.getUint32(start) * 0x100000000 + view.getUint32(start + 4);
+      if (!Number.isSafeInteger(n)) throw new Error('CBOR: integer beyond 2^53');
+      return n;
+    }
+    throw new Error(`CBOR: unsupported additional info ${info} (indefinite lengths are not accepted)`);
+  },
+
+  /**
+   * Advance past `length` bytes; returns where they start
+   */
+  skip(state, length) {
+    if (state.offset + length > state.bytes.length) throw new Error('CBOR: unexpected end of input');
+    const start = state.offset;
+    state.offset += length;
+    return start;
+  },
+
+  take(state, length) {
+    const start = this.skip(state, length);
+    return state.bytes.subarray(start, start + length);
+  },
+
+  decodeItem(state) {
+    if (state.offset >= state.bytes.length) throw new Error('CBOR: unexpected end of input');
+    const initial = state.bytes[state.offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (major === this.SIMPLE) {
+      if (info === 20) return false;
+      if (info === 21) return true;
+      if (info === 22) return null;
+      if (info === 25) return this.decodeHalf(this.take(state, 2));
+      if (info === 26) return state.view.getFloat32(this.skip(state, 4));
+      if (info === 27) return state.view.getFloat64(this.skip(state, 8));
+      throw new Error(`CBOR: unsupported simple value ${info}`);
+    }
+
+    const n = this.readArgument(state, info);
+    switch (major) {
+      case this.UNSIGNED:
+        return n;
+      case this.NEGATIVE:
+        return -1 - n;
+      case this.BYTES:
+        return Uint8Array.from(this.take(state, n));
+      case this.TEXT:
+        return this.decodeText(this.take(state, n));
+      case this.ARRAY: {
+        const out = [];
+        for (let i = 0; i < n; i++) out.push(this.decodeItem(state));
+        return out;
+      }
+      case this.MAP: {
+        const out = {};
+        for (let i = 0; i < n; i++) {
+          const key = this.decodeItem(state);
+          if (typeof key !== 'string') throw new Error('CBOR: map keys must be text strings');
+          // Own property even for "__proto__", as JSON.parse does
+          Object.defineProperty(out, key, { value: this.decodeItem(state), enumerable: true, writable: true, configurable: true });
+        }
+        return out;
+      }
+      default:
+        throw new Error(`CBOR: unsupported major type ${major} (tags are not accepted)`);
+    }
+  },
+
+  decodeHalf(bytes) {
+    const half = (bytes[0] << 8) | bytes[1];
+    const exponent = (half >> 10) & 0x1f;
+    const mantissa = half & 0x3ff;
+    const sign = half & 0x8000 ? -1 : 1;
+    if (exponent === 0) return sign * mantissa * 2 ** -24;
+    if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+    return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+  },
+
+  decodeText(bytes) {
+    if (typeof TextDecoder !== 'undefined') {
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    }
+    return decodeURIComponent(escape(String.fromCharCode(...bytes)));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CBOR;
+}
@@ -0,0 +1,386 @@
+/**
+ * SpaceProof Hash Primitives
+ *
+ * Pure-JS digests shared by the browser demo and Node:
+ * - SHA-256 (FIPS 180-4)
+ * - SHA-512 (FIPS 180-4, used by Ed25519 signatures)
+ * - BLAKE3 (default 32-byte output, unkeyed)
+ *
+ * All run synchronously so receipts can be hashed inline at emit time.
+ * Digests are returned as lowercase hex, reproducible with
+ * `sha256sum` and `b3sum`.
+ */
+
+const CryptoHash = {
+  // Known-answer vectors (FIPS 180-4 examples, BLAKE3 reference test vectors)
+  TEST_VECTORS: [
+    {
+      input: '',
+      sha256: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+      sha512: 'cf83e1357eefb8bdf1542850d66d8007d620e4050b5715dc83f4a921d36ce9ce47d0d13c5d85f2b0ff8318d2877eec2f63b931bd47417a81a538327af927da3e',
+      blake3: 'af1349b9f5f9a1a6a0404dea36dcc9499bcb25c9adc112b7cc9a93cae41f3262'
+    },
+    {
+      input: 'abc',
+      sha256: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+      sha512: 'ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f',
+      blake3: '6437b3ac38465133ffb63b75273a8db548c558465d79db03fd359c6cd5bd9d85'
+    },
+    {
+      input: 'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq',
+      sha256: '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1',
+      sha512: '204a8fc6dda82f0a0ced7beb8e08a41657c16ef468b228a8279be331a703c33596fd15c13b1b07f9aa1d3bea57789ca031ad85c7a71dd70354ec631238ca3445',
+      blake3: 'c19012cc2aaf0dc3d8e5c45a1b79114d2df42abb2a410bf54be09e891af06ff8'
+    }
+  ],
+
+  /**
+   * Encode a string as UTF-8 bytes (Uint8Array passes through)
+   */
+  toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    const str = String(data);
+    if (typeof TextEncoder !== 'undefined') {
+      return new TextEncoder().encode(str);
+    }
+    return Uint8Array.from(unescape(encodeURIComponent(str)), c => c.charCodeAt(0));
+  },
+
+  /**
+   * Lowercase hex encoding of a byte array
+   */
+  toHex(bytes) {
+    let hex = '';
+    for (let i = 0; i < bytes.length; i++) {
+      hex += bytes[i].toString(16).padStart(2, '0');
+    }
+    return hex;
+  },
+
+  /**
+   * Byte array from even-length hex
+   */
+  hexToBytes(hex) {
+    if (hex.length % 2 !== 0) throw new Error('Odd-length hex string');
+    const out = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < out.length; i++) {
+      out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return out;
+  },
+
+  /**
+   * SHA-256 digest as hex
+   */
+  sha256(data) {
+    return this.toHex(this.sha256Bytes(this.toBytes(data)));
+  },
+
+  /**
+   * SHA-512 digest as hex
+   */
+  sha512(data) {
+    return this.toHex(this.sha512Bytes(this.toBytes(data)));
+  },
+
+  /**
+   * BLAKE3 digest (32 bytes) as hex
+   */
+  blake3(data) {
+    return this.toHex(this.blake3Bytes(this.toBytes(data)));
+  },
+
+  // SHA-256 round constants
+  SHA256_K: new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ]),
+
+  // Shared initial hash values (SHA-256 H0, also the BLAKE3 IV)
+  IV: new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]),
+
+  /**
+   * SHA-256 over raw bytes
+   */
+  sha256Bytes(bytes) {
+    const K = this.SHA256_K;
+    const H = Uint32Array.from(this.IV);
+    const W = new Uint32Array(64);
+
+    // Padding: 0x80, zeros, 64-bit big-endian bit length
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const msg = new Uint8Array(paddedLength);
+    msg.set(bytes);
+    msg[bytes.length] = 0x80;
+    const view = new DataView(msg.buffer);
+    const bitLength = bytes.length * 8;
+    view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+      for (let t = 0; t < 16; t++) {
+        W[t] = view.getUint32(offset + t * 4);
+      }
+      for (let t = 16; t < 64; t++) {
+        const w15 = W[t - 15], w2 = W[t - 2];
+        const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+        const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+        W[t] = (W[t - 16] + s0 + W[t - 7] + s1) | 0;
+      }
+
+      let a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+      for (let t = 0; t < 64; t++) {
+        const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+        const ch = (e & f) ^ (~e & g);
+        const T1 = (h + S1 + ch + K[t] + W[t]) | 0;
+        const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const T2 = (S0 + maj) | 0;
+        h = g; g = f; f = e; e = (d + T1) | 0;
+        d = c; c = b; b = a; a = (T1 + T2) | 0;
+      }
+
+      H[0] += a; H[1] += b; H[2] += c; H[3] += d;
+      H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+    }
+
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    for (let i = 0; i < 8; i++) {
+      outView.setUint32(i * 4, H[i]);
+    }
+    return out;
+  },
+
+  // SHA-512 round constants and initial hash values
+  SHA512_K: [
+    '428a2f98d728ae22', '7137449123ef65cd', 'b5c0fbcfec4d3b2f', 'e9b5dba58189dbbc', '3956c25bf348b538',
+    '59f111f1b605d019', '923f82a4af194f9b', 'ab1c5ed5da6d8118', 'd807aa98a3030242', '12835b0145706fbe',
+    '243185be4ee4b28c', '550c7dc3d5ffb4e2', '72be5d74f27b896f', '80deb1fe3b1696b1', '9bdc06a725c71235',
+    'c19bf174cf692694', 'e49b69c19ef14ad2', 'efbe4786384f25e3', '0fc19dc68b8cd5b5', '240ca1cc77ac9c65',
+    '2de92c6f592b0275', '4a7484aa6ea6e483', '5cb0a9dcbd41fbd4', '76f988da831153b5', '983e5152ee66dfab',
+    'a831c66d2db43210', 'b00327c898fb213f', 'bf597fc7beef0ee4', 'c6e00bf33da88fc2', 'd5a79147930aa725',
+    '06ca6351e003826f', '142929670a0e6e70', '27b70a8546d22ffc', '2e1b21385c26c926', '4d2c6dfc5ac42aed',
+    '53380d139d95b3df', '650a73548baf63de', '766a0abb3c77b2a8', '81c2c92e47edaee6', '92722c851482353b',
+    'a2bfe8a14cf10364', 'a81a664bbc423001', 'c24b8b70d0f89791', 'c76c51a30654be30', 'd192e819d6ef5218',
+    'd69906245565a910', 'f40e35855771202a', '106aa07032bbd1b8', '19a4c116b8d2d0c8', '1e376c085141ab53',
+    '2748774cdf8eeb99', '34b0bcb5e19b48a8', '391c0cb3c5c95a63', '4ed8aa4ae3418acb', '5b9cca4f7763e373',
+    '682e6ff3d6b2b8a3', '748f82ee5defb2fc', '78a5636f43172f60', '84c87814a1f0ab72', '8cc702081a6439ec',
+    '90befffa23631e28', 'a4506cebde82bde9', 'bef9a3f7b2c67915', 'c67178f2e372532b', 'ca273eceea26619c',
+    'd186b8c721c0c207', 'eada7dd6cde0eb1e', 'f57d4f7fee6ed178', '06f067aa72176fba', '0a637dc5a2c898a6',
+    '113f9804bef90dae', '1b710b35131c471b', '28db77f523047d84', '32caab7b40c72493', '3c9ebe0a15c9bebc',
+    '431d67c49c100d4c', '4cc5d4becb3e42b6', '597f299cfc657e2a', '5fcb6fab3ad6faec', '6c44198c4a475817'
+  ].map(hex => BigInt('0x' + hex)),
+
+  SHA512_IV: [
+    '6a09e667f3bcc908', 'bb67ae8584caa73b', '3c6ef372fe94f82b', 'a54ff53a5f1d36f1',
+    '510e527fade682d1', '9b05688c2b3e6c1f', '1f83d9abfb41bd6b', '5be0cd19137e2179'
+  ].map(hex => BigInt('0x' + hex)),
+
+  /**
+   * SHA-512 over raw bytes (BigInt words; only used for short signing inputs)
+   */
+  sha512Bytes(bytes) {
+    const MASK = (1n << 64n) - 1n;
+    const rotr = (x, n) => ((x >> n) | (x << (64n - n))) & MASK;
+    const K = this.SHA512_K;
+    const H = this.SHA512_IV.slice();
+    const W = new Array(80);
+
+    // Padding: 0x80, zeros, 128-bit big-endian bit length
+    const paddedLength = Math.ceil((bytes.length + 17) / 128) * 128;
+    const msg = new Uint8Array(paddedLength);
+    msg.set(bytes);
+    msg[bytes.length] = 0x80;
+    const view = new DataView(msg.buffer);
+    view.setBigUint64(paddedLength - 8, BigInt(bytes.length) * 8n);
+
+    for (let offset = 0; offset < paddedLength; offset += 128) {
+      for (let t = 0; t < 16; t++) {
+        W[t] = view.getBigUint64(offset + t * 8);
+      }
+      for (let t = 16; t < 80; t++) {
+        const s0 = rotr(W[t - 15], 1n) ^ rotr(W[t - 15], 8n) ^ (W[t - 15] >> 7n);
+        const s1 = rotr(W[t - 2], 19n) ^ rotr(W[t - 2], 61n) ^ (W[t - 2] >> 6n);
+        W[t] = (W[t - 16] + s0 + W[t - 7] + s1) & MASK;
+      }
+
+      let [a, b, c, d, e, f, g, h] = H;
+      for (let t = 0; t < 80; t++) {
+        const S1 = rotr(e, 14n) ^ rotr(e, 18n) ^ rotr(e, 41n);
+        const ch = (e & f) ^ (~e & MASK & g);
+        const T1 = (h + S1 + ch + K[t] + W[t]) & MASK;
+        const S0 = rotr(a, 28n) ^ rotr(a, 34n) ^ rotr(a, 39n);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const T2 = (S0 + maj) & MASK;
+        h = g; g = f; f = e; e = (d + T1) & MASK;
+        d = c; c = b; b = a; a = (T1 + T2) & MASK;
+      }
+
+      [a, b, c, d, e, f, g, h].forEach((v, i) => {
+        H[i] = (H[i] + v) & MASK;
+      });
+    }
+
+    const out = new Uint8Array(64);
+    const outView = new DataView(out.buffer);
+    H.forEach((v, i) => outView.setBigUint64(i * 8, v));
+    return out;
+  },
+
+  // BLAKE3 constants
+  BLAKE3_CHUNK_LEN: 1024,
+  BLAKE3_BLOCK_LEN: 64,
+  BLAKE3_FLAGS: { CHUNK_START: 1, CHUNK_END: 2, PARENT: 4, ROOT: 8 },
+  BLAKE3_MSG_PERMUTATION: [2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8],
+
+  /**
+   * BLAKE3 compression function: returns the full 16-word state
+   */
+  blake3Compress(cv, blockWords, counter, blockLen, flags) {
+    const s = new Uint32Array(16);
+    s.set(cv, 0);
+    s.set(this.IV.subarray(0, 4), 8);
+    s[12] = counter >>> 0;
+    s[13] = Math.floor(counter / 0x100000000) >>> 0;
+    s[14] = blockLen;
+    s[15] = flags;
+
+    const g = (a, b, c, d, mx, my) => {
+      s[a] = s[a] + s[b] + mx; s[d] ^= s[a]; s[d] = (s[d] >>> 16) | (s[d] << 16);
+      s[c] = s[c] + s[d];      s[b] ^= s[c]; s[b] = (s[b] >>> 12) | (s[b] << 20);
+      s[a] = s[a] + s[b] + my; s[d] ^= s[a]; s[d] = (s[d] >>> 8) | (s[d] << 24);
+      s[c] = s[c] + s[d];      s[b] ^= s[c]; s[b] = (s[b] >>> 7) | (s[b] << 25);
+    };
+
+    let m = Uint32Array.from(blockWords);
+    for (let round = 0; round < 7; round++) {
+      g(0, 4, 8, 12, m[0], m[1]);
+      g(1, 5, 9, 13, m[2], m[3]);
+      g(2, 6, 10, 14, m[4], m[5]);
+      g(3, 7, 11, 15, m[6], m[7]);
+      g(0, 5, 10, 15, m[8], m[9]);
+      g(1, 6, 11, 12, m[10], m[11]);
+      g(2, 7, 8, 13, m[12], m[13]);
+      g(3, 4, 9, 14, m[14], m[15]);
+      if (round < 6) {
+        m = Uint32Array.from(this.BLAKE3_MSG_PERMUTATION, i => m[i]);
+      }
+    }
+
+    for (let i = 0; i < 8; i++) {
+      s[i] ^= s[i + 8];
+      s[i + 8] ^= cv[i];
+    }
+    return s;
+  },
+
+  /**
+   * Read a (zero-padded) 64-byte block as little-endian words
+   */
+  blake3BlockWords(bytes, offset, length) {
+    const block = new Uint8Array(this.BLAKE3_BLOCK_LEN);
+    block.set(bytes.subarray(offset, offset + length));
+    const view = new DataView(block.buffer);
+    const words = new Uint32Array(16);
+    for (let i = 0; i < 16; i++) {
+      words[i] = view.getUint32(i * 4, true);
+    }
+    return words;
+  },
+
+  /**
+   * BLAKE3 over raw bytes (32-byte output)
+   */
+  blake3Bytes(bytes) {
+    const F = this.BLAKE3_FLAGS;
+    const CHUNK = this.BLAKE3_CHUNK_LEN;
+    const BLOCK = this.BLAKE3_BLOCK_LEN;
+
+    // Final compression of a node, deferred so the root can set the ROOT flag
+    const chunkOutput = (chunkIndex) => {
+      const start = chunkIndex * CHUNK;
+      const end = Math.min(start + CHUNK, bytes.length);
+      const blockCount = Math.max(1, Math.ceil((end - start) / BLOCK));
+      let cv = this.IV;
+      for (let b = 0; b < blockCount; b++) {
+        const offset = start + b * BLOCK;
+        const length = Math.min(BLOCK, end - offset);
+        let flags = 0;
+        if (b === 0) flags |= F.CHUNK_START;
+        if (b === blockCount - 1) {
+          flags |= F.CHUNK_END;
+          return { cv, words: this.blake3BlockWords(bytes, offset, length), counter: chunkIndex, blockLen: length, flags };
+        }
+        cv = this.blake3Compress(cv, this.blake3BlockWords(bytes, offset, length), chunkIndex, BLOCK, flags).subarray(0, 8);
+      }
+    };
+
+    const chainingValue = (output) =>
+      this.blake3Compress(output.cv, output.words, output.counter, output.blockLen, output.flags).subarray(0, 8);
+
+    const parentOutput = (left, right) => {
+      const words = new Uint32Array(16);
+      words.set(left, 0);
+      words.set(right, 8);
+      return { cv: this.IV, words, counter: 0, blockLen: BLOCK, flags: F.PARENT };
+    };
+
+    // Chunk chaining values merged with the usual left-to-right stack
+    const chunkCount = Math.max(1, Math.ceil(bytes.length / CHUNK));
+    const stack = [];
+    let output = null;
+    for (let chunk = 0; chunk < chunkCount; chunk++) {
+      output = chunkOutput(chunk);
+      if (chunk === chunkCount - 1) break;
+      let cv = chainingValue(output);
+      let total = chunk + 1;
+      while ((total & 1) === 0) {
+        cv = chainingValue(parentOutput(stack.pop(), cv));
+        total >>= 1;
+      }
+      stack.push(cv);
+    }
+    while (stack.length > 0) {
+      output = parentOutput(stack.pop(), chainingValue(output));
+    }
+
+    const root = this.blake3Compress(output.cv, output.words, 0, output.blockLen, output.flags | F.ROOT);
+    const out = new Uint8Array(32);
+    const view = new DataView(out.buffer);
+    for (let i = 0; i < 8; i++) {
+      view.setUint32(i * 4, root[i], true);
+    }
+    return out;
+  },
+
+  /**
+   * Run the known-answer vectors
+   * Returns { passed, failures } so callers can refuse to emit with a broken build
+   */
+  selfTest() {
+    const failures = [];
+    for (const vector of this.TEST_VECTORS) {
+      for (const algorithm of ['sha256', 'sha512', 'blake3']) {
+        const actual = this[algorithm](vector.input);
+        if (actual !== vector[algorithm]) {
+          failures.push({ algorithm, input: vector.input, expected: vector[algorithm], actual });
+        }
+      }
+    }
+    return { passed: failures.length === 0, failures };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CryptoHash;
+}
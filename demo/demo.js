@@ -22,19 +22,35 @@ const DemoState = {
   terrestrialResult: null,
   orbitalResult: null,
   components: [],
-  demoPhase: 'idle'
+  demoPhase: 'idle',
+  awaitingImport: false,
+  tenantId: ReceiptChain.tenantId,
+  // Session random source (SeededRandom); components were generated from it
+  // when the database file is missing
+  seed: null,
+  rng: null,
+  sampleComponents: false
 };
 
 // Terminal output element
 let terminal = null;
 
+// MONITORING: receipts per anchored epoch, and in-memory receipts before archiving
+const MONITOR_EPOCH_RECEIPTS = 100;
+const MONITOR_MAX_RECEIPTS = 500;
+
+// Receipt chain of the tenant the demo is currently verifying for
+function activeChain() {
+  return ReceiptChain.forTenant(DemoState.tenantId);
+}
+
 // Sleep utility with precise timing
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 // Initialize demo
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
   terminal = document.getElementById('terminalOutput');
   updateTimestamp();
   setInterval(updateTimestamp, 1000);
@@ -42,6 +58,29 @@ document.addEventListener('DOMContentLoaded', function() {
   // Keyboard shortcuts
   document.addEventListener('keydown', handleKeyPress);
 
+  // Hash links in receipt tables and the live feed open the receipt
+  const openHashLink = function(e) {
+    const link = e.target.closest('.hash-link');
+    if (!link) return;
+    e.preventDefault();
+    showReceiptDetail(link.dataset.hash);
+  };
+  terminal.addEventListener('click', openHashLink);
+  document.getElementById('receiptFeed').addEventListener('click', openHashLink);
+
+  // Ledger import: drop a file on the terminal, or paste after 'import'
+  terminal.addEventListener('dragover', e => e.preventDefault());
+  terminal.addEventListener('drop', function(e) {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (file) importLedgerFile(file);
+  });
+  document.addEventListener('paste', function(e) {
+    if (!DemoState.awaitingImport) return;
+    e.preventDefault();
+    importLedgerText(e.clipboardData.getData('text'), 'clipboard');
+  });
+
   // Command input
   const input = document.getElementById('commandInput');
   input.addEventListener('keypress', function(e) {
@@ -51,16 +90,168 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   });
 
+  // Refuse to emit receipts with a broken hash build
+  const hashCheck = CryptoHash.selfTest();
+  if (!hashCheck.passed) {
+    appendLine('HASH SELF-TEST FAILED: ' + hashCheck.failures.map(f => f.algorithm).join(', '), 'error');
+    return;
+  }
+  if (!Ed25519.selfTest().passed) {
+    appendLine('SIGNATURE SELF-TEST FAILED: Ed25519', 'error');
+    return;
+  }
+
+  // Latest calibrated thresholds, when one was saved
+  const thresholdProfile = EntropyEngine.setThresholdProfile(ThresholdCalibration.get());
+  if (thresholdProfile) {
+    appendLine('Threshold profile: ' + thresholdProfile.profile_id + ' (v' + thresholdProfile.version + ', restored)', 'dim');
+  }
+
+  // Seed the session first: sample components are generated from it
+  seedSession(new URLSearchParams(window.location.search).get('seed') || SeededRandom.randomSeed());
+
   // Load components
   loadComponents();
 
+  // Every receipt is validated against the schema: nothing can be emitted without it
+  try {
+    await LedgerSchema.load();
+  } catch (e) {
+    appendLine('LEDGER SCHEMA UNAVAILABLE: ' + e.message, 'error');
+    return;
+  }
+
+  // Signing keys first: restored receipts are verified against them
+  // Secrets are wrapped under a device key before they reach localStorage
+  try {
+    await KeyStore.useDeviceKey();
+  } catch (e) {
+    appendLine('Key wrapping unavailable: signing keys last for this session only', 'error');
+  }
+  const keyCount = await KeyStore.load();
+  const signingKey = KeyStore.getSigningKey(DemoState.tenantId);
+  appendLine('Signing key: ' + signingKey.key_id + (keyCount > 0 ? ' (restored)' : ' (new)'), 'dim');
+
+  // Anchors are timestamped by the local TSA stand-in
+  const tsa = ReceiptChain.setTimestampAuthority(TimestampAuthority.createLocal());
+  appendLine('Timestamp authority: ' + tsa.certificate.subject, 'dim');
+
+  // Live feed of new receipts (restored ones are not replayed)
+  runReceiptFeed();
+
+  // Restore the persisted ledger before anything new is emitted
+  await restoreLedger();
+
   // Emit demo launch receipt
-  ReceiptChain.emitReceipt(ReceiptChain.RECEIPT_TYPES.DEMO_LAUNCH, {
+  emitLaunchReceipt();
+});
+
+// Launch receipt for a session, recording its seed
+function emitLaunchReceipt() {
+  activeChain().emitReceipt(ReceiptChain.RECEIPT_TYPES.DEMO_LAUNCH, {
     version: '6.0',
     mode: 'demo',
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    session_seed: DemoState.seed
   });
-});
+}
+
+// Seed the session's random source, shared by EntropyEngine, OrbitalSim and the
+// sample components; the same seed and commands replay the session
+function seedSession(seed) {
+  DemoState.seed = seed;
+  DemoState.rng = SeededRandom.create(seed);
+  EntropyEngine.setRandom(DemoState.rng);
+  OrbitalSim.setRandom(DemoState.rng);
+  if (DemoState.sampleComponents) {
+    DemoState.components = generateSampleComponents(seed);
+  }
+}
+
+// Live receipt feed: every tenant's receipts as they are chained
+const RECEIPT_FEED_LIMIT = 50;
+
+async function runReceiptFeed() {
+  const feed = ReceiptChain.stream(null, { bufferSize: 200 });
+  let count = 0;
+  for await (const receipt of feed) {
+    count++;
+    addFeedEntry(receipt);
+    document.getElementById('receiptFeedStatus').textContent =
+      count + ' received' + (feed.dropped > 0 ? ', ' + feed.dropped + ' dropped' : '');
+  }
+}
+
+function addFeedEntry(receipt) {
+  const list = document.getElementById('receiptFeed');
+  const verdict = ReceiptChain.receiptVerdict(receipt);
+  const entry = document.createElement('div');
+  entry.className = 'receipt-feed-entry' +
+    (receipt.receipt_type === ReceiptChain.RECEIPT_TYPES.ANOMALY || verdict === 'counterfeit' ? ' threat' :
+      verdict === 'genuine' ? ' success' : '');
+
+  const cell = (text, className) => {
+    const span = document.createElement('span');
+    span.textContent = text;
+    if (className) span.className = className;
+    entry.appendChild(span);
+    return span;
+  };
+  const hashLink = (hash, label) => {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = 'hash-link';
+    link.dataset.hash = hash;
+    link.textContent = label + hash.substring(0, 12);
+    entry.appendChild(link);
+  };
+
+  cell(receipt.ts.substring(11, 19));
+  cell(receipt.tenant_id);
+  cell(receipt.receipt_type.replace(/_receipt$/, ''), 'feed-type');
+  hashLink(receipt.receipt_hash, '');
+  if (receipt.prev_hash === 'GENESIS') {
+    cell('genesis');
+  } else {
+    hashLink(receipt.prev_hash, '\u2190 ');
+  }
+
+  list.prepend(entry);
+  while (list.children.length > RECEIPT_FEED_LIMIT) {
+    list.lastChild.remove();
+  }
+}
+
+// Attach browser storage so the audit trail survives reloads and resets
+// The archive goes first: the stored tail links onto its last checkpoint
+async function restoreLedger() {
+  if (!window.indexedDB) {
+    appendLine('Persistent storage unavailable: receipts kept in memory only', 'error');
+    return;
+  }
+
+  try {
+    const archive = await ReceiptChain.attachArchive(LedgerStorage.indexedDBArchive());
+    if (archive.archived > 0) {
+      appendLine('Archive attached: ' + archive.archived + ' receipts in ' + archive.checkpoints + ' checkpointed segments', 'dim');
+    }
+    const result = await ReceiptChain.attachStorage(LedgerStorage.indexedDB());
+    if (result.attached) {
+      if (result.restored > 0) {
+        appendLine('Ledger restored: ' + result.restored + ' receipts (chain verified)', 'dim');
+      }
+    } else {
+      appendLine('STORED LEDGER FAILED VERIFICATION - not restored', 'error');
+      for (const issue of result.report.issues) {
+        appendLine('  [' + issue.kind + '] ' + issue.message, 'error');
+      }
+      await ReceiptChain.detachStorage();
+      appendLine('Receipts kept in memory only for this session', 'error');
+    }
+  } catch (e) {
+    appendLine('Ledger storage error: ' + e.message, 'error');
+  }
+}
 
 // Load component database
 async function loadComponents() {
@@ -70,13 +261,16 @@ async function loadComponents() {
     appendLine('Component database loaded: ' + DemoState.components.length + ' components', 'dim');
   } catch (e) {
     // Generate sample components if file not found
-    DemoState.components = generateSampleComponents();
+    DemoState.sampleComponents = true;
+    DemoState.components = generateSampleComponents(DemoState.seed);
     appendLine('Component database initialized: ' + DemoState.components.length + ' components', 'dim');
   }
 }
 
 // Generate sample components (80 genuine, 20 counterfeit)
-function generateSampleComponents() {
+// Drawn from their own generator so the session's verification stream is untouched
+function generateSampleComponents(seed) {
+  const rng = SeededRandom.create(seed + ':components');
   const components = [];
   const types = ['CAPACITOR', 'RESISTOR', 'IC-CHIP', 'TRANSISTOR', 'INDUCTOR', 'DIODE', 'CRYSTAL', 'SENSOR'];
 
@@ -88,8 +282,8 @@ function generateSampleComponents() {
       id: `${type.substring(0, 3)}-${(10000 + i).toString()}`,
       type: type,
       entropy: isGenuine
-        ? 0.82 + Math.random() * 0.12  // Genuine: 0.82-0.94
-        : 0.65 + Math.random() * 0.13, // Counterfeit: 0.65-0.78
+        ? 0.82 + rng.random() * 0.12  // Genuine: 0.82-0.94
+        : 0.65 + rng.random() * 0.13, // Counterfeit: 0.65-0.78
       is_genuine: isGenuine,
       manufacturer: isGenuine ? 'VERIFIED_OEM' : 'UNKNOWN',
       batch: `BATCH-${Math.floor(i / 10) + 1}`
@@ -121,13 +315,56 @@ function handleCommand(cmd) {
     runFullDemo();
   } else if (command === 'reset') {
     resetDemo();
+  } else if (command.startsWith('trace ')) {
+    startTraceVerification(cmd.trim().split(/\s+/).slice(1));
   } else if (command.startsWith('verify ')) {
-    const id = command.replace('verify ', '').toUpperCase();
-    verifyComponentById(id);
+    const args = command.split(/\s+/).slice(1);
+    verifyComponentById(args.filter(arg => arg !== '--sequential').join(' ').toUpperCase(), args.includes('--sequential'));
+  } else if (/^batch( (terrestrial|orbital))?( --sequential)?$/.test(command)) {
+    const mode = command.split(' ').find(arg => arg === 'terrestrial' || arg === 'orbital');
+    runBatchVerification(mode || DemoState.mode, command.endsWith('--sequential'));
   } else if (command === 'status') {
     showStatus();
-  } else if (command === 'receipts') {
-    showReceipts();
+  } else if (command === 'receipts' || command.startsWith('receipts ')) {
+    handleReceiptsCommand(cmd.trim());
+  } else if (command.startsWith('receipt ')) {
+    showReceiptDetail(cmd.trim().split(/\s+/)[1]);
+  } else if (command === 'tenant') {
+    showTenants();
+  } else if (command.startsWith('tenant ')) {
+    switchTenant(cmd.trim().split(/\s+/)[1]);
+  } else if (command === 'import') {
+    startImport();
+  } else if (command === 'export' || command.startsWith('export ')) {
+    exportLedgerFile(command.split(/\s+/).slice(1));
+  } else if (command === 'audit') {
+    auditLedger();
+  } else if (command === 'archive') {
+    archiveClosedEpochs();
+  } else if (command.startsWith('prove ')) {
+    proveReceipt(cmd.trim().split(/\s+/)[1]);
+  } else if (command === 'suites') {
+    showHashSuites();
+  } else if (command.startsWith('migrate ')) {
+    migrateLedger(command.split(/\s+/)[1]);
+  } else if (command === 'calibrate' || command.startsWith('calibrate ')) {
+    calibrateThresholds(command.split(/\s+/).slice(1));
+  } else if (command === 'thresholds' || command.startsWith('thresholds ')) {
+    handleThresholdsCommand(command.split(/\s+/)[1]);
+  } else if (command === 'seed') {
+    showSessionSeed();
+  } else if (command.startsWith('seed ')) {
+    reseedSession(cmd.trim().split(/\s+/)[1]);
+  } else if (command.startsWith('replay ')) {
+    replayReceipt(cmd.trim().split(/\s+/)[1]);
+  } else if (command === 'tsa') {
+    showTimestampAuthority();
+  } else if (command === 'keys') {
+    showKeys();
+  } else if (command === 'keys export') {
+    downloadKeyBundle();
+  } else if (command === 'keys import') {
+    startKeyImport();
   } else if (command === 'clear') {
     clearTerminal();
   } else {
@@ -181,8 +418,40 @@ function showHelp() {
   appendLine('SPACEPROOF VERIFICATION COMMANDS:', 'highlight');
   appendLine('  demo, run     - Run full orbital verification demo');
   appendLine('  verify <id>   - Verify specific component');
+  appendLine('  verify <id> --sequential - Sample until the SPRT error rates are met');
+  appendLine('  trace <id> [estimator] [kind] - Verify from a raw sensor trace file (CSV or JSON);');
+  appendLine('                  estimators: ' + EntropyEngine.ESTIMATORS.join(', ') +
+    ', kinds: ' + SensorTrace.KINDS.join(', '));
+  appendLine('  batch [mode] [--sequential] - Verify all components (SLO-gated)');
   appendLine('  status        - Show system status');
-  appendLine('  receipts      - Show receipt chain statistics');
+  appendLine('  receipts      - Show receipt chain statistics (current tenant)');
+  appendLine('  receipts --tenant <id> - Statistics for one tenant');
+  appendLine('  receipts --all         - Statistics across tenants, with super-root');
+  appendLine('  receipts --type <t> --component <id> --mode <m> --verdict <v>');
+  appendLine('           --since <iso> --until <iso> [--all] [--sort ts|type|component_id]');
+  appendLine('           [--desc] [--limit n] [--page p]  - Query receipts into a table');
+  appendLine('  receipt <hash> - Show one receipt (click a hash in the table)');
+  appendLine('  tenant        - List tenants and show the current one');
+  appendLine('  tenant <id>   - Verify for another tenant (isolated chain)');
+  appendLine('  import        - Import a JSONL/CBOR ledger or check an evidence bundle');
+  appendLine('  export        - Download the ledger as JSONL');
+  appendLine('  export --csv | --cbor | --bundle - As CSV, compact CBOR, or an evidence bundle');
+  appendLine('  export --supplier - Download with ephemeris, TEE and ROI fields redacted');
+  appendLine('  audit         - Re-verify every hash, link and signature of the in-memory ledger');
+  appendLine('  archive       - Move closed epochs (all but the newest) to the archive');
+  appendLine('  prove <index> - Inclusion proof for a receipt, loading the archive if needed');
+  appendLine('  suites        - List hash suites and the one this ledger uses');
+  appendLine('  migrate <suite> - Re-anchor the ledger under another hash suite');
+  appendLine('  calibrate [youden | far <rate>] - Per-type thresholds from the labeled components (current mode)');
+  appendLine('  thresholds    - Show the active threshold profile and saved versions');
+  appendLine('  thresholds <version | id> | default - Use a saved profile, or the global threshold');
+  appendLine('  seed          - Show the session seed (open with ?seed=<seed> to replay a session)');
+  appendLine('  seed <seed>   - Start a new session from a recorded seed');
+  appendLine('  replay <hash> - Re-run a verification or location proof from its seed and compare');
+  appendLine('  tsa           - Show the TSA certificate and check anchor timestamps');
+  appendLine('  keys          - List signing and trusted keys');
+  appendLine('  keys export   - Download the public-key bundle');
+  appendLine('  keys import   - Trust keys from a public-key bundle file');
   appendLine('  reset         - Reset demo state');
   appendLine('  clear         - Clear terminal');
   appendLine('  help          - Show this help');
@@ -200,17 +469,42 @@ function showStatus() {
   appendLine('  Mode: ' + DemoState.mode.toUpperCase());
   appendLine('  Phase: ' + DemoState.demoPhase);
   appendLine('  Components loaded: ' + DemoState.components.length);
-  appendLine('  Receipts emitted: ' + ReceiptChain.ledger.length);
-  appendLine('  Chain valid: ' + (ReceiptChain.verifyChain().valid ? 'YES' : 'NO'));
+  appendLine('  Session seed: ' + DemoState.seed + ' (' + SeededRandom.ALGORITHM + ')');
+  const chain = activeChain();
+  appendLine('  Tenant: ' + chain.tenantId + ' (' + ReceiptChain.getTenantChains().length + ' tenant chains)');
+  appendLine('  Hash suite: ' + chain.hashSuite + ' (envelope v' + chain.ENVELOPE_VERSION + ')' +
+    (chain.supersededLedgers.length > 0 ? ', ' + chain.supersededLedgers.length + ' superseded ledger(s)' : ''));
+  appendLine('  Receipts emitted: ' + chain.ledgerLength() + ' (' + chain.ledger.length + ' in memory)');
+  if (chain.archivedCount > 0) {
+    appendLine('  Archived: ' + chain.archivedCount + ' receipts in ' + chain.checkpoints.length + ' checkpointed segments');
+  }
+  appendLine('  Anchored epochs: ' + chain.anchorIndices.length + ' (' + chain.pendingAnchorCount() + ' receipts pending)');
+  const chainReport = chain.verifyChain({ incremental: true });
+  appendLine('  Chain valid: ' + (chainReport.valid ? 'YES' : 'NO'));
+  for (const issue of chainReport.issues) {
+    appendLine('    [' + issue.kind + '] ' + issue.message, 'error');
+  }
+  const breaches = SloGate.getActiveBreaches(chain.tenantId);
+  appendLine('  Active SLO breaches: ' + breaches.length, breaches.length > 0 ? 'error' : '');
+  for (const breach of breaches) {
+    appendLine('    [' + breach.action + '] ' + breach.metric + ' = ' + breach.value + ' (limit ' + breach.limit +
+      ', delta ' + breach.delta + ')' + (breach.component_id ? ' ' + breach.component_id : '') +
+      (breach.occurrences > 1 ? ' x' + breach.occurrences : ''), 'error');
+  }
   appendLine('');
 }
 
-// Show receipts
-function showReceipts() {
-  const stats = ReceiptChain.getStats();
+// Show receipts for one tenant (current tenant by default)
+function showReceipts(tenantId = DemoState.tenantId) {
+  if (!ReceiptChain.getTenant(tenantId)) {
+    appendLine('Unknown tenant: ' + tenantId, 'error');
+    return;
+  }
+  const stats = ReceiptChain.getStats({ tenant: tenantId });
   appendLine('');
-  appendLine('RECEIPT CHAIN STATISTICS:', 'highlight');
+  appendLine('RECEIPT CHAIN STATISTICS (' + stats.tenant_id + '):', 'highlight');
   appendLine('  Total receipts: ' + stats.total_receipts);
+  appendLine('  Quarantined (schema violations): ' + stats.quarantined, stats.quarantined > 0 ? 'error' : '');
   appendLine('  Chain valid: ' + (stats.chain_valid ? 'YES' : 'NO'));
   appendLine('  Merkle root: ' + stats.merkle_root.substring(0, 24) + '...');
   appendLine('');
@@ -221,6 +515,768 @@ function showReceipts() {
   appendLine('');
 }
 
+// Show the timestamp authority and verify every anchor's token against its certificate
+function showTimestampAuthority() {
+  const chain = activeChain();
+  const authority = chain.timestampAuthority;
+  appendLine('');
+  appendLine('TIMESTAMP AUTHORITY:', 'highlight');
+  if (!authority) {
+    appendLine('  None configured; anchors are not timestamped.', 'dim');
+    appendLine('');
+    return;
+  }
+
+  const certificate = authority.certificate;
+  const certCheck = TimestampAuthority.verifyCertificate(certificate);
+  appendLine('  Subject: ' + certificate.subject);
+  appendLine('  Valid: ' + certificate.not_before + ' to ' + certificate.not_after);
+  appendLine('  Fingerprint: ' + TimestampAuthority.fingerprint(certificate), 'dim');
+  appendLine('  Certificate: ' + (certCheck.valid ? 'self-signature OK' : certCheck.error), certCheck.valid ? '' : 'error');
+
+  const anchors = chain.getAnchors();
+  appendLine('  Anchors: ' + anchors.length);
+  for (const anchor of anchors) {
+    const check = chain.verifyAnchorTimestamp(anchor, certificate);
+    const label = '    Epoch ' + anchor.payload.epoch + ': ';
+    if (check.valid) {
+      appendLine(label + check.gen_time + ' (serial ' + check.serial_number + ', ts skew ' + check.skew_ms + 'ms)');
+    } else {
+      appendLine(label + check.error, anchor.payload.timestamp_token ? 'error' : 'dim');
+    }
+  }
+  appendLine('');
+}
+
+// List known keys; the active key of each tenant signs its receipts
+function showKeys() {
+  const keys = Object.values(KeyStore.keys);
+  appendLine('');
+  appendLine('KEY STORE:', 'highlight');
+  if (keys.length === 0) {
+    appendLine('  No keys.', 'dim');
+  }
+  for (const key of keys) {
+    const role = KeyStore.active[key.tenant_id] === key.key_id && key.secret_key ? 'signing' : 'verify-only';
+    appendLine('  ' + key.key_id + '  ' + key.tenant_id + '  [' + role + ']');
+    appendLine('    public key: ' + key.public_key, 'dim');
+  }
+  appendLine('');
+}
+
+// Download the public-key bundle for third-party verification
+function downloadKeyBundle() {
+  const bundle = KeyStore.exportPublicBundle();
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'SpaceProof_Public_Keys.json';
+  a.click();
+  URL.revokeObjectURL(url);
+
+  appendLine('Public-key bundle downloaded: ' + bundle.keys.length + ' key(s).', 'dim');
+}
+
+// Trust the keys in a partner's public-key bundle
+function startKeyImport() {
+  const picker = document.createElement('input');
+  picker.type = 'file';
+  picker.accept = '.json';
+  picker.onchange = async function() {
+    if (!picker.files[0]) return;
+    try {
+      const imported = KeyStore.importPublicBundle(JSON.parse(await picker.files[0].text()));
+      appendLine('Trusted ' + imported + ' new key(s) from ' + picker.files[0].name, 'success');
+    } catch (e) {
+      appendLine('Key bundle rejected: ' + e.message, 'error');
+    }
+  };
+  picker.click();
+}
+
+// Flags taking a value, mapped to query filter/option names
+const RECEIPT_QUERY_FLAGS = {
+  '--type': 'type',
+  '--component': 'component_id',
+  '--mode': 'mode',
+  '--verdict': 'verdict',
+  '--since': 'since',
+  '--until': 'until',
+  '--tenant': 'tenant',
+  '--sort': 'sort',
+  '--limit': 'limit',
+  '--page': 'page'
+};
+
+// Default page size for receipt tables
+const RECEIPT_PAGE_SIZE = 20;
+
+// Parse 'receipts' flags from the raw (case-preserving) command
+function parseReceiptArgs(raw) {
+  const tokens = raw.split(/\s+/).slice(1);
+  const values = {};
+  let allTenants = false;
+  let order = 'asc';
+
+  for (let i = 0; i < tokens.length; i++) {
+    const flag = tokens[i].toLowerCase();
+    if (flag === '--all') {
+      allTenants = true;
+    } else if (flag === '--desc' || flag === '--asc') {
+      order = flag.substring(2);
+    } else if (RECEIPT_QUERY_FLAGS[flag]) {
+      if (i + 1 >= tokens.length) return { error: 'Missing value for ' + flag };
+      values[RECEIPT_QUERY_FLAGS[flag]] = tokens[++i];
+    } else {
+      return { error: 'Unknown option ' + tokens[i] + '. Type "help" for receipts options.' };
+    }
+  }
+
+  const limit = values.limit ? parseInt(values.limit, 10) : RECEIPT_PAGE_SIZE;
+  const page = values.page ? parseInt(values.page, 10) : 1;
+  if (!(limit > 0) || !(page > 0)) return { error: '--limit and --page must be positive integers' };
+
+  if (allTenants && values.tenant !== undefined) return { error: 'Use either --all or --tenant, not both' };
+
+  const filter = {};
+  for (const key of ['type', 'component_id', 'mode', 'verdict', 'since', 'until', 'tenant']) {
+    if (values[key] !== undefined) filter[key] = key === 'component_id' ? values[key].toUpperCase() : values[key];
+  }
+  if (allTenants) filter.tenant = 'all';
+
+  return {
+    filter: filter,
+    options: { sort: values.sort || 'index', order: order, offset: (page - 1) * limit, limit: limit },
+    page: page,
+    allTenants: allTenants,
+    // Only --tenant / --all on their own keep the statistics view
+    isQuery: order === 'desc' || Object.keys(values).some(key => key !== 'tenant')
+  };
+}
+
+// 'receipts' with no query flags shows statistics; with flags, a table of matches
+function handleReceiptsCommand(raw) {
+  const args = parseReceiptArgs(raw);
+  if (args.error) {
+    appendLine(args.error, 'error');
+    return;
+  }
+  if (!args.isQuery) {
+    if (args.allTenants) {
+      showCrossTenantReceipts();
+    } else {
+      showReceipts(args.filter.tenant || DemoState.tenantId);
+    }
+    return;
+  }
+  showReceiptQuery(args);
+}
+
+// Escape text for appendHTML
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Print query results as a table; hashes link to the full receipt
+// Archived receipts are searched too when the archive can be read
+async function showReceiptQuery(args) {
+  const filter = args.filter.tenant ? args.filter : { ...args.filter, tenant: DemoState.tenantId };
+  let result;
+  try {
+    result = ReceiptChain.query(filter, args.options);
+  } catch (e) {
+    appendLine('Query error: ' + e.message, 'error');
+    return;
+  }
+  if (result.partial) {
+    try {
+      result = await ReceiptChain.queryArchive(filter, args.options);
+    } catch (e) {
+      appendLine('Archive not searched: ' + e.message, 'error');
+    }
+  }
+
+  const showTenant = args.filter.tenant === 'all';
+  const columns = [
+    ['#', 6], ...(showTenant ? [['TENANT', 18]] : []), ['TYPE', 24], ['TIMESTAMP', 25], ['COMPONENT', 12], ['VERDICT', 12]
+  ];
+  const pad = (text, width) => String(text).substring(0, width - 1).padEnd(width);
+
+  appendLine('');
+  appendLine('RECEIPTS (' + result.total + ' match' + (result.total === 1 ? '' : 'es') + '):', 'highlight');
+  if (result.partial) {
+    appendLine('  Partial: ' + result.archived_skipped + ' archived receipts were not searched', 'error');
+  }
+  if (result.total === 0) {
+    appendLine('  No receipts match.', 'dim');
+    appendLine('');
+    return;
+  }
+  appendLine('  ' + columns.map(([name, width]) => pad(name, width)).join('') + 'HASH', 'dim');
+
+  for (const match of result.results) {
+    const receipt = match.receipt;
+    const cells = [
+      match.index,
+      ...(showTenant ? [match.tenant_id] : []),
+      receipt.receipt_type.replace(/_receipt$/, ''),
+      receipt.ts,
+      receipt.payload.component_id || '-',
+      (ReceiptChain.receiptVerdict(receipt) || '-').toUpperCase()
+    ];
+    const text = cells.map((cell, i) => pad(cell, columns[i][1])).join('');
+    appendHTML('<div class="terminal-line">  ' + escapeHtml(text) +
+      '<a href="#" class="hash-link" data-hash="' + escapeHtml(receipt.receipt_hash) + '">' +
+      escapeHtml(receipt.receipt_hash.substring(0, 16)) + '...</a></div>');
+  }
+
+  const first = result.offset + 1;
+  const last = result.offset + result.results.length;
+  appendLine('');
+  if (result.results.length === 0) {
+    appendLine('  Page ' + args.page + ' is past the last match.', 'dim');
+  } else {
+    appendLine('  Showing ' + first + '-' + last + ' of ' + result.total +
+      (result.next_offset !== null ? ' (next: --page ' + (args.page + 1) + ')' : ''), 'dim');
+  }
+  appendLine('');
+}
+
+// Show one receipt in full, found by hash or hash prefix
+function showReceiptDetail(hash) {
+  const found = hash ? ReceiptChain.findReceipt(hash) : null;
+  if (!found) {
+    appendLine('Receipt not found: ' + hash, 'error');
+    return;
+  }
+
+  const receipt = found.receipt;
+  appendLine('');
+  appendLine('RECEIPT ' + found.tenant_id + ' #' + found.index + ':', 'highlight');
+  appendLine('  Type: ' + receipt.receipt_type);
+  appendLine('  Timestamp: ' + receipt.ts);
+  appendLine('  Key: ' + (receipt.key_id || 'unsigned'));
+  if (receipt.payload_redacted) {
+    appendLine('  Redacted: ' + Object.keys(receipt.payload_redacted).join(', '));
+  }
+  appendLine('  Receipt hash: ' + receipt.receipt_hash, 'dim');
+  if (receipt.prev_hash === 'GENESIS') {
+    appendLine('  Previous: GENESIS', 'dim');
+  } else {
+    appendHTML('<div class="terminal-line dim">  Previous: <a href="#" class="hash-link" data-hash="' +
+      escapeHtml(receipt.prev_hash) + '">' + escapeHtml(receipt.prev_hash.substring(0, 32)) + '...</a></div>');
+  }
+  appendLine('  Payload:');
+  for (const line of JSON.stringify(receipt.payload, null, 2).split('\n')) {
+    appendLine('    ' + line, 'dim');
+  }
+  appendLine('');
+}
+
+// Show receipt statistics across every tenant
+function showCrossTenantReceipts() {
+  const stats = ReceiptChain.getStats({ allTenants: true });
+  appendLine('');
+  appendLine('RECEIPT CHAINS ACROSS TENANTS:', 'highlight');
+  appendLine('  Tenants: ' + stats.tenant_count);
+  appendLine('  Total receipts: ' + stats.total_receipts);
+  appendLine('  All chains valid: ' + (stats.chain_valid ? 'YES' : 'NO'));
+  appendLine('  Super-root: ' + stats.super_root.substring(0, 24) + '...');
+  appendLine('');
+  for (const [tenantId, tenantStats] of Object.entries(stats.by_tenant)) {
+    appendLine('  ' + tenantId + ': ' + tenantStats.total_receipts + ' receipts, root ' +
+      tenantStats.merkle_root.substring(0, 16) + '...' + (tenantStats.chain_valid ? '' : ' [INVALID]'),
+      tenantStats.chain_valid ? '' : 'error');
+  }
+  appendLine('');
+}
+
+// List tenant chains
+function showTenants() {
+  appendLine('');
+  appendLine('TENANTS:', 'highlight');
+  for (const chain of ReceiptChain.getTenantChains()) {
+    const marker = chain.tenantId === DemoState.tenantId ? '* ' : '  ';
+    appendLine(marker + chain.tenantId + ' (' + chain.ledgerLength() + ' receipts)');
+  }
+  appendLine('');
+}
+
+// Run subsequent verifications for another tenant; each tenant persists to its own database
+async function switchTenant(tenantId) {
+  const chain = ReceiptChain.forTenant(tenantId);
+  DemoState.tenantId = tenantId;
+  appendLine('Tenant: ' + tenantId + ' (signing key ' + KeyStore.getSigningKey(tenantId).key_id + ')', 'highlight');
+
+  if (!chain.storage && window.indexedDB) {
+    try {
+      await chain.attachArchive(LedgerStorage.indexedDBArchive({ dbName: 'spaceproof_archive:' + tenantId }));
+      const result = await chain.attachStorage(LedgerStorage.indexedDB({ dbName: 'spaceproof:' + tenantId }));
+      if (result.restored > 0) {
+        appendLine('Ledger restored: ' + result.restored + ' receipts (chain verified)', 'dim');
+      } else if (!result.attached) {
+        appendLine('STORED LEDGER FAILED VERIFICATION - not restored', 'error');
+        await chain.detachStorage();
+        appendLine('Receipts kept in memory only for tenant ' + tenantId, 'error');
+      }
+    } catch (e) {
+      appendLine('Ledger storage error: ' + e.message, 'error');
+    }
+  }
+}
+
+// Full re-verification of the current tenant's in-memory ledger; restoring
+// from storage only checks signatures from the last anchor on
+function auditLedger() {
+  const chain = activeChain();
+  const start = performance.now();
+  const report = chain.verifyChain();
+  appendLine('Audited ' + chain.ledger.length + ' receipts of ' + chain.tenantId + ' in ' +
+    (performance.now() - start).toFixed(0) + ' ms: ' + (report.valid ? 'VALID' : 'INVALID'), report.valid ? 'success' : 'error');
+  for (const issue of report.issues.slice(0, 10)) {
+    appendLine('    [' + issue.kind + '] ' + issue.message, 'error');
+  }
+  if (report.issues.length > 10) {
+    appendLine('    ... ' + (report.issues.length - 10) + ' more', 'error');
+  }
+}
+
+// Archive every anchored epoch but the newest; memory keeps a checkpoint per segment
+async function archiveClosedEpochs() {
+  const chain = activeChain();
+  if (!chain.archive) {
+    appendLine('No archive attached (persistent storage unavailable)', 'error');
+    return;
+  }
+  try {
+    const checkpoint = await chain.archiveEpochs({ keepEpochs: 1 });
+    if (!checkpoint) {
+      appendLine('Nothing to archive: needs at least two anchored epochs', 'dim');
+      return;
+    }
+    appendLine('Archived ' + checkpoint.segment_id + ': receipts [' + checkpoint.range_start + ', ' +
+      checkpoint.range_end + '), epochs ' + checkpoint.first_epoch + '-' + checkpoint.last_epoch, 'success');
+    appendLine('  Segment root: ' + checkpoint.segment_root.substring(0, 32) + '...', 'dim');
+    appendLine('  Ledger root at cut: ' + checkpoint.merkle_root.substring(0, 32) + '...', 'dim');
+    appendLine('  In memory: ' + chain.ledger.length + ' receipts', 'dim');
+  } catch (e) {
+    appendLine('Archive failed: ' + e.message, 'error');
+  }
+}
+
+// Prove one receipt's inclusion, from the live tree or its archived segment
+async function proveReceipt(indexText) {
+  const chain = activeChain();
+  const index = Number(indexText);
+  if (!Number.isInteger(index) || index < 0 || index >= chain.ledgerLength()) {
+    appendLine('No receipt at index ' + indexText + ' (ledger has ' + chain.ledgerLength() + ')', 'error');
+    return;
+  }
+
+  try {
+    let check;
+    if (index < chain.archivedCount) {
+      const { receipt, proof } = await chain.getArchivedInclusionProof(index);
+      check = chain.verifyArchivedInclusionProof(receipt, proof);
+      appendLine('Receipt ' + index + ' (' + receipt.receipt_type + ') loaded from archive segment ' + proof.segment_id, 'dim');
+      appendLine('  Segment path: ' + proof.segment.path.length + ' hashes' +
+        (proof.epoch ? ', epoch ' + proof.epoch.epoch + ' path: ' + proof.epoch.path.length + ' hashes' : ''), 'dim');
+    } else {
+      const receipt = chain.receiptAt(index);
+      const proof = chain.getInclusionProof(index);
+      check = chain.verifyInclusionProof(receipt, proof, chain.getMerkleRoot());
+      appendLine('Receipt ' + index + ' (' + receipt.receipt_type + ') in the live tree of ' + proof.tree_size, 'dim');
+      appendLine('  Path: ' + proof.path.length + ' hashes', 'dim');
+    }
+    appendLine('  Inclusion verified: ' + (check.valid ? 'YES' : 'NO - ' + check.error), check.valid ? 'success' : 'error');
+  } catch (e) {
+    appendLine('Proof failed: ' + e.message, 'error');
+  }
+}
+
+// Hash suite registry and the suite each tenant chain uses
+function showHashSuites() {
+  appendLine('');
+  appendLine('HASH SUITES:', 'highlight');
+  for (const suite of HashSuite.list()) {
+    appendLine('  ' + suite.id.padEnd(16) + suite.algorithms.join(' + ').padEnd(18) + suite.status +
+      (suite.default ? ' (default)' : ''), suite.status === 'active' ? '' : 'dim');
+  }
+  appendLine('');
+  for (const chain of ReceiptChain.getTenantChains()) {
+    appendLine('  ' + chain.tenantId + ': ' + chain.hashSuite + ' (' + chain.ledgerLength() + ' receipts)');
+  }
+  appendLine('');
+}
+
+// Re-anchor the current tenant's ledger under another suite and check the cross-link
+async function migrateLedger(suiteId) {
+  const chain = activeChain();
+  try {
+    const fromSuite = chain.hashSuite;
+    const { migration, anchor } = await chain.migrateHashSuite(suiteId);
+    appendLine('Ledger migrated: ' + fromSuite + ' -> ' + suiteId, 'success');
+    appendLine('  Re-anchored receipts: ' + migration.payload.prior_tree_size, 'dim');
+    appendLine('  Prior root: ' + migration.payload.prior_merkle_root.substring(0, 32) + '...', 'dim');
+    appendLine('  Rehash root: ' + migration.payload.rehash_root.substring(0, 32) + '...', 'dim');
+    appendLine('  Migration anchor: epoch ' + anchor.payload.epoch +
+      (anchor.payload.timestamp_token ? ' (timestamped)' : ''), 'dim');
+
+    // Cross-link the first and last receipts of the old ledger
+    for (const index of [0, migration.payload.prior_tree_size - 1]) {
+      const { receipt, proof } = await chain.getCrossLinkProof(index);
+      const check = chain.verifyCrossLinkProof(receipt, proof, migration);
+      appendLine('  Cross-link receipt ' + index + ': ' + (check.valid ? 'VERIFIED' : 'FAILED - ' + check.error),
+        check.valid ? 'success' : 'error');
+    }
+  } catch (e) {
+    appendLine('Migration failed: ' + e.message, 'error');
+  }
+}
+
+// Calibrate per-type thresholds on the loaded (labeled) components, then save and apply them
+function calibrateThresholds(args) {
+  const criterion = args[0] || 'youden';
+  const far = args[1] !== undefined ? Number(args[1]) : undefined;
+  let profile;
+  try {
+    profile = ThresholdCalibration.save(ThresholdCalibration.calibrate(DemoState.components, { criterion, far, mode: DemoState.mode }));
+  } catch (e) {
+    appendLine('Calibration failed: ' + e.message, 'error');
+    return;
+  }
+  EntropyEngine.setThresholdProfile(profile);
+  const receipt = activeChain().recordThresholdProfile(profile);
+  appendLine('Threshold profile ' + profile.profile_id + ' saved as v' + profile.version + ' and applied', 'success');
+  appendLine('  Recorded in receipt ' + receipt.receipt_hash.substring(0, 16) + '...', 'dim');
+  showThresholdProfile(profile);
+}
+
+function showThresholdProfile(profile) {
+  appendLine('');
+  if (!profile) {
+    appendLine('THRESHOLDS: global ' + EntropyEngine.GENUINE_THRESHOLD + ' (no profile)', 'highlight');
+    appendLine('');
+    return;
+  }
+  appendLine('THRESHOLD PROFILE ' + profile.profile_id + ' (v' + profile.version + '):', 'highlight');
+  appendLine('  Criterion: ' + profile.criterion + (profile.far_target !== null ? ' (FAR <= ' + profile.far_target + ')' : '') +
+    ', estimator: ' + (profile.estimator || 'shannon') + (profile.mode ? ', mode: ' + profile.mode : ''));
+  appendLine('  Calibrated on: ' + profile.source.components + ' labeled components' +
+    (profile.source.samples !== undefined ? ', ' + profile.source.samples + ' measurements' : '') + ' (' +
+    profile.source.digest.substring(0, 16) + '...)', 'dim');
+  const row = (name, t) => '  ' + name.padEnd(12) + t.threshold.toFixed(3) + '  TPR ' + t.tpr.toFixed(3) +
+    '  FAR ' + t.far.toFixed(3) + '  AUC ' + t.auc.toFixed(3) + '  (' + t.genuine + '/' + t.counterfeit + ')';
+  for (const [type, t] of Object.entries(profile.types)) {
+    appendLine(row(type, t));
+  }
+  appendLine(row('default', profile.default), 'dim');
+  appendLine('');
+}
+
+// Show the active profile and saved versions, or switch: thresholds <version> | <profile id> | default
+function handleThresholdsCommand(arg) {
+  if (arg === undefined) {
+    showThresholdProfile(EntropyEngine.thresholdProfile);
+    const saved = ThresholdCalibration.load();
+    if (saved.length > 0) {
+      appendLine('Saved: ' + saved.map(p => 'v' + p.version + ' ' + p.profile_id + ' (' + p.criterion + ')').join(', '), 'dim');
+    }
+    return;
+  }
+  if (arg === 'default') {
+    EntropyEngine.setThresholdProfile(null);
+    appendLine('Using the global threshold ' + EntropyEngine.GENUINE_THRESHOLD, 'success');
+    return;
+  }
+  const profile = arg.startsWith('tp-') ? ThresholdCalibration.find(arg) : ThresholdCalibration.get(Number(arg.replace(/^v/, '')));
+  if (!profile) {
+    appendLine('No saved threshold profile ' + arg, 'error');
+    return;
+  }
+  EntropyEngine.setThresholdProfile(profile);
+  appendLine('Using threshold profile ' + profile.profile_id + ' (v' + profile.version + ')', 'success');
+}
+
+// Show the session seed
+function showSessionSeed() {
+  appendLine('');
+  appendLine('SESSION SEED:', 'highlight');
+  appendLine('  Seed: ' + DemoState.seed);
+  appendLine('  Generator: ' + SeededRandom.ALGORITHM);
+  appendLine('  Components: ' + (DemoState.sampleComponents ? 'generated from this seed' : 'component database'), 'dim');
+  appendLine('  Replay: open the demo with ?seed=' + DemoState.seed + ' and repeat the commands', 'dim');
+  appendLine('');
+}
+
+// Start a new session from a recorded seed (e.g. a customer's demo_launch receipt)
+function reseedSession(seed) {
+  seedSession(seed);
+  emitLaunchReceipt();
+  appendLine('Session seeded: ' + seed, 'success');
+  if (DemoState.sampleComponents) {
+    appendLine('  Sample components regenerated from the seed', 'dim');
+  }
+}
+
+// Re-run a recorded verification or location proof from its rng_seed and compare
+async function replayReceipt(hash) {
+  const found = hash ? ReceiptChain.findReceipt(hash) : null;
+  if (!found) {
+    appendLine('Receipt not found: ' + hash, 'error');
+    return;
+  }
+  const receipt = found.receipt;
+  const payload = receipt.payload;
+  if (payload.rng_seed === undefined) {
+    appendLine('Receipt records no seed; it predates seeded verification', 'error');
+    return;
+  }
+
+  if (payload.trace) {
+    appendLine('Receipt was measured from a sensor trace; re-run it with the original trace file', 'error');
+    return;
+  }
+
+  let checks;
+  if (receipt.receipt_type === ReceiptChain.RECEIPT_TYPES.COMPONENT_VERIFICATION) {
+    const component = DemoState.components.find(c => c.id === payload.component_id);
+    if (!component) {
+      appendLine('Component not found: ' + payload.component_id, 'error');
+      return;
+    }
+    // Judge against the threshold profile the receipt was verified under: the ledger's copy, else a saved one
+    const recorded = payload.threshold_profile;
+    const profile = recorded
+      ? ReceiptChain.findThresholdProfile(recorded.id) || ThresholdCalibration.find(recorded.id)
+      : null;
+    if (recorded && !profile) {
+      appendLine('Threshold profile ' + recorded.id + ' is neither in the ledger nor saved here', 'error');
+      return;
+    }
+    const activeProfile = EntropyEngine.thresholdProfile;
+    EntropyEngine.setThresholdProfile(profile);
+    const options = { ...payload.sequential, seed: payload.rng_seed };
+    let result;
+    try {
+      result = payload.sequential
+        ? EntropyEngine.verifySequential(component, payload.mode, options)
+        : EntropyEngine.verifyComponent(component, payload.mode, options);
+    } finally {
+      EntropyEngine.setThresholdProfile(activeProfile);
+    }
+    checks = [
+      ['entropy', payload.entropy, result.entropy.measured],
+      ['confidence', payload.confidence, result.confidence],
+      ['threshold', payload.threshold, result.threshold],
+      ['is_genuine', payload.is_genuine, result.is_genuine]
+    ];
+    if (payload.verdict !== undefined) {
+      checks.push(['verdict', payload.verdict, result.verdict]);
+    }
+  } else if (receipt.receipt_type === ReceiptChain.RECEIPT_TYPES.LOCATION_PROOF) {
+    if (!payload.node || !payload.issued_at) {
+      appendLine('Receipt records no node or clock; it predates replayable location proofs', 'error');
+      return;
+    }
+    // Same node, seed, nonce and instant: every field of the proof must come out identical
+    const proof = await OrbitalSim.generateLocationProof(payload.node, {
+      seed: payload.rng_seed,
+      challenge: payload.challenge,
+      issued_at: payload.issued_at
+    });
+    const same = value => (typeof value === 'object' ? CanonicalJSON.stringify(value) : value);
+    checks = [
+      ['response', payload.response, proof.response],
+      ['altitude_km', payload.altitude_km, proof.altitude_km],
+      ['latency_ms', payload.latency_ms, Number(proof.actual_latency_ms)],
+      ['latency_valid', payload.latency_valid, proof.latency_valid],
+      ['ephemeris', same(payload.ephemeris), same(proof.ephemeris)],
+      ['tee_attestation', same(payload.tee_attestation), same(proof.tee_attestation)],
+      ['verified', payload.verified, proof.verified]
+    ];
+  } else {
+    appendLine('Only component verification and location proof receipts can be replayed', 'error');
+    return;
+  }
+
+  appendLine('');
+  appendLine('REPLAY ' + found.tenant_id + ' #' + found.index + ' (seed ' + payload.rng_seed + '):', 'highlight');
+  let matches = 0;
+  for (const [field, recorded, replayed] of checks) {
+    const match = recorded === replayed;
+    if (match) matches++;
+    appendLine('  ' + field + ': ' + recorded + (match ? ' (match)' : ' -> ' + replayed + ' (DIFFERS)'),
+      match ? '' : 'error');
+  }
+  appendLine(matches === checks.length ? 'Replay matches the receipt' : 'Replay differs from the receipt',
+    matches === checks.length ? 'success' : 'error');
+  appendLine('');
+}
+
+// Download formats for 'export' (see ReceiptChain.exportLedger)
+const EXPORT_FORMATS = {
+  jsonl: { flag: null, extension: '.jsonl', type: 'application/x-ndjson' },
+  csv: { flag: '--csv', extension: '.csv', type: 'text/csv' },
+  cbor: { flag: '--cbor', extension: '.cbor', type: 'application/cbor' },
+  bundle: { flag: '--bundle', extension: '.evidence.json', type: 'application/json' }
+};
+
+// Download the current tenant's ledger; supplier exports withhold sensitive fields
+function exportLedgerFile(flags) {
+  const unknown = flags.filter(flag => flag !== '--supplier' &&
+    !Object.values(EXPORT_FORMATS).some(spec => spec.flag === flag));
+  if (unknown.length > 0) {
+    appendLine('Unknown export option: ' + unknown.join(' '), 'error');
+    return;
+  }
+  const supplier = flags.includes('--supplier');
+  const format = Object.keys(EXPORT_FORMATS).find(name => flags.includes(EXPORT_FORMATS[name].flag)) || 'jsonl';
+  const spec = EXPORT_FORMATS[format];
+
+  const chain = activeChain();
+  let exported;
+  try {
+    exported = chain.exportLedger({ format: format, redact: supplier ? 'supplier' : undefined });
+  } catch (e) {
+    appendLine('Export failed: ' + e.message, 'error');
+    return;
+  }
+
+  const content = format === 'bundle' ? JSON.stringify(exported, null, 2)
+    : format === 'jsonl' ? exported + '\n' : exported;
+  const blob = new Blob([content], { type: spec.type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'SpaceProof_Ledger_' + chain.tenantId + (supplier ? '_supplier' : '') + spec.extension;
+  a.click();
+  URL.revokeObjectURL(url);
+
+  // Check what was written the way its recipient will
+  let check = null;
+  if (format === 'jsonl') check = chain.verifyExportedLedger(exported);
+  if (format === 'cbor') check = chain.verifyExportedLedger(LedgerExport.cborToJSONL(exported));
+  if (format === 'bundle') check = EvidenceVerifier.verify(exported);
+
+  appendLine('Ledger exported (' + format.toUpperCase() + (format === 'cbor' ? ', ' + exported.length + ' bytes' : '') +
+    '): ' + chain.ledger.length + ' receipts' + (supplier ? ' (supplier redactions)' : '') +
+    (check ? ', verifies: ' + (check.valid ? 'YES' : 'NO') : ''), !check || check.valid ? 'dim' : 'error');
+}
+
+// Start a ledger import: file picker now, or a drop/paste on the terminal
+function startImport() {
+  DemoState.awaitingImport = true;
+  appendLine('');
+  appendLine('IMPORT LEDGER:', 'highlight');
+  appendLine('  Drop a .jsonl, .cbor or evidence bundle file on the terminal, paste it, or choose a file.');
+  appendLine('');
+
+  const picker = document.createElement('input');
+  picker.type = 'file';
+  picker.accept = '.jsonl,.json,.txt,.cbor';
+  picker.onchange = function() {
+    if (picker.files[0]) importLedgerFile(picker.files[0]);
+  };
+  picker.click();
+}
+
+// Read a dropped or chosen file; CBOR ledgers are converted to JSONL first
+async function importLedgerFile(file) {
+  if (!file.name.endsWith('.cbor')) {
+    importLedgerText(await file.text(), file.name);
+    return;
+  }
+  try {
+    importLedgerText(LedgerExport.cborToJSONL(new Uint8Array(await file.arrayBuffer())), file.name);
+  } catch (e) {
+    DemoState.awaitingImport = false;
+    appendLine('Cannot read ' + file.name + ': ' + e.message, 'error');
+  }
+}
+
+// Evidence bundles are checked offline, never merged into a ledger
+function parseEvidenceBundle(text) {
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && parsed.bundle_format === LedgerExport.BUNDLE_FORMAT ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function showEvidenceReport(bundle, source) {
+  const report = EvidenceVerifier.verify(bundle);
+  appendLine('');
+  appendLine('EVIDENCE BUNDLE (' + source + '):', 'highlight');
+  appendLine('  Created: ' + bundle.created + '  Schema: ' + bundle.schema_version);
+  appendLine('  Valid: ' + (report.valid ? 'YES' : 'NO'), report.valid ? 'success' : 'error');
+  for (const [tenantId, tenant] of Object.entries(report.tenants)) {
+    appendLine('  ' + tenantId + ': ' + tenant.length + ' receipts, ' + tenant.anchors_verified + ' anchor(s), ' +
+      tenant.timestamps_verified + ' timestamp(s) verified');
+  }
+  if (report.super_root) {
+    appendLine('  Super-root: ' + report.super_root.substring(0, 24) + '...');
+  }
+  for (const issue of report.issues.slice(0, 10)) {
+    appendLine('    ' + issue.message, 'error');
+  }
+  if (report.issues.length > 10) {
+    appendLine('    ... ' + (report.issues.length - 10) + ' more', 'error');
+  }
+  appendLine('  Keys and TSA certificates: taken from the bundle', 'dim');
+  appendLine('');
+}
+
+// Imported ledgers go to the chain of the tenant that produced them
+function importTargetChain(text) {
+  for (const line of text.split('\n')) {
+    try {
+      const receipt = JSON.parse(line);
+      if (receipt && typeof receipt.tenant_id === 'string' && receipt.tenant_id !== '') {
+        return ReceiptChain.forTenant(receipt.tenant_id);
+      }
+    } catch (e) {
+      // Skip unreadable lines; importLedger reports them
+    }
+  }
+  return activeChain();
+}
+
+// Validate, replay and (when it extends ours) adopt an imported ledger
+function importLedgerText(text, source) {
+  DemoState.awaitingImport = false;
+  const bundle = parseEvidenceBundle(text);
+  if (bundle) {
+    showEvidenceReport(bundle, source);
+    return;
+  }
+  const chain = importTargetChain(text);
+  const report = chain.importLedger(text);
+
+  appendLine('');
+  appendLine('IMPORT REPORT (' + source + ' → ' + chain.tenantId + '):', 'highlight');
+  appendLine('  Receipts: ' + report.receipts);
+  appendLine('  Valid: ' + (report.valid ? 'YES' : 'NO'), report.valid ? 'success' : 'error');
+  if (report.first_divergence) {
+    appendLine('  First divergence: line ' + report.first_divergence.line + ' [' + report.first_divergence.kind + ']', 'error');
+  }
+  for (const issue of report.issues.slice(0, 10)) {
+    appendLine('    ' + issue.message, 'error');
+  }
+  if (report.issues.length > 10) {
+    appendLine('    ... ' + (report.issues.length - 10) + ' more', 'error');
+  }
+  appendLine('  Local ledger: ' + report.local.relation + ' (common prefix: ' + report.local.common_prefix + ' receipts)');
+  if (report.local.diverges_at) {
+    appendLine('  Diverges from local ledger at line ' + report.local.diverges_at.line, 'error');
+  }
+  appendLine('  Adopted: ' + report.adopted + ' receipts');
+  appendLine('  Merkle root: ' + report.merkle_root.substring(0, 24) + '...');
+  appendLine('');
+}
+
 // Reset demo
 function resetDemo() {
   DemoState.mode = 'terrestrial';
@@ -239,7 +1295,7 @@ function resetDemo() {
     OrbitVisualization.highlightSatellite(false);
   }
 
-  ReceiptChain.reset();
+  // The ledger is the audit trail: a demo reset keeps it and starts a new session on top
 
   clearTerminal();
   appendLine('SpaceProof v6.0 - Orbital Hardware Verification', 'dim');
@@ -250,16 +1306,13 @@ function resetDemo() {
 
   updateStatus('SYSTEM ARMED', 'armed');
 
-  // Re-emit launch receipt
-  ReceiptChain.emitReceipt(ReceiptChain.RECEIPT_TYPES.DEMO_LAUNCH, {
-    version: '6.0',
-    mode: 'demo',
-    timestamp: new Date().toISOString()
-  });
+  // New session, new seed
+  seedSession(SeededRandom.randomSeed());
+  emitLaunchReceipt();
 }
 
 // Verify component by ID
-async function verifyComponentById(id) {
+async function verifyComponentById(id, sequential = false) {
   const component = DemoState.components.find(c => c.id === id);
   if (!component) {
     appendLine('Component not found: ' + id, 'error');
@@ -267,30 +1320,157 @@ async function verifyComponentById(id) {
   }
 
   appendLine('');
-  appendLine('Verifying component ' + id + '...', 'highlight');
+  appendLine('Verifying component ' + id + (sequential ? ' (sequential)' : '') + '...', 'highlight');
 
-  const result = EntropyEngine.verifyComponent(component, DemoState.mode);
+  const result = sequential
+    ? EntropyEngine.verifySequential(component, DemoState.mode)
+    : EntropyEngine.verifyComponent(component, DemoState.mode);
   displayVerificationResult(result);
 
-  ReceiptChain.emitVerificationReceipt(result);
+  try {
+    activeChain().emitVerificationReceipt(result);
+  } catch (e) {
+    if (!SloGate.isStopRule(e)) throw e;
+    reportStopRule(e);
+  }
 }
 
-// Display verification result
-function displayVerificationResult(result) {
+// Verify a component from a test-bench trace file: trace <id> [estimator] [kind]
+function startTraceVerification(args) {
+  const id = (args[0] || '').toUpperCase();
+  const component = DemoState.components.find(c => c.id === id);
+  if (!component) {
+    appendLine('Component not found: ' + id, 'error');
+    return;
+  }
+  const estimator = args.find(arg => EntropyEngine.ESTIMATORS.includes(arg.toLowerCase()));
+  const kind = args.find(arg => SensorTrace.KINDS.includes(arg.toLowerCase()));
+  const unknown = args.slice(1).filter(arg => arg !== estimator && arg !== kind);
+  if (unknown.length > 0) {
+    appendLine('Unknown estimator or trace kind: ' + unknown.join(' '), 'error');
+    return;
+  }
+
+  const picker = document.createElement('input');
+  picker.type = 'file';
+  picker.accept = '.csv,.json,.txt';
+  picker.onchange = async function() {
+    const file = picker.files[0];
+    if (!file) return;
+    let trace;
+    let result;
+    try {
+      const text = await file.text();
+      trace = file.name.endsWith('.json') ? JSON.parse(text) : text;
+      result = EntropyEngine.verifyComponent(component, DemoState.mode, {
+        trace: trace,
+        estimator: estimator && estimator.toLowerCase(),
+        kind: kind && kind.toLowerCase()
+      });
+    } catch (e) {
+      appendLine('Sensor trace rejected (' + file.name + '): ' + e.message, 'error');
+      return;
+    }
+
+    appendLine('');
+    appendLine('Verifying component ' + id + ' from ' + file.name + '...', 'highlight');
+    displayVerificationResult(result);
+    try {
+      activeChain().emitVerificationReceipt(result);
+    } catch (e) {
+      if (!SloGate.isStopRule(e)) throw e;
+      reportStopRule(e);
+    }
+  };
+  picker.click();
+}
+
+// Verify every loaded component with receipts; a halt-level SLO breach stops the batch
+function runBatchVerification(mode, sequential = false) {
+  const chain = activeChain();
   appendLine('');
+  appendLine('Batch verification: ' + DemoState.components.length + ' components (' + mode +
+    (sequential ? ', sequential' : '') + ')...', 'highlight');
 
-  if (!result.is_genuine) {
-    appendLine('COUNTERFEIT DETECTED', 'error');
-  } else {
-    appendLine('GENUINE VERIFIED', 'success');
+  const batch = EntropyEngine.batchVerify(DemoState.components, mode, {
+    sequential: sequential,
+    onResult: result => chain.emitVerificationReceipt(result)
+  });
+
+  const count = verdict => batch.results.filter(r => r.verdict === verdict).length;
+  appendLine('  Verified: ' + batch.count + ' (' + count(EntropyEngine.VERDICTS.COUNTERFEIT) + ' counterfeit, ' +
+    count(EntropyEngine.VERDICTS.INCONCLUSIVE) + ' inconclusive) in ' + batch.total_time_ms + 'ms');
+  if (sequential) {
+    appendLine('  Measurements: ' + batch.samples + ' (' + (batch.samples / Math.max(1, batch.count)).toFixed(1) +
+      ' per component)');
+  }
+  if (batch.halted) {
+    appendLine('  STOPRULE: batch halted at ' + batch.halted.component_id, 'error');
+    appendLine('    ' + batch.halted.reason, 'error');
   }
+  const breaches = SloGate.getActiveBreaches(chain.tenantId);
+  appendLine('  Active SLO breaches: ' + breaches.length, breaches.length > 0 ? 'error' : '');
+  appendLine('');
+}
+
+// Report a StopRule halt raised by the SLO gate
+function reportStopRule(error) {
+  appendLine('');
+  appendLine('STOPRULE - HALTED', 'error');
+  for (const breach of error.breaches) {
+    appendLine('  ' + breach.metric + ': ' + breach.value + ' (limit ' + breach.limit + ', delta ' + breach.delta + ')', 'error');
+  }
+  appendLine('  Anomaly receipts emitted: ' + error.anomalies.length, 'dim');
+  appendLine('');
+  DemoState.demoPhase = 'halted';
+  updateStatus('STOPRULE HALT');
+}
+
+// Terminal headline and artifact status per verdict
+const VERDICT_HEADLINES = {
+  GENUINE: { text: 'GENUINE VERIFIED', className: 'success' },
+  COUNTERFEIT: { text: 'COUNTERFEIT DETECTED', className: 'error' },
+  INCONCLUSIVE: { text: 'INCONCLUSIVE - RE-MEASURE', className: 'highlight' }
+};
+
+function appendVerdict(result) {
+  const headline = VERDICT_HEADLINES[result.verdict];
+  appendLine(headline.text, headline.className);
+}
+
+// Measured entropy interval, e.g. "0.742 - 0.902 (straddles 0.82)"
+function formatInterval(result) {
+  const [low, high] = result.entropy.interval;
+  const position = low >= result.threshold ? 'above' : high < result.threshold ? 'below' : 'straddles';
+  return low.toFixed(3) + ' - ' + high.toFixed(3) + ' (' + position + ' ' + result.threshold + ')';
+}
+
+// Display verification result
+function displayVerificationResult(result) {
+  appendLine('');
+  appendVerdict(result);
 
   appendLine('');
   appendLine('Component: ' + result.component_id + ' (' + result.component_type + ')');
   appendLine('Mode: ' + result.mode.toUpperCase());
   appendLine('Entropy: ' + result.entropy.formatted);
-  appendLine('Threshold: ' + result.threshold);
-  appendLine('Confidence: ' + result.confidence_pct + '%');
+  appendLine('Interval: ' + formatInterval(result));
+  if (result.measurement.trace) {
+    const trace = result.measurement.trace;
+    appendLine('Estimator: ' + result.measurement.estimator + ' (' + trace.kind + ', ' + trace.samples +
+      ' samples, ' + trace.windows + ' window' + (trace.windows === 1 ? '' : 's') + ')');
+    appendLine('Estimates: ' + Object.entries(result.measurement.estimates)
+      .map(([name, value]) => name + ' ' + value.toFixed(3)).join(', '), 'dim');
+  }
+  if (result.sequential) {
+    const sprt = result.sequential;
+    appendLine('Sequential: ' + sprt.samples + ' samples, LLR ' + sprt.llr.toFixed(2) + ' (bounds ' +
+      sprt.bounds[0].toFixed(2) + ' / ' + sprt.bounds[1].toFixed(2) + ', alpha ' + sprt.alpha + ', beta ' + sprt.beta + ')');
+  }
+  appendLine('Threshold: ' + result.threshold + (result.threshold_profile
+    ? ' (' + result.component_type + ', profile v' + result.threshold_profile.version + ')' : ''));
+  appendLine('Confidence: ' + result.confidence_pct + '% (' + (result.sequential ? 'posterior ' : '') +
+    'P(genuine) ' + result.p_genuine.toFixed(4) + ')');
   appendLine('Thermal baseline: ' + result.thermal_baseline);
   appendLine('Verification time: ' + result.verification_time_ms + 'ms');
   appendLine('');
@@ -320,7 +1500,11 @@ async function runFullDemo() {
     await act4_TheSpaceproof();
     await act5_ReturnToArmed();
   } catch (e) {
-    appendLine('Demo error: ' + e.message, 'error');
+    if (SloGate.isStopRule(e)) {
+      reportStopRule(e);
+    } else {
+      appendLine('Demo error: ' + e.message, 'error');
+    }
   }
 
   DemoState.isRunning = false;
@@ -352,16 +1536,17 @@ async function act1_TheSuffocation() {
 
   // Display result
   appendLine('');
-  appendLine('COUNTERFEIT DETECTED', 'error');
+  appendVerdict(DemoState.terrestrialResult);
   appendLine('');
   appendLine('  Component ID: ' + DemoState.terrestrialResult.component_id);
   appendLine('  Entropy: ' + DemoState.terrestrialResult.entropy.formatted);
+  appendLine('  Interval: ' + formatInterval(DemoState.terrestrialResult));
   appendLine('  Threshold: ' + DemoState.terrestrialResult.threshold);
   appendLine('  Confidence: ' + DemoState.terrestrialResult.confidence_pct + '%');
   appendLine('');
 
   // Emit receipt
-  ReceiptChain.emitVerificationReceipt(DemoState.terrestrialResult);
+  activeChain().emitVerificationReceipt(DemoState.terrestrialResult);
 
   await sleep(1000);
 
@@ -426,7 +1611,7 @@ async function act2_TheAscent() {
   }
 
   // Emit mode switch receipt
-  ReceiptChain.emitModeSwitchReceipt('terrestrial', 'orbital', {
+  activeChain().emitModeSwitchReceipt('terrestrial', 'orbital', {
     node_id: linkInfo.node.id,
     altitude_km: linkInfo.node.altitude_km,
     latency_ms: linkInfo.latency_ms
@@ -462,16 +1647,17 @@ async function act3_TheSingularity() {
 
   // Display result with improved confidence
   appendLine('');
-  appendLine('COUNTERFEIT DETECTED', 'error');
+  appendVerdict(DemoState.orbitalResult);
   appendLine('');
   appendLine('  Component ID: ' + DemoState.orbitalResult.component_id);
   appendLine('  Entropy: ' + DemoState.orbitalResult.entropy.formatted);
+  appendLine('  Interval: ' + formatInterval(DemoState.orbitalResult));
   appendLine('  Threshold: ' + DemoState.orbitalResult.threshold);
   appendLine('  Confidence: ' + DemoState.orbitalResult.confidence_pct + '%', 'highlight');
   appendLine('  Thermal baseline: ' + DemoState.orbitalResult.thermal_baseline, 'highlight');
   appendLine('');
 
-  ReceiptChain.emitVerificationReceipt(DemoState.orbitalResult);
+  activeChain().emitVerificationReceipt(DemoState.orbitalResult);
 
   await sleep(1000);
 
@@ -539,10 +1725,10 @@ async function act4_TheSpaceproof() {
   appendLine('');
 
   // Generate location proof (includes simulated latency)
-  const locationProof = await OrbitalSim.generateLocationProof();
+  const locationProof = await OrbitalSim.generateLocationProof(OrbitalSim.DEFAULT_NODE, { challenge: challenge });
 
   // Emit location proof receipt
-  ReceiptChain.emitLocationProofReceipt(locationProof);
+  activeChain().emitLocationProofReceipt(locationProof);
 
   await sleep(500);
 
@@ -573,7 +1759,7 @@ async function act4_TheSpaceproof() {
   await sleep(2000);
 
   // Emit orbital verification receipt
-  ReceiptChain.emitOrbitalVerificationReceipt(
+  activeChain().emitOrbitalVerificationReceipt(
     DemoState.terrestrialResult,
     DemoState.orbitalResult,
     locationProof
@@ -601,16 +1787,17 @@ async function generateArtifact(locationProof) {
   const componentsSaved = '10,000';
 
   // Emit artifact receipt
-  ReceiptChain.emitArtifactReceipt({
+  activeChain().emitArtifactReceipt({
     type: 'verification_report',
     component_id: DemoState.currentComponent.id,
     mode: 'orbital',
     confidence: DemoState.orbitalResult.confidence,
+    verdict: DemoState.orbitalResult.verdict,
     roi_value: roiValue
   });
 
   // Anchor the batch
-  const anchorReceipt = ReceiptChain.anchorBatch();
+  const anchorReceipt = activeChain().anchorBatch();
 
   appendLine('ARTIFACT GENERATED: SpaceProof_Verification_Report_' + DemoState.currentComponent.id + '.pdf');
   appendLine('');
@@ -621,9 +1808,16 @@ async function generateArtifact(locationProof) {
   appendLine('  - Dual-hash receipt chain');
   appendLine('');
   appendLine('CRYPTOGRAPHIC PROOF:', 'highlight');
-  appendLine('  Receipt Hash: ' + anchorReceipt.payload_hash.substring(0, 32) + '...');
+  appendLine('  Receipt Hash: ' + anchorReceipt.receipt_hash.substring(0, 32) + '...');
   appendLine('  Merkle Root: ' + anchorReceipt.payload.merkle_root.substring(0, 32) + '...');
+  appendLine('  Epoch: ' + anchorReceipt.payload.epoch + ' (receipts ' + anchorReceipt.payload.range_start + '-' + (anchorReceipt.payload.range_end - 1) + ')');
   appendLine('  Batch Size: ' + anchorReceipt.payload.batch_size + ' receipts');
+  if (anchorReceipt.payload.timestamp_token) {
+    const tstInfo = anchorReceipt.payload.timestamp_token.tst_info;
+    appendLine('  Trusted Timestamp: ' + tstInfo.gen_time + ' (' + tstInfo.tsa + ', serial ' + tstInfo.serial_number + ')');
+  } else if (anchorReceipt.payload.timestamp_error) {
+    appendLine('  Trusted Timestamp: FAILED - ' + anchorReceipt.payload.timestamp_error, 'error');
+  }
   appendLine('');
   appendLine('ROI: Eliminated ' + componentsSaved + ' counterfeit components, avoided ' + roiValue + ' mission failure', 'highlight');
   appendLine('');
@@ -642,15 +1836,19 @@ function createDownloadableArtifact(locationProof, anchorReceipt, roiValue) {
     component: {
       id: DemoState.currentComponent.id,
       type: DemoState.currentComponent.type,
-      status: 'COUNTERFEIT DETECTED'
+      status: VERDICT_HEADLINES[DemoState.orbitalResult.verdict].text
     },
     terrestrial: {
+      verdict: DemoState.terrestrialResult.verdict,
       entropy: DemoState.terrestrialResult.entropy.formatted,
+      interval: DemoState.terrestrialResult.entropy.interval,
       confidence: DemoState.terrestrialResult.confidence_pct + '%',
       thermal_baseline: DemoState.terrestrialResult.thermal_baseline
     },
     orbital: {
+      verdict: DemoState.orbitalResult.verdict,
       entropy: DemoState.orbitalResult.entropy.formatted,
+      interval: DemoState.orbitalResult.entropy.interval,
       confidence: DemoState.orbitalResult.confidence_pct + '%',
       thermal_baseline: DemoState.orbitalResult.thermal_baseline
     },
@@ -662,10 +1860,17 @@ function createDownloadableArtifact(locationProof, anchorReceipt, roiValue) {
       tee_attestation: locationProof.tee_attestation.hardware_id
     },
     cryptographic_proof: {
-      receipt_hash: anchorReceipt.payload_hash,
+      receipt_hash: anchorReceipt.receipt_hash,
       merkle_root: anchorReceipt.payload.merkle_root,
-      hash_algorithms: ['SHA256', 'BLAKE3'],
-      batch_size: anchorReceipt.payload.batch_size
+      hash_suite: anchorReceipt.hash_suite,
+      hash_algorithms: anchorReceipt.payload.hash_algorithms,
+      batch_size: anchorReceipt.payload.batch_size,
+      epoch: anchorReceipt.payload.epoch,
+      anchored_range: [anchorReceipt.payload.range_start, anchorReceipt.payload.range_end],
+      inclusion_proofs: buildComponentInclusionProofs(DemoState.currentComponent.id, anchorReceipt),
+      signature: anchorReceipt.signature,
+      signing_key: KeyStore.publicRecord(KeyStore.keys[anchorReceipt.key_id]),
+      timestamp_token: anchorReceipt.payload.timestamp_token || null
     },
     roi: {
       value: roiValue,
@@ -678,6 +1883,29 @@ function createDownloadableArtifact(locationProof, anchorReceipt, roiValue) {
   window.artifactData = artifactData;
 }
 
+/**
+ * Inclusion proofs for one component's receipts in an anchored batch
+ * Lets a customer check their part against the Merkle root alone
+ */
+function buildComponentInclusionProofs(componentId, anchorReceipt) {
+  const treeSize = anchorReceipt.payload.tree_size;
+  const chain = activeChain();
+  const proofs = [];
+
+  // Archived receipts are proven on demand instead (see proveReceipt)
+  chain.ledger.forEach((receipt, offset) => {
+    const index = chain.archivedCount + offset;
+    if (index < treeSize && receipt.payload.component_id === componentId) {
+      proofs.push({
+        receipt: receipt,
+        proof: chain.getInclusionProof(index, treeSize)
+      });
+    }
+  });
+
+  return proofs;
+}
+
 /**
  * ACT 5: RETURN TO ARMED (15 seconds)
  */
@@ -698,8 +1926,18 @@ async function act5_ReturnToArmed() {
 
   await sleep(1000);
 
+  // Long monitoring runs anchor regularly and archive closed epochs, so memory stays bounded
+  const chain = activeChain();
+  if (chain.archive) {
+    if (!chain.anchorPolicy) chain.setAnchorPolicy({ every_receipts: MONITOR_EPOCH_RECEIPTS });
+    chain.setArchivePolicy({ max_receipts: MONITOR_MAX_RECEIPTS, keep_epochs: 2 });
+  }
+
   appendLine('');
   appendLine('Status: MONITORING (orbital mode active)', 'highlight');
+  if (chain.archive) {
+    appendLine('Archival: closed epochs leave memory past ' + MONITOR_MAX_RECEIPTS + ' receipts', 'dim');
+  }
   appendLine('');
 
   updateStatus('MONITORING', 'orbital');
@@ -0,0 +1,273 @@
+/**
+ * SpaceProof Ed25519 Signatures
+ *
+ * RFC 8032 Ed25519 (pure, cofactorless verification) on BigInt arithmetic:
+ * - 32-byte seeds as secret keys, 32-byte public keys, 64-byte signatures
+ * - Synchronous, so receipts are signed inline at emit time
+ * - SHA-512 from crypto_hash.js
+ *
+ * Not constant-time; fine for demo signing, not for hostile environments.
+ */
+
+// Sibling modules are shared globals in the browser (see index.html); load them in Node
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.CryptoHash = globalThis.CryptoHash || require('./crypto_hash.js');
+}
+
+const Ed25519 = {
+  // Curve constants
+  P: 2n ** 255n - 19n,
+  L: 2n ** 252n + 27742317777372353535851937790883648493n,
+  D: 37095705934669439343138083508754565189542113879843219016388785533085940283555n,
+  SQRT_M1: 19681161376707505956807079304988542015446066515923890162744021073123829784752n,
+  BASE: {
+    x: 15112221349535400772501151409588531511454012693041857206046113283949847762202n,
+    y: 46316835694926478169428394003475163141307993866256225615783033603165251855960n
+  },
+
+  // RFC 8032 §7.1 test 1
+  TEST_VECTOR: {
+    secret_key: '9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60',
+    public_key: 'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a',
+    message: '',
+    signature: 'e5564300c360ac729086e2cc806e828a84877f1eb8e5d974d873e065224901555fb8821590a33bacc61e39701cf9b46bd25bf5f0595bbe24655141438e7a100b'
+  },
+
+  mod(a, m = this.P) {
+    const r = a % m;
+    return r >= 0n ? r : r + m;
+  },
+
+  pow(base, exponent, m = this.P) {
+    let result = 1n;
+    base = this.mod(base, m);
+    while (exponent > 0n) {
+      if (exponent & 1n) result = (result * base) % m;
+      base = (base * base) % m;
+      exponent >>= 1n;
+    }
+    return result;
+  },
+
+  invert(a) {
+    return this.pow(a, this.P - 2n);
+  },
+
+  /**
+   * Little-endian bytes ↔ BigInt
+   */
+  bytesToNumber(bytes) {
+    let n = 0n;
+    for (let i = bytes.length - 1; i >= 0; i--) {
+      n = (n << 8n) | BigInt(bytes[i]);
+    }
+    return n;
+  },
+
+  numberToBytes(n, length = 32) {
+    const out = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      out[i] = Number(n & 0xffn);
+      n >>= 8n;
+    }
+    return out;
+  },
+
+  hexToBytes(hex) {
+    if (hex.length % 2 !== 0) throw new Error('Odd-length hex string');
+    const out = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < out.length; i++) {
+      out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return out;
+  },
+
+  concat(...arrays) {
+    const out = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+    let offset = 0;
+    for (const a of arrays) {
+      out.set(a, offset);
+      offset += a.length;
+    }
+    return out;
+  },
+
+  /**
+   * Extended twisted Edwards point arithmetic (a = -1)
+   */
+  point(x, y) {
+    return { X: x, Y: y, Z: 1n, T: this.mod(x * y) };
+  },
+
+  add(p1, p2) {
+    const A = this.mod((p1.Y - p1.X) * (p2.Y - p2.X));
+    const B = this.mod((p1.Y + p1.X) * (p2.Y + p2.X));
+    const C = this.mod(p1.T * 2n * this.D * p2.T);
+    const D = this.mod(p1.Z * 2n * p2.Z);
+    const E = B - A, F = D - C, G = D + C, H = B + A;
+    return { X: this.mod(E * F), Y: this.mod(G * H), Z: this.mod(F * G), T: this.mod(E * H) };
+  },
+
+  multiply(point, scalar) {
+    let result = { X: 0n, Y: 1n, Z: 1n, T: 0n };
+    let addend = point;
+    while (scalar > 0n) {
+      if (scalar & 1n) result = this.add(result, addend);
+      addend = this.add(addend, addend);
+      scalar >>= 1n;
+    }
+    return result;
+  },
+
+  // Fixed-base table: BASE_TABLE[w][j] = j · 16^w · B, built on first use
+  BASE_TABLE: null,
+
+  multiplyBase(scalar) {
+    if (!this.BASE_TABLE) {
+      this.BASE_TABLE = [];
+      let windowBase = this.point(this.BASE.x, this.BASE.y);
+      for (let w = 0; w < 64; w++) {
+        const row = [null, windowBase];
+        for (let j = 2; j < 16; j++) {
+          row.push(this.add(row[j - 1], windowBase));
+        }
+        this.BASE_TABLE.push(row);
+        windowBase = this.add(row[15], windowBase);
+      }
+    }
+
+    let result = { X: 0n, Y: 1n, Z: 1n, T: 0n };
+    for (let w = 0; w < 64 && scalar > 0n; w++) {
+      const nibble = Number(scalar & 15n);
+      if (nibble) result = this.add(result, this.BASE_TABLE[w][nibble]);
+      scalar >>= 4n;
+    }
+    return result;
+  },
+
+  encodePoint(p) {
+    const zInv = this.invert(p.Z);
+    const x = this.mod(p.X * zInv);
+    const y = this.mod(p.Y * zInv);
+    const bytes = this.numberToBytes(y);
+    bytes[31] |= Number(x & 1n) << 7;
+    return bytes;
+  },
+
+  decodePoint(bytes) {
+    if (bytes.length !== 32) throw new Error('Point must be 32 bytes');
+    const sign = BigInt(bytes[31] >> 7);
+    const copy = Uint8Array.from(bytes);
+    copy[31] &= 0x7f;
+    const y = this.bytesToNumber(copy);
+    if (y >= this.P) throw new Error('Point y out of range');
+
+    // x² = (y² - 1) / (d y² + 1)
+    const u = this.mod(y * y - 1n);
+    const v = this.mod(this.D * y * y + 1n);
+    let x = this.mod(u * this.pow(v, 3n) * this.pow(u * this.pow(v, 7n), (this.P - 5n) / 8n));
+    const vx2 = this.mod(v * x * x);
+    if (vx2 === this.mod(-u)) {
+      x = this.mod(x * this.SQRT_M1);
+    } else if (vx2 !== u) {
+      throw new Error('Point is not on the curve');
+    }
+    if (x === 0n && sign === 1n) throw new Error('Invalid point encoding');
+    if ((x & 1n) !== sign) x = this.P - x;
+    return this.point(x, y);
+  },
+
+  /**
+   * Expand a 32-byte seed into the clamped scalar and the nonce prefix
+   */
+  expandSeed(seed) {
+    const h = CryptoHash.sha512Bytes(seed);
+    const a = Uint8Array.from(h.subarray(0, 32));
+    a[0] &= 248;
+    a[31] &= 127;
+    a[31] |= 64;
+    return { scalar: this.bytesToNumber(a), prefix: h.subarray(32) };
+  },
+
+  hashToScalar(...parts) {
+    return this.mod(this.bytesToNumber(CryptoHash.sha512Bytes(this.concat(...parts))), this.L);
+  },
+
+  /**
+   * Fresh random 32-byte seed
+   */
+  randomSeed() {
+    const seed = new Uint8Array(32);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      crypto.getRandomValues(seed);
+    } else {
+      seed.set(require('crypto').randomBytes(32));
+    }
+    return seed;
+  },
+
+  getPublicKey(seed) {
+    return this.encodePoint(this.multiplyBase(this.expandSeed(seed).scalar));
+  },
+
+  /**
+   * Generate a key pair; both halves are byte arrays
+   */
+  generateKeyPair(seed = this.randomSeed()) {
+    return { secretKey: seed, publicKey: this.getPublicKey(seed) };
+  },
+
+  /**
+   * Sign a message (bytes or string) with a 32-byte seed
+   */
+  sign(message, seed) {
+    const msg = CryptoHash.toBytes(message);
+    const { scalar, prefix } = this.expandSeed(seed);
+    const publicKey = this.encodePoint(this.multiplyBase(scalar));
+
+    const r = this.hashToScalar(prefix, msg);
+    const R = this.encodePoint(this.multiplyBase(r));
+    const k = this.hashToScalar(R, publicKey, msg);
+    const S = this.mod(r + k * scalar, this.L);
+    return this.concat(R, this.numberToBytes(S));
+  },
+
+  /**
+   * Verify a 64-byte signature; never throws on malformed input
+   */
+  verify(signature, message, publicKey) {
+    try {
+      if (signature.length !== 64 || publicKey.length !== 32) return false;
+      const msg = CryptoHash.toBytes(message);
+      const A = this.decodePoint(publicKey);
+      const Rbytes = signature.subarray(0, 32);
+      this.decodePoint(Rbytes);
+      const S = this.bytesToNumber(signature.subarray(32));
+      if (S >= this.L) return false;
+
+      const k = this.hashToScalar(Rbytes, publicKey, msg);
+      const left = this.encodePoint(this.multiplyBase(S));
+      const right = this.encodePoint(this.add(this.decodePoint(Rbytes), this.multiply(A, k)));
+      return CryptoHash.toHex(left) === CryptoHash.toHex(right);
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Run the RFC 8032 known-answer vector
+   */
+  selfTest() {
+    const v = this.TEST_VECTOR;
+    const seed = this.hexToBytes(v.secret_key);
+    const publicKey = CryptoHash.toHex(this.getPublicKey(seed));
+    const signature = CryptoHash.toHex(this.sign(this.hexToBytes(v.message), seed));
+    const verified = this.verify(this.hexToBytes(v.signature), this.hexToBytes(v.message), this.hexToBytes(v.public_key));
+    return { passed: publicKey === v.public_key && signature === v.signature && verified };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Ed25519;
+}
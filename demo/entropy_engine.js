@@ -8,20 +8,108 @@
  * Thermal noise impact:
  * - Terrestrial: ±0.08 variance (datacenter interference)
  * - Orbital: ±0.01 variance (radiative equilibrium at -270°C)
+ *
+ * Raw sensor traces (see sensor_trace.js) are measured with a chosen estimator:
+ * normalized Shannon, Rényi, approximate or sample entropy. Each estimator has
+ * its own scale: GENUINE_THRESHOLD is a Shannon threshold, so the others need
+ * a threshold profile calibrated on that estimator.
+ *
+ * Verdicts come from the measurement alone: measured ± noise floor against the
+ * threshold, INCONCLUSIVE when that interval straddles it. Confidence is the
+ * probability of the hypothesis the verdict accepts (see calculateConfidence).
+ * Sequential mode
+ * (verifySequential) keeps sampling until an SPRT reaches the configured error rates.
+ * Thresholds are per component type once a calibrated profile is set (see
+ * threshold_calibration.js); GENUINE_THRESHOLD covers everything else.
+ *
+ * Each verification draws its noise from its own seeded generator (see
+ * seeded_random.js); the seed is in the result, so the verdict can be replayed.
  */
 
+// Sibling modules are shared globals in the browser (see index.html); load them in Node
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.SeededRandom = globalThis.SeededRandom || require('./seeded_random.js');
+  globalThis.SensorTrace = globalThis.SensorTrace || require('./sensor_trace.js');
+}
+
 const EntropyEngine = {
   // Thresholds
   GENUINE_THRESHOLD: 0.82,
 
+  // Calibrated per-type threshold profile (null: GENUINE_THRESHOLD for every type)
+  thresholdProfile: null,
+
+  // Verdicts (see classify)
+  VERDICTS: {
+    GENUINE: 'GENUINE',
+    COUNTERFEIT: 'COUNTERFEIT',
+    INCONCLUSIVE: 'INCONCLUSIVE'
+  },
+
   // Noise parameters
   TERRESTRIAL_NOISE: 0.08,
   ORBITAL_NOISE: 0.01,
 
+  // Sequential (SPRT) defaults: false-accept rate, false-reject rate, half-width
+  // of the indifference zone around the threshold, sample cap, prior P(genuine)
+  SEQUENTIAL_DEFAULTS: { alpha: 0.01, beta: 0.01, indifference: 0.02, max_samples: 200, prior: 0.5 },
+
+  // Trace estimators, each normalized to 0-1 and averaged over windows
+  ESTIMATORS: ['shannon', 'renyi', 'approximate', 'sample'],
+
+  // Histogram bins, Rényi order, template length m, tolerance r (× window SD)
+  ESTIMATOR_DEFAULTS: { bins: 16, alpha: 2, m: 2, r: 0.2 },
+
   // Temperature baselines
   TERRESTRIAL_TEMP_C: 25,
   ORBITAL_TEMP_C: -270,  // Near cosmic background radiation
 
+  // Session generator verification seeds are drawn from (null: fresh random seeds)
+  rng: null,
+
+  /**
+   * Inject the shared random source (a SeededRandom generator)
+   */
+  setRandom(rng) {
+    this.rng = rng;
+    return rng;
+  },
+
+  /**
+   * Apply a calibrated threshold profile (ThresholdCalibration), or null to go back to GENUINE_THRESHOLD
+   */
+  setThresholdProfile(profile) {
+    this.thresholdProfile = profile;
+    return profile;
+  },
+
+  /**
+   * Threshold profile that applies to an estimator's measurements in a mode, or null
+   * Profiles without an estimator were calibrated on Shannon-scale entropies;
+   * precomputed (simulated) entropies are on that scale too. A profile with a
+   * mode was calibrated on that mode's noisy measurements and only applies there.
+   */
+  profileFor(estimator = 'shannon', mode) {
+    const profile = this.thresholdProfile;
+    const scale = estimator === 'precomputed' ? 'shannon' : estimator;
+    if (!profile || (profile.estimator || 'shannon') !== scale) return null;
+    return !profile.mode || !mode || profile.mode === mode ? profile : null;
+  },
+
+  /**
+   * Genuine threshold for a component type and estimator: its calibrated one,
+   * the profile's pooled default, or GENUINE_THRESHOLD for Shannon-scale
+   * measurements without a profile. Other estimators without a profile for
+   * them throw: a Shannon threshold means nothing on their scale.
+   */
+  thresholdFor(type, estimator = 'shannon', mode) {
+    const profile = this.profileFor(estimator, mode);
+    if (profile) return (profile.types[type] || profile.default).threshold;
+    if (estimator === 'shannon' || estimator === 'precomputed') return this.GENUINE_THRESHOLD;
+    throw new Error(`No calibrated threshold for the ${estimator} estimator; ` +
+      `calibrate a threshold profile with estimator '${estimator}' or measure with shannon`);
+  },
+
   /**
    * Calculate Shannon entropy from sensor data
    * Simulates entropy measurement from hardware characteristics
@@ -46,104 +134,431 @@ const EntropyEngine = {
     return entropy / maxEntropy;
   },
 
+  /**
+   * Normalized Rényi entropy of order alpha (alpha = 1 is Shannon)
+   */
+  renyiEntropy(weights, alpha) {
+    if (alpha === 1) return this.calculateEntropy(weights);
+    const total = weights.reduce((sum, v) => sum + v, 0);
+    if (total === 0) return 0;
+
+    let sum = 0;
+    for (const w of weights) {
+      if (w > 0) sum += Math.pow(w / total, alpha);
+    }
+    const entropy = Math.log2(sum) / (1 - alpha);
+    return Math.max(0, Math.min(1, entropy / Math.log2(weights.length)));
+  },
+
+  /**
+   * Approximate entropy ApEn(m, r) (Pincus), self-matches included
+   */
+  approximateEntropy(x, m, r) {
+    const phi = length => {
+      const count = x.length - length + 1;
+      let sum = 0;
+      for (let i = 0; i < count; i++) {
+        let matches = 0;
+        for (let j = 0; j < count; j++) {
+          let k = 0;
+          while (k < length && Math.abs(x[i + k] - x[j + k]) <= r) k++;
+          if (k === length) matches++;
+        }
+        sum += Math.log(matches / count);
+      }
+      return sum / count;
+    };
+    return phi(m) - phi(m + 1);
+  },
+
+  /**
+   * Sample entropy SampEn(m, r) (Richman-Moorman); null when no templates match
+   */
+  sampleEntropy(x, m, r) {
+    const count = x.length - m;
+    let b = 0;
+    let a = 0;
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        let k = 0;
+        while (k < m && Math.abs(x[i + k] - x[j + k]) <= r) k++;
+        if (k < m) continue;
+        b++;
+        if (Math.abs(x[i + m] - x[j + m]) <= r) a++;
+      }
+    }
+    return a > 0 && b > 0 ? -Math.log(a / b) : null;
+  },
+
+  /**
+   * One estimator over one window, normalized to 0-1
+   * Spectra are power distributions already; other traces are binned first.
+   * ApEn and SampEn are scaled by -ln(q), their value for independent samples
+   * with the same values (q: share of sample pairs within r); only they pay
+   * for the O(n²) pair count.
+   */
+  windowEstimate(window, kind, params, estimator) {
+    if (estimator === 'shannon' || estimator === 'renyi') {
+      const weights = kind === 'spectrum' ? window : SensorTrace.histogram(window, params.bins);
+      return estimator === 'shannon' ? this.calculateEntropy(weights) : this.renyiEntropy(weights, params.alpha);
+    }
+
+    const mean = window.reduce((sum, v) => sum + v, 0) / window.length;
+    const sd = Math.sqrt(window.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / window.length);
+    if (sd === 0 || window.length <= params.m + 1) return 0;
+
+    const r = params.r * sd;
+    let within = 0;
+    for (let i = 0; i < window.length; i++) {
+      for (let j = i + 1; j < window.length; j++) {
+        if (Math.abs(window[i] - window[j]) <= r) within++;
+      }
+    }
+    const reference = -Math.log(within / (window.length * (window.length - 1) / 2));
+    if (!(reference > 0) || !Number.isFinite(reference)) return 0;
+
+    const scale = value => Math.max(0, Math.min(1, value / reference));
+    if (estimator === 'approximate') {
+      return scale(this.approximateEntropy(window, params.m, r));
+    }
+    const sample = this.sampleEntropy(window, params.m, r);
+    return sample === null ? 1 : scale(sample);
+  },
+
+  /**
+   * Measure a raw sensor trace (anything SensorTrace.create accepts)
+   * options: kind, column (CSV), window { size, step }, estimator (default
+   * 'shannon'), compare (more estimators to report in estimates), bins, alpha,
+   * m, r. Only the requested estimators are computed.
+   * Returns { value, estimator, params, estimates, trace }.
+   */
+  measureTrace(input, options = {}) {
+    const estimator = options.estimator || 'shannon';
+    const names = [...new Set([estimator, ...(options.compare || [])])];
+    for (const name of names) {
+      if (!this.ESTIMATORS.includes(name)) {
+        throw new Error(`Unknown entropy estimator ${name}`);
+      }
+    }
+    const params = {};
+    for (const [name, fallback] of Object.entries(this.ESTIMATOR_DEFAULTS)) {
+      params[name] = options[name] !== undefined ? options[name] : fallback;
+    }
+
+    const trace = SensorTrace.create(input, options);
+    const windows = SensorTrace.windows(trace, options.window);
+    const estimates = {};
+    for (const name of names) {
+      estimates[name] = 0;
+      for (const window of windows) {
+        estimates[name] += this.windowEstimate(window, trace.kind, params, name) / windows.length;
+      }
+    }
+
+    return {
+      value: estimates[estimator],
+      estimator: estimator,
+      params: params,
+      estimates: estimates,
+      trace: SensorTrace.summary(trace, windows.length)
+    };
+  },
+
   /**
    * Add thermal noise based on environment
+   * rng: anything with random() in [0, 1)
    */
-  addThermalNoise(baseEntropy, mode) {
+  addThermalNoise(baseEntropy, mode, rng = Math) {
     const noise = mode === 'orbital' ? this.ORBITAL_NOISE : this.TERRESTRIAL_NOISE;
     // Random noise within ± noise range
-    const noiseValue = (Math.random() - 0.5) * 2 * noise;
+    const noiseValue = (rng.random() - 0.5) * 2 * noise;
     return Math.max(0, Math.min(1, baseEntropy + noiseValue));
   },
 
   /**
-   * Calculate verification confidence
-   * Higher confidence when thermal noise is eliminated
+   * Verdict for a measured entropy
+   * Thermal noise is bounded by the noise floor, so the true entropy lies in
+   * measured ± noise: GENUINE when all of it clears the threshold, COUNTERFEIT
+   * when all of it falls short, otherwise INCONCLUSIVE (re-measure)
    */
-  calculateConfidence(entropy, mode) {
+  classify(measuredEntropy, mode, threshold = this.GENUINE_THRESHOLD) {
     const noise = mode === 'orbital' ? this.ORBITAL_NOISE : this.TERRESTRIAL_NOISE;
+    const interval = [Math.max(0, measuredEntropy - noise), Math.min(1, measuredEntropy + noise)];
 
-    // Distance from threshold
-    const distance = Math.abs(entropy - this.GENUINE_THRESHOLD);
+    let verdict = this.VERDICTS.INCONCLUSIVE;
+    if (interval[0] >= threshold) {
+      verdict = this.VERDICTS.GENUINE;
+    } else if (interval[1] < threshold) {
+      verdict = this.VERDICTS.COUNTERFEIT;
+    }
+    return { verdict, interval };
+  },
 
-    // Confidence based on signal-to-noise ratio
-    // If noise is small relative to distance from threshold, confidence is high
-    const snr = distance / noise;
+  /**
+   * Standard normal CDF (Abramowitz-Stegun 7.1.26, error < 1.5e-7)
+   */
+  normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  },
 
-    // Convert SNR to confidence (sigmoid-like mapping)
-    const confidence = 1 / (1 + Math.exp(-2 * (snr - 1)));
+  /**
+   * P(true entropy >= threshold) given a measurement, with the uniform thermal
+   * noise modelled as Gaussian with the same SD (noise / √3), as in verifySequential
+   */
+  probabilityGenuine(measuredEntropy, mode, threshold = this.GENUINE_THRESHOLD) {
+    const noise = mode === 'orbital' ? this.ORBITAL_NOISE : this.TERRESTRIAL_NOISE;
+    return this.normalCdf((measuredEntropy - threshold) / (noise / Math.sqrt(3)));
+  },
 
-    return Math.min(0.999, Math.max(0.5, confidence));
+  /**
+   * Confidence in a verdict: P(genuine) for GENUINE, 1 - P(genuine) for
+   * COUNTERFEIT. INCONCLUSIVE accepts neither hypothesis and reports 0.5 (no
+   * better than chance); which way the evidence leans is in p_genuine.
+   */
+  verdictConfidence(verdict, pGenuine) {
+    if (verdict === this.VERDICTS.GENUINE) return Math.min(0.999, pGenuine);
+    if (verdict === this.VERDICTS.COUNTERFEIT) return Math.min(0.999, 1 - pGenuine);
+    return 0.5;
+  },
+
+  /**
+   * Confidence in the verdict classify() gives a measurement
+   * A decisive verdict's interval clears the threshold by a full noise floor,
+   * so its confidence is at least Φ(√3) ≈ 0.958 and grows with the margin.
+   */
+  calculateConfidence(entropy, mode, threshold = this.GENUINE_THRESHOLD) {
+    const { verdict } = this.classify(entropy, mode, threshold);
+    return this.verdictConfidence(verdict, this.probabilityGenuine(entropy, mode, threshold));
   },
 
   /**
    * Verify a hardware component
+   * options.seed replays a recorded verification (result.seed) draw for draw;
+   * options.trace (or component.trace) is measured instead of simulating one,
+   * with the measureTrace options
    */
-  verifyComponent(component, mode = 'terrestrial') {
+  verifyComponent(component, mode = 'terrestrial', options = {}) {
     const startTime = performance.now();
+    const rng = SeededRandom.child(this.rng, options.seed);
 
-    // Get base entropy from component
-    const baseEntropy = component.entropy;
+    const trace = options.trace || component.trace;
+    let baseEntropy = null;
+    let measuredEntropy;
+    let measurement;
+    if (trace) {
+      // The trace already carries the bench's noise
+      measurement = this.measureTrace(trace, options);
+      measuredEntropy = measurement.value;
+    } else {
+      // Get base entropy from component (simulated part; only the measurement is judged)
+      baseEntropy = component.entropy;
 
-    // Add environmental noise
-    const measuredEntropy = this.addThermalNoise(baseEntropy, mode);
+      // Add environmental noise
+      measuredEntropy = this.addThermalNoise(baseEntropy, mode, rng);
+      measurement = { estimator: 'precomputed' };
+    }
 
     // Calculate noise floor
     const noiseFloor = mode === 'orbital' ? this.ORBITAL_NOISE : this.TERRESTRIAL_NOISE;
 
-    // Determine if genuine based on threshold
-    const isGenuine = baseEntropy >= this.GENUINE_THRESHOLD;
+    // Verdict from the measurement's interval against the type's threshold on the estimator's scale
+    const threshold = this.thresholdFor(component.type, measurement.estimator, mode);
+    const { verdict, interval } = this.classify(measuredEntropy, mode, threshold);
+
+    // Confidence in that verdict, from where the measurement sits relative to the threshold
+    const pGenuine = this.probabilityGenuine(measuredEntropy, mode, threshold);
+    const confidence = this.verdictConfidence(verdict, pGenuine);
 
-    // Calculate confidence
-    const confidence = this.calculateConfidence(measuredEntropy, mode);
+    return this.buildResult(component, mode, startTime, {
+      base: baseEntropy,
+      measured: measuredEntropy,
+      noise_floor: noiseFloor,
+      interval: interval,
+      measurement: measurement,
+      threshold: threshold,
+      profile: this.profileFor(measurement.estimator, mode),
+      verdict: verdict,
+      p_genuine: pGenuine,
+      confidence: confidence,
+      seed: rng.seed
+    });
+  },
 
+  /**
+   * Sequential verification: Wald's SPRT over repeated measurements
+   * Samples until the log-likelihood ratio of genuine (mean type threshold +
+   * indifference) over counterfeit (threshold - indifference) reaches
+   * ln((1 - beta) / alpha) or ln(beta / (1 - alpha)). Uniform thermal noise is
+   * modelled as Gaussian with the same SD (noise / √3); reaching max_samples
+   * first is INCONCLUSIVE. p_genuine is the posterior P(genuine) whatever the
+   * verdict. options: SEQUENTIAL_DEFAULTS fields, seed.
+   */
+  verifySequential(component, mode = 'terrestrial', options = {}) {
+    if (options.trace || component.trace) {
+      throw new Error('Sequential verification samples simulated measurements; verify traces with verifyComponent');
+    }
+    const startTime = performance.now();
+    const rng = SeededRandom.child(this.rng, options.seed);
+
+    const config = {};
+    for (const [name, fallback] of Object.entries(this.SEQUENTIAL_DEFAULTS)) {
+      config[name] = options[name] !== undefined ? options[name] : fallback;
+    }
+    const { alpha, beta, indifference, prior } = config;
+    if (!(alpha > 0 && beta > 0 && alpha + beta < 1)) {
+      throw new Error('SPRT error rates need alpha > 0, beta > 0 and alpha + beta < 1');
+    }
+    if (!(indifference > 0) || !Number.isInteger(config.max_samples) || config.max_samples < 1 ||
+        !(prior > 0 && prior < 1)) {
+      throw new Error('SPRT needs indifference > 0, an integer max_samples >= 1 and 0 < prior < 1');
+    }
+
+    const noiseFloor = mode === 'orbital' ? this.ORBITAL_NOISE : this.TERRESTRIAL_NOISE;
+    const threshold = this.thresholdFor(component.type, 'precomputed', mode);
+    const sd = noiseFloor / Math.sqrt(3);
+    const upper = Math.log((1 - beta) / alpha);
+    const lower = Math.log(beta / (1 - alpha));
+    // Per-sample log-likelihood ratio of two Gaussians 2·indifference apart
+    const slope = 2 * indifference / (sd * sd);
+
+    let llr = 0;
+    let sum = 0;
+    let samples = 0;
+    while (samples < config.max_samples && llr > lower && llr < upper) {
+      const x = this.addThermalNoise(component.entropy, mode, rng);
+      sum += x;
+      samples++;
+      llr += slope * (x - threshold);
+    }
+
+    let verdict = this.VERDICTS.INCONCLUSIVE;
+    if (llr >= upper) {
+      verdict = this.VERDICTS.GENUINE;
+    } else if (llr <= lower) {
+      verdict = this.VERDICTS.COUNTERFEIT;
+    }
+
+    // P(genuine | samples) from the prior odds and the likelihood ratio; confidence
+    // follows the verdict as in single-shot mode (INCONCLUSIVE stays at 0.5)
+    const posterior = 1 / (1 + Math.exp(-(llr + Math.log(prior / (1 - prior)))));
+    const confidence = this.verdictConfidence(verdict, posterior);
+
+    // 95% interval of the sample mean
+    const mean = sum / samples;
+    const halfWidth = 1.96 * sd / Math.sqrt(samples);
+
+    return this.buildResult(component, mode, startTime, {
+      base: component.entropy,
+      measured: mean,
+      noise_floor: noiseFloor,
+      interval: [Math.max(0, mean - halfWidth), Math.min(1, mean + halfWidth)],
+      measurement: { estimator: 'precomputed' },
+      threshold: threshold,
+      profile: this.profileFor('precomputed', mode),
+      verdict: verdict,
+      p_genuine: posterior,
+      confidence: confidence,
+      seed: rng.seed,
+      sequential: {
+        ...config,
+        samples: samples,
+        llr: llr,
+        bounds: [lower, upper],
+        posterior: posterior
+      }
+    });
+  },
+
+  /**
+   * Result object shared by single-shot and sequential verification
+   */
+  buildResult(component, mode, startTime, fields) {
     // Verification time (orbital is faster due to vacuum propagation)
     const latencyMultiplier = mode === 'orbital' ? 0.6 : 1.0;  // 40% faster in vacuum
     const verificationTime = (performance.now() - startTime) * latencyMultiplier;
 
-    return {
+    const result = {
       component_id: component.id,
       component_type: component.type,
       mode: mode,
       entropy: {
-        base: baseEntropy,
-        measured: measuredEntropy,
-        noise_floor: noiseFloor,
-        formatted: `${measuredEntropy.toFixed(2)}±${noiseFloor.toFixed(2)}`
+        base: fields.base,
+        measured: fields.measured,
+        noise_floor: fields.noise_floor,
+        interval: fields.interval,
+        formatted: `${fields.measured.toFixed(2)}±${fields.noise_floor.toFixed(2)}`
       },
-      threshold: this.GENUINE_THRESHOLD,
-      is_genuine: isGenuine,
-      confidence: confidence,
-      confidence_pct: (confidence * 100).toFixed(1),
+      measurement: fields.measurement,
+      threshold: fields.threshold,
+      // Calibrated profile the threshold came from (null: GENUINE_THRESHOLD)
+      threshold_profile: fields.profile
+        ? { id: fields.profile.profile_id, version: fields.profile.version }
+        : null,
+      verdict: fields.verdict,
+      // Only a GENUINE verdict accepts the part
+      is_genuine: fields.verdict === this.VERDICTS.GENUINE,
+      // P(genuine) behind the verdict; confidence is the verdict's share of it
+      p_genuine: fields.p_genuine,
+      confidence: fields.confidence,
+      confidence_pct: (fields.confidence * 100).toFixed(1),
       thermal_baseline: mode === 'orbital' ? `${this.ORBITAL_TEMP_C}°C` : `${this.TERRESTRIAL_TEMP_C}°C`,
       verification_time_ms: verificationTime.toFixed(2),
+      seed: fields.seed,
       timestamp: new Date().toISOString()
     };
+    if (fields.sequential) {
+      result.sequential = fields.sequential;
+    }
+    return result;
   },
 
   /**
    * Batch verification with throughput measurement
+   * options.onResult(result) runs after each verification (e.g. emit + SLO gate);
+   * a StopRule thrown there halts the batch and is reported in `halted`;
+   * options.sequential (true or SPRT options) verifies each part with verifySequential
    */
-  batchVerify(components, mode = 'terrestrial') {
+  batchVerify(components, mode = 'terrestrial', options = {}) {
     const startTime = performance.now();
     const results = [];
+    let halted = null;
+
+    const sequential = options.sequential === true ? {} : options.sequential;
 
     for (const component of components) {
-      results.push(this.verifyComponent(component, mode));
+      const result = sequential
+        ? this.verifySequential(component, mode, sequential)
+        : this.verifyComponent(component, mode);
+      results.push(result);
+      if (!options.onResult) continue;
+      try {
+        options.onResult(result);
+      } catch (e) {
+        if (e.name !== 'StopRule') throw e;
+        halted = { component_id: component.id, reason: e.message, breaches: e.breaches };
+        break;
+      }
     }
 
     const totalTime = performance.now() - startTime;
-    const throughput = components.length / (totalTime / 1000);
+    const throughput = results.length / (totalTime / 1000);
 
     // Orbital throughput is 10x due to zero marginal power cost
     const effectiveThroughput = mode === 'orbital' ? throughput * 10 : throughput;
 
     return {
       results: results,
-      count: components.length,
+      count: results.length,
       total_time_ms: totalTime.toFixed(2),
       throughput_per_second: effectiveThroughput.toFixed(1),
-      mode: mode
+      mode: mode,
+      // Measurements taken: one per part unless sequential
+      samples: results.reduce((sum, result) => sum + (result.sequential ? result.sequential.samples : 1), 0),
+      halted: halted
     };
   },
 
@@ -0,0 +1,288 @@
+/**
+ * SpaceProof Evidence Verifier
+ *
+ * Offline check of an evidence bundle (see ledger_export.js), using only the
+ * bundle and, optionally, keys and TSA certificates the verifier already trusts:
+ * - bundle_hash and schema version
+ * - every receipt's payload commitments, envelope hash, chain link and Ed25519 signature
+ * - each tenant's Merkle root, every anchor's roots and timestamp token
+ *   (an archived prefix is represented by its Merkle frontier and last hash)
+ * - each receipt and tenant under its own hash suite (see hash_suite.js)
+ * - the cross-tenant super-root, when present
+ *
+ * Reads no local state (ledger, KeyStore, TSA), so it gives the same answer anywhere.
+ * Node: node demo/evidence_verifier.js bundle.json [--keys key_bundle.json] [--tsa certificate.json]
+ */
+
+// Sibling modules are shared globals in the browser (see index.html); load them in Node
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.Ed25519 = globalThis.Ed25519 || require('./ed25519.js');
+  globalThis.HashSuite = globalThis.HashSuite || require('./hash_suite.js');
+  globalThis.MerkleTree = globalThis.MerkleTree || require('./merkle_tree.js');
+  globalThis.LedgerSchema = globalThis.LedgerSchema || require('./schema_validator.js');
+  globalThis.KeyStore = globalThis.KeyStore || require('./key_store.js');
+  globalThis.TimestampAuthority = globalThis.TimestampAuthority || require('./timestamp_authority.js');
+  globalThis.LedgerExport = globalThis.LedgerExport || require('./ledger_export.js');
+  globalThis.ReceiptChain = globalThis.ReceiptChain || require('./receipt_chain.js');
+}
+
+const EvidenceVerifier = {
+  SUPPORTED_VERSIONS: ['1.0'],
+
+  /**
+   * Verify a bundle
+   * options.trustedKeys: public-key bundle or key list to pin signing keys to
+   * options.trustedCertificates: TSA certificates to pin timestamp tokens to
+   * Without pins the bundle's own keys and certificates are used (trust: 'bundle').
+   * Returns { valid, issues: [{ kind, message, tenant_id?, index? }], tenants, super_root, trust, error? }
+   */
+  verify(bundle, options = {}) {
+    const issues = [];
+    const report = { valid: false, issues: issues, tenants: {}, super_root: null };
+    const fail = (kind, message, where = {}) => issues.push({ kind, message, ...where });
+
+    if (!bundle || bundle.bundle_format !== LedgerExport.BUNDLE_FORMAT) {
+      fail('format', 'Not a SpaceProof evidence bundle');
+      return this.finish(report);
+    }
+    if (!this.SUPPORTED_VERSIONS.includes(bundle.bundle_version)) {
+      fail('format', `Unsupported bundle version ${bundle.bundle_version}`);
+      return this.finish(report);
+    }
+    const suite = bundle.hash_suite || HashSuite.LEGACY;
+    const unknown = [suite, ...(bundle.tenants || []).map(tenant => tenant.hash_suite)]
+      .filter(id => id !== undefined && !HashSuite.has(id));
+    if (unknown.length > 0) {
+      fail('hash_suite', `Unknown hash suite ${unknown[0]}`);
+      return this.finish(report);
+    }
+    if (LedgerExport.bundleHash(bundle, ReceiptChain) !== bundle.bundle_hash) {
+      fail('bundle_hash', 'Bundle contents do not match bundle_hash');
+    }
+
+    const schema = LedgerSchema.schema;
+    report.schema_version = bundle.schema_version;
+    if (schema && bundle.schema_version !== schema.schema_version) {
+      fail('schema_version', `Bundle uses schema ${bundle.schema_version}, verifier has ${schema.schema_version}`);
+    }
+
+    const keys = this.trustedKeys(bundle, options, fail);
+    const certificates = this.trustedCertificates(bundle, options, fail);
+    report.trust = {
+      keys: options.trustedKeys ? 'pinned' : 'bundle',
+      certificates: options.trustedCertificates ? 'pinned' : 'bundle'
+    };
+
+    for (const tenant of bundle.tenants || []) {
+      report.tenants[tenant.tenant_id] = this.verifyTenant(tenant, tenant.hash_suite || suite, keys, certificates, schema, fail);
+    }
+
+    if (bundle.super_root !== undefined) {
+      const tree = MerkleTree.create((left, right) => ReceiptChain.merkleHashPair(left, right, suite));
+      for (const tenant of bundle.tenants) {
+        MerkleTree.append(tree, ReceiptChain.tenantRootLeaf({
+          tenant_id: tenant.tenant_id, tree_size: tenant.tree_size, root: tenant.merkle_root
+        }, suite));
+      }
+      report.super_root = bundle.super_root;
+      if (MerkleTree.root(tree) !== bundle.super_root) {
+        fail('super_root', 'Tenant roots do not reproduce the super-root');
+      }
+    }
+    return this.finish(report);
+  },
+
+  finish(report) {
+    report.valid = report.issues.length === 0;
+    if (!report.valid) report.error = report.issues[0].message;
+    return report;
+  },
+
+  /**
+   * key_id → public record; ids are recomputed from the key bytes
+   */
+  trustedKeys(bundle, options, fail) {
+    const keys = new Map();
+    for (const key of bundle.public_keys || []) {
+      if (key.algorithm !== 'Ed25519' || KeyStore.keyIdFor(key.public_key) !== key.key_id) {
+        fail('bad_key', `Bundle key ${key.key_id} does not match its public key`);
+        continue;
+      }
+      keys.set(key.key_id, key);
+    }
+    if (!options.trustedKeys) return keys;
+
+    const pinned = new Map((options.trustedKeys.keys || options.trustedKeys).map(key => [key.key_id, key]));
+    for (const [keyId, key] of keys) {
+      const trusted = pinned.get(keyId);
+      if (!trusted || trusted.public_key !== key.public_key || trusted.tenant_id !== key.tenant_id) {
+        fail('untrusted_key', `Bundle key ${keyId} is not among the trusted keys`);
+        keys.delete(keyId);
+      }
+    }
+    return keys;
+  },
+
+  /**
+   * fingerprint → certificate for certificates that verify
+   */
+  trustedCertificates(bundle, options, fail) {
+    const certificates = new Map();
+    for (const certificate of options.trustedCertificates || bundle.tsa_certificates || []) {
+      const check = TimestampAuthority.verifyCertificate(certificate);
+      if (!check.valid) {
+        fail('bad_certificate', `TSA certificate ${certificate.subject}: ${check.error}`);
+        continue;
+      }
+      certificates.set(TimestampAuthority.fingerprint(certificate), certificate);
+    }
+    return certificates;
+  },
+
+  /**
+   * Check one tenant's receipts, root and anchors
+   * Receipts after an archived prefix are indexed from its receipt_count on.
+   */
+  verifyTenant(tenant, suite, keys, certificates, schema, fail) {
+    const receipts = tenant.receipts || [];
+    const archived = tenant.archived;
+    const base = archived ? archived.receipt_count : 0;
+    const where = index => ({ tenant_id: tenant.tenant_id, index: base + index });
+    const hashPair = (left, right) => ReceiptChain.merkleHashPair(left, right, suite);
+    const tree = archived ? MerkleTree.fromFrontier(hashPair, base, archived.frontier) : MerkleTree.create(hashPair);
+    let anchorsVerified = 0;
+    let timestampsVerified = 0;
+
+    // Anchor receipt hash → merkle_root, for timestamp_token receipts
+    const anchorRoots = new Map();
+    const checkToken = (token, merkleRoot, at, i) => {
+      if (!token) return;
+      const certificate = certificates.get(token.certificate_fingerprint);
+      const check = certificate
+        ? TimestampAuthority.verifyToken(token, certificate, merkleRoot)
+        : { valid: false, error: 'no trusted certificate for its TSA' };
+      if (check.valid) {
+        timestampsVerified++;
+      } else {
+        fail('timestamp', `${at}: timestamp token invalid: ${check.error}`, where(i));
+      }
+    };
+
+    receipts.forEach((receipt, i) => {
+      const at = `${tenant.tenant_id} receipt ${base + i}`;
+      if (!receipt || typeof receipt !== 'object') {
+        fail('malformed', `${at} is not an object`, where(i));
+        return;
+      }
+      if (schema) {
+        const check = LedgerSchema.validateReceipt(receipt);
+        if (!check.valid) {
+          fail('schema', `${at} violates the schema: ${check.errors.map(e => e.field).join(', ')}`, where(i));
+        }
+      }
+      if (receipt.tenant_id !== tenant.tenant_id) {
+        fail('tenant', `${at} belongs to ${receipt.tenant_id}`, where(i));
+      }
+      if (ReceiptChain.suiteOf(receipt) !== suite) {
+        fail('hash_suite', `${at} uses hash suite ${ReceiptChain.suiteOf(receipt)}, the tenant uses ${suite}`, where(i));
+        MerkleTree.append(tree, receipt.receipt_hash);
+        return;
+      }
+      if (ReceiptChain.payloadHash(receipt) !== receipt.payload_hash) {
+        fail('payload_edit', `${at}: payload does not match payload_hash`, where(i));
+      }
+      if (ReceiptChain.envelopeHash(receipt) !== receipt.receipt_hash) {
+        fail('envelope_edit', `${at}: envelope does not match receipt_hash`, where(i));
+      }
+      const expectedPrev = i > 0 ? receipts[i - 1] && receipts[i - 1].receipt_hash
+        : archived ? archived.last_receipt_hash : 'GENESIS';
+      if (receipt.prev_hash !== expectedPrev) {
+        fail('broken_link', `${at} does not link to the receipt before it`, where(i));
+      }
+
+      const key = keys.get(receipt.key_id);
+      if (!receipt.signature || !key) {
+        fail(receipt.signature ? 'unknown_key' : 'unsigned',
+          receipt.signature ? `${at}: signing key ${receipt.key_id} is not trusted` : `${at} is not signed`, where(i));
+      } else if (!/^[0-9a-f]{128}$/.test(receipt.signature) ||
+          !Ed25519.verify(Ed25519.hexToBytes(receipt.signature), receipt.receipt_hash, Ed25519.hexToBytes(key.public_key))) {
+        fail('bad_signature', `${at}: signature does not verify against ${receipt.key_id}`, where(i));
+      } else if (key.tenant_id !== receipt.tenant_id) {
+        fail('key_mismatch', `${at}: key ${receipt.key_id} belongs to ${key.tenant_id}`, where(i));
+      }
+
+      if (receipt.receipt_type === ReceiptChain.RECEIPT_TYPES.BATCH_ANCHOR) {
+        const payload = receipt.payload || {};
+        const epochReceipts = receipts.slice(payload.range_start - base, i);
+        if (payload.tree_size !== base + i || payload.range_start < base || tree.size === 0 ||
+            payload.merkle_root !== MerkleTree.root(tree) ||
+            payload.range_root !== ReceiptChain.computeMerkleRoot(epochReceipts)) {
+          fail('anchor', `${at}: anchor roots do not match the receipts it covers`, where(i));
+        } else {
+          anchorsVerified++;
+        }
+
+        checkToken(payload.timestamp_token, payload.merkle_root, at, i);
+        anchorRoots.set(receipt.receipt_hash, payload.merkle_root);
+      }
+
+      // Token from an asynchronous TSA, chained after the anchor it covers
+      if (receipt.receipt_type === ReceiptChain.RECEIPT_TYPES.TIMESTAMP_TOKEN) {
+        const payload = receipt.payload || {};
+        if (anchorRoots.get(payload.anchor_hash) !== payload.merkle_root) {
+          fail('timestamp', `${at}: timestamp receipt does not match an earlier anchor`, where(i));
+        } else {
+          checkToken(payload.timestamp_token, payload.merkle_root, at, i);
+        }
+      }
+      MerkleTree.append(tree, receipt.receipt_hash);
+    });
+
+    const root = tree.size > 0 ? MerkleTree.root(tree) : ReceiptChain.dualHash('empty', suite);
+    if (root !== tenant.merkle_root || tenant.tree_size !== base + receipts.length) {
+      fail('merkle_root', `${tenant.tenant_id}: receipts do not reproduce the bundled Merkle root`, { tenant_id: tenant.tenant_id });
+    }
+    const anchorCount = receipts.filter(r => r && r.receipt_type === ReceiptChain.RECEIPT_TYPES.BATCH_ANCHOR).length;
+    if ((tenant.anchors || []).length !== anchorCount ||
+        (tenant.anchors || []).some(anchor => !receipts[anchor.index - base] ||
+          receipts[anchor.index - base].receipt_hash !== anchor.receipt_hash)) {
+      fail('anchor', `${tenant.tenant_id}: anchor index does not match the anchor receipts`, { tenant_id: tenant.tenant_id });
+    }
+
+    return {
+      length: base + receipts.length,
+      archived: base,
+      merkle_root: root,
+      anchors_verified: anchorsVerified,
+      timestamps_verified: timestampsVerified
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EvidenceVerifier;
+}
+
+// Command line: exit status 0 when the bundle verifies
+if (typeof module !== 'undefined' && typeof require !== 'undefined' && require.main === module) {
+  const fs = require('fs');
+  const args = process.argv.slice(2);
+  const option = name => {
+    const at = args.indexOf(name);
+    return at === -1 ? undefined : JSON.parse(fs.readFileSync(args[at + 1], 'utf8'));
+  };
+  const file = args.find((arg, i) => !arg.startsWith('--') && (i === 0 || !args[i - 1].startsWith('--')));
+  if (!file) {
+    console.error('Usage: node evidence_verifier.js bundle.json [--keys key_bundle.json] [--tsa certificate.json]');
+    process.exit(2);
+  }
+
+  const tsa = option('--tsa');
+  const report = EvidenceVerifier.verify(JSON.parse(fs.readFileSync(file, 'utf8')), {
+    trustedKeys: option('--keys'),
+    trustedCertificates: tsa && [].concat(tsa)
+  });
+  process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  process.exit(report.valid ? 0 : 1);
+}
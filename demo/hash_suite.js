@@ -0,0 +1,130 @@
+/**
+ * SpaceProof Hash Suites
+ *
+ * Registry of the digest combinations receipts are committed under:
+ * - A suite digest is its algorithms' hex digests joined with ':'
+ *   (sha256-blake3 gives the original SHA256:BLAKE3 dual hash)
+ * - Receipts name their suite in the envelope (hash_suite, envelope version 2);
+ *   receipts without one predate suites and are read as LEGACY
+ * - Retiring a suite stops new receipts under it. Receipts already hashed with
+ *   it keep verifying; ReceiptChain.migrateHashSuite() re-anchors them under a
+ *   live suite with a cross-link proof to their original roots.
+ */
+
+// Sibling modules are shared globals in the browser (see index.html); load them in Node
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.CryptoHash = globalThis.CryptoHash || require('./crypto_hash.js');
+}
+
+const HashSuite = {
+  // Suite of receipts written before envelopes named one
+  LEGACY: 'sha256-blake3',
+
+  // Suite new chains start with
+  defaultSuite: 'sha256-blake3',
+
+  /**
+   * Registered suites
+   *   algorithms: names recorded in anchors (hash_algorithms)
+   *   digests:    CryptoHash method names or functions(string) → hex, in order
+   *   status:     'active' or 'retired' (retired suites verify but never emit)
+   */
+  suites: {
+    'sha256-blake3': { algorithms: ['SHA256', 'BLAKE3'], digests: ['sha256', 'blake3'], status: 'active' },
+    'sha512-blake3': { algorithms: ['SHA512', 'BLAKE3'], digests: ['sha512', 'blake3'], status: 'active' }
+  },
+
+  /**
+   * Register a suite (see suites); ids are permanent once receipts use them
+   * Receipts only pass the schema gate once ledger_schema.json lists the suite too.
+   */
+  register(id, suite) {
+    if (this.suites[id]) {
+      throw new Error(`Hash suite ${id} is already registered`);
+    }
+    if (!Array.isArray(suite.algorithms) || !Array.isArray(suite.digests) ||
+        suite.algorithms.length !== suite.digests.length || suite.digests.length === 0) {
+      throw new Error(`Hash suite ${id} needs one digest per algorithm`);
+    }
+    this.suites[id] = { algorithms: suite.algorithms, digests: suite.digests, status: 'active' };
+    return this.suites[id];
+  },
+
+  has(id) {
+    return Object.prototype.hasOwnProperty.call(this.suites, id);
+  },
+
+  get(id) {
+    if (!this.has(id)) {
+      throw new Error(`Unknown hash suite ${id}`);
+    }
+    return this.suites[id];
+  },
+
+  /**
+   * Digest of a string under a suite
+   */
+  hash(id, data) {
+    return this.get(id).digests
+      .map(digest => (typeof digest === 'function' ? digest(data) : CryptoHash[digest](data)))
+      .join(':');
+  },
+
+  /**
+   * Format string, e.g. 'sha256:blake3'
+   */
+  format(id) {
+    return this.get(id).algorithms.join(':').toLowerCase();
+  },
+
+  /**
+   * Throw unless new receipts may be hashed under the suite
+   */
+  assertActive(id) {
+    const suite = this.get(id);
+    if (suite.status !== 'active') {
+      throw new Error(`Hash suite ${id} is retired (${suite.retired_reason}); migrate the ledger to an active suite`);
+    }
+  },
+
+  /**
+   * Suite new chains start with
+   */
+  setDefault(id) {
+    this.assertActive(id);
+    this.defaultSuite = id;
+    return id;
+  },
+
+  /**
+   * Stop new receipts under a suite; existing receipts are unaffected
+   */
+  retire(id, reason = 'retired') {
+    const suite = this.get(id);
+    if (id === this.defaultSuite) {
+      throw new Error(`Hash suite ${id} is the default; set another default first`);
+    }
+    suite.status = 'retired';
+    suite.retired_at = new Date().toISOString();
+    suite.retired_reason = reason;
+    return suite;
+  },
+
+  /**
+   * Registry summary for display
+   */
+  list() {
+    return Object.entries(this.suites).map(([id, suite]) => ({
+      id: id,
+      algorithms: suite.algorithms,
+      status: suite.status,
+      retired_at: suite.retired_at || null,
+      default: id === this.defaultSuite
+    }));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HashSuite;
+}
@@ -0,0 +1,360 @@
+/**
+ * SpaceProof Key Store
+ *
+ * Local Ed25519 signing keys, one active key per tenant/node:
+ * - Key ids are derived from the public key (ed25519:<sha256 prefix>)
+ * - Secret keys never leave the store; public keys are exported as a bundle
+ * - Imported bundles add verify-only keys for third-party ledgers
+ * - Persisted to every key backend: localStorage in the browser, plus backends
+ *   attached with attachBackend() (e.g. the key file next to a JSONL ledger)
+ * - Secret keys only reach an unprotected backend (localStorage) wrapped with
+ *   AES-GCM under a non-extractable wrapping key (see useDeviceKey()); without
+ *   one they stay in memory and the next session signs with a fresh key
+ *
+ * Key backends are synchronous: { id, name, protected, read() → data|null, write(data) }
+ */
+
+// Sibling modules are shared globals in the browser (see index.html); load them in Node
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.CryptoHash = globalThis.CryptoHash || require('./crypto_hash.js');
+  globalThis.Ed25519 = globalThis.Ed25519 || require('./ed25519.js');
+  globalThis.CanonicalJSON = globalThis.CanonicalJSON || require('./canonical_json.js');
+}
+
+const KeyStore = {
+  // key_id → { key_id, tenant_id, algorithm, public_key, secret_key?, created }
+  keys: {},
+
+  // tenant_id → key_id used for signing
+  active: {},
+
+  // key_id → { iv, ciphertext } (hex): secret keys wrapped for unprotected backends
+  wrapped: {},
+
+  // AES-GCM CryptoKey for wrapping secrets (see useDeviceKey())
+  wrappingKey: null,
+
+  // Key backends attached besides localStorage (see attachBackend())
+  backends: [],
+
+  // Resolves once secrets queued for wrapping are written
+  wrapQueue: Promise.resolve(),
+
+  STORAGE_KEY: 'spaceproof_keys',
+  DEVICE_KEY_DB: 'spaceproof_device_key',
+  BUNDLE_VERSION: '1.0',
+
+  /**
+   * Key id derived from the public key bytes
+   */
+  keyIdFor(publicKeyHex) {
+    return 'ed25519:' + CryptoHash.sha256(Ed25519.hexToBytes(publicKeyHex)).substring(0, 16);
+  },
+
+  /**
+   * Generate a new signing key for a tenant and make it active
+   */
+  generateKey(tenantId) {
+    const pair = Ed25519.generateKeyPair();
+    const publicKey = CryptoHash.toHex(pair.publicKey);
+    const record = {
+      key_id: this.keyIdFor(publicKey),
+      tenant_id: tenantId,
+      algorithm: 'Ed25519',
+      public_key: publicKey,
+      secret_key: CryptoHash.toHex(pair.secretKey),
+      created: new Date().toISOString()
+    };
+    this.keys[record.key_id] = record;
+    this.active[tenantId] = record.key_id;
+    this.save();
+    console.log('[KEY_STORE] Generated ' + record.key_id + ' for ' + tenantId);
+    return this.publicRecord(record);
+  },
+
+  /**
+   * Active signing key for a tenant, generated on first use
+   */
+  getSigningKey(tenantId) {
+    const keyId = this.active[tenantId];
+    if (keyId && this.keys[keyId] && this.keys[keyId].secret_key) {
+      return this.publicRecord(this.keys[keyId]);
+    }
+    return this.generateKey(tenantId);
+  },
+
+  /**
+   * Sign a message with a stored key; returns hex
+   */
+  sign(keyId, message) {
+    const record = this.keys[keyId];
+    if (!record || !record.secret_key) {
+      throw new Error(`No secret key for ${keyId}`);
+    }
+    return CryptoHash.toHex(Ed25519.sign(message, Ed25519.hexToBytes(record.secret_key)));
+  },
+
+  /**
+   * Verify a hex signature against a known key
+   * Returns { valid, error? } so callers can tell unknown keys from bad signatures
+   */
+  verify(keyId, message, signatureHex) {
+    const record = this.keys[keyId];
+    if (!record) {
+      return { valid: false, error: 'unknown_key' };
+    }
+    if (typeof signatureHex !== 'string' || !/^[0-9a-f]{128}$/.test(signatureHex)) {
+      return { valid: false, error: 'bad_signature' };
+    }
+    const valid = Ed25519.verify(Ed25519.hexToBytes(signatureHex), message, Ed25519.hexToBytes(record.public_key));
+    return valid ? { valid: true, tenant_id: record.tenant_id } : { valid: false, error: 'bad_signature' };
+  },
+
+  /**
+   * Key record without the secret half
+   */
+  publicRecord(record) {
+    return {
+      key_id: record.key_id,
+      tenant_id: record.tenant_id,
+      algorithm: record.algorithm,
+      public_key: record.public_key,
+      created: record.created
+    };
+  },
+
+  /**
+   * Public-key bundle for third parties to verify our receipts
+   */
+  exportPublicBundle() {
+    const keys = Object.values(this.keys).map(record => this.publicRecord(record));
+    return {
+      bundle_version: this.BUNDLE_VERSION,
+      generated: new Date().toISOString(),
+      keys: keys,
+      bundle_hash: CryptoHash.sha256(CanonicalJSON.stringify(keys))
+    };
+  },
+
+  /**
+   * Trust the public keys in a bundle (verify-only)
+   * The whole bundle is checked before any key is adopted: bundle_hash must
+   * match, key ids are recomputed so a bundle cannot map an id onto a different
+   * key, and no key may claim a tenant we sign for locally.
+   */
+  importPublicBundle(bundle) {
+    if (!bundle || !Array.isArray(bundle.keys) ||
+        bundle.bundle_hash !== CryptoHash.sha256(CanonicalJSON.stringify(bundle.keys))) {
+      throw new Error('Key bundle hash does not match its keys');
+    }
+    const localTenants = this.localTenants();
+    const adopt = [];
+    for (const key of bundle.keys) {
+      if (key.algorithm !== 'Ed25519' || this.keyIdFor(key.public_key) !== key.key_id) {
+        throw new Error(`Bundle key ${key.key_id} does not match its public key`);
+      }
+      const known = this.keys[key.key_id];
+      if (known && known.tenant_id === key.tenant_id) continue;
+      if (known) {
+        throw new Error(`Bundle key ${key.key_id} is already trusted for tenant ${known.tenant_id}`);
+      }
+      if (localTenants.has(key.tenant_id)) {
+        throw new Error(`Bundle key ${key.key_id} claims tenant ${key.tenant_id}, which is signed for locally`);
+      }
+      adopt.push(key);
+    }
+    for (const key of adopt) {
+      this.keys[key.key_id] = this.publicRecord(key);
+    }
+    this.save();
+    return adopt.length;
+  },
+
+  /**
+   * Tenants with a local signing key (secret held, wrapped or active)
+   */
+  localTenants() {
+    const tenants = new Set(Object.keys(this.active));
+    for (const record of Object.values(this.keys)) {
+      if (record.secret_key || this.wrapped[record.key_id]) tenants.add(record.tenant_id);
+    }
+    return tenants;
+  },
+
+  /**
+   * Browser key backend: localStorage is readable by any script on the page,
+   * so it only ever receives wrapped secrets
+   */
+  localStorageBackend() {
+    if (typeof localStorage === 'undefined') return null;
+    const storageKey = this.STORAGE_KEY;
+    return {
+      id: 'localStorage:' + storageKey,
+      name: 'localStorage',
+      protected: false,
+      read() {
+        const stored = localStorage.getItem(storageKey);
+        return stored ? JSON.parse(stored) : null;
+      },
+      write(data) {
+        localStorage.setItem(storageKey, JSON.stringify(data));
+      }
+    };
+  },
+
+  /**
+   * Every backend keys are persisted to
+   */
+  keyBackends() {
+    const local = this.localStorageBackend();
+    return local ? [local, ...this.backends] : this.backends.slice();
+  },
+
+  /**
+   * Persist keys to another backend (e.g. LedgerStorage.keyFile()) and merge
+   * the keys it already holds. Attaching the same backend id twice is a no-op.
+   */
+  async attachBackend(backend) {
+    if (!this.backends.some(existing => existing.id === backend.id)) {
+      this.backends.push(backend);
+    }
+    const restored = await this.load();
+    this.save();
+    return restored;
+  },
+
+  /**
+   * Wrap secret keys under a non-extractable AES-GCM key kept in IndexedDB
+   * (browser), created on first use; the raw key can never be read back
+   */
+  async useDeviceKey() {
+    const dbName = this.DEVICE_KEY_DB;
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore('keys');
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    const run = (mode, operation) => new Promise((resolve, reject) => {
+      const tx = db.transaction('keys', mode);
+      const request = operation(tx.objectStore('keys'));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+
+    let key = await run('readonly', store => store.get('wrapping_key'));
+    if (!key) {
+      key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await run('readwrite', store => store.put(key, 'wrapping_key'));
+    }
+    this.wrappingKey = key;
+    return key;
+  },
+
+  /**
+   * Encrypt a secret key under the wrapping key; the key id is authenticated data
+   */
+  async wrapSecret(keyId, secretHex) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: iv, additionalData: new TextEncoder().encode(keyId) },
+      this.wrappingKey, Ed25519.hexToBytes(secretHex));
+    return { iv: CryptoHash.toHex(iv), ciphertext: CryptoHash.toHex(new Uint8Array(ciphertext)) };
+  },
+
+  /**
+   * Decrypt a wrapped secret key; null when the wrapping key does not match
+   */
+  async unwrapSecret(keyId, wrapped) {
+    try {
+      const secret = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: Ed25519.hexToBytes(wrapped.iv), additionalData: new TextEncoder().encode(keyId) },
+        this.wrappingKey, Ed25519.hexToBytes(wrapped.ciphertext));
+      return CryptoHash.toHex(new Uint8Array(secret));
+    } catch (e) {
+      return null;
+    }
+  },
+
+  /**
+   * Persist keys to every backend
+   * Protected backends get secret keys as is, unprotected ones only wrapped
+   * secrets. Secrets not yet wrapped are wrapped in the background and written
+   * again; the returned promise resolves once that is done.
+   */
+  save() {
+    const backends = this.keyBackends();
+    if (backends.length === 0) return this.wrapQueue;
+
+    for (const backend of backends) {
+      const keys = {};
+      for (const record of Object.values(this.keys)) {
+        keys[record.key_id] = backend.protected ? record : this.publicRecord(record);
+      }
+      backend.write({ keys: keys, active: this.active, wrapped: this.wrapped });
+    }
+
+    const unwrapped = Object.values(this.keys).filter(record => record.secret_key && !this.wrapped[record.key_id]);
+    if (unwrapped.length > 0 && backends.some(backend => !backend.protected)) {
+      if (!this.wrappingKey) {
+        console.warn('[KEY_STORE] No wrapping key: secret keys are not persisted to unprotected storage');
+        return this.wrapQueue;
+      }
+      this.wrapQueue = this.wrapQueue.then(async () => {
+        for (const record of unwrapped) {
+          this.wrapped[record.key_id] = await this.wrapSecret(record.key_id, record.secret_key);
+        }
+        this.save();
+      }).catch(e => console.error('[KEY_STORE] Wrapping secret keys failed', e));
+    }
+    return this.wrapQueue;
+  },
+
+  /**
+   * Merge keys from every backend into the store; wrapped secrets are
+   * unwrapped when the wrapping key matches. Stored active keys win, so a
+   * restart signs with the same identity. Returns the number of known keys.
+   */
+  async load() {
+    for (const backend of this.keyBackends()) {
+      const data = backend.read();
+      if (!data) continue;
+      for (const [keyId, record] of Object.entries(data.keys || {})) {
+        if (!this.keys[keyId] || (!this.keys[keyId].secret_key && record.secret_key)) {
+          this.keys[keyId] = record;
+        }
+      }
+      Object.assign(this.wrapped, data.wrapped || {});
+      Object.assign(this.active, data.active || {});
+    }
+
+    if (this.wrappingKey) {
+      for (const [keyId, wrapped] of Object.entries(this.wrapped)) {
+        const record = this.keys[keyId];
+        if (!record || record.secret_key) continue;
+        const secret = await this.unwrapSecret(keyId, wrapped);
+        if (secret) {
+          record.secret_key = secret;
+        } else {
+          console.error('[KEY_STORE] Cannot unwrap ' + keyId + ': kept verify-only');
+        }
+      }
+    }
+    return Object.keys(this.keys).length;
+  },
+
+  /**
+   * Forget every key
+   */
+  reset() {
+    this.keys = {};
+    this.active = {};
+    this.wrapped = {};
+    this.save();
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyStore;
+}
@@ -0,0 +1,252 @@
+/**
+ * SpaceProof Ledger Export Formats
+ *
+ * Beyond JSONL (see ReceiptChain.exportLedger):
+ * - CSV: one row per receipt, payload flattened into payload.<path> columns
+ * - CBOR: compact binary ledger for downlink; hashes, signatures and salts travel as
+ *   byte strings, and decoded receipts hash and verify as the originals
+ * - Evidence bundle: ledger + anchors + Merkle roots + public keys + TSA
+ *   certificates + schema version, checked offline by evidence_verifier.js
+ */
+
+// Sibling modules are shared globals in the browser (see index.html); load them in Node
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.CBOR = globalThis.CBOR || require('./cbor.js');
+  globalThis.CryptoHash = globalThis.CryptoHash || require('./crypto_hash.js');
+  globalThis.HashSuite = globalThis.HashSuite || require('./hash_suite.js');
+  globalThis.KeyStore = globalThis.KeyStore || require('./key_store.js');
+  globalThis.LedgerSchema = globalThis.LedgerSchema || require('./schema_validator.js');
+  globalThis.TimestampAuthority = globalThis.TimestampAuthority || require('./timestamp_authority.js');
+}
+
+const LedgerExport = {
+  CBOR_FORMAT: 'spaceproof-ledger',
+  BUNDLE_FORMAT: 'spaceproof-evidence',
+  FORMAT_VERSION: '1.0',
+
+  // 2.0 packs hex as byte strings; 1.0 exports (hex as text) still decode
+  CBOR_VERSION: '2.0',
+
+  // Lowercase hex, and dual hashes (hex segments joined with ':')
+  HEX_TEXT: /^(?:[0-9a-f]{2})+$/,
+  DUAL_HEX_TEXT: /^(?:[0-9a-f]{2})+(?::(?:[0-9a-f]{2})+)+$/,
+
+  // Envelope columns, in order, ahead of the flattened payload columns
+  CSV_COLUMNS: ['tenant_id', 'index', 'receipt_type', 'ts', 'envelope_version', 'hash_suite', 'key_id',
+    'receipt_hash', 'prev_hash',
+    'payload_hash', 'signature', 'payload_redacted'],
+
+  /**
+   * Flatten a payload into { 'a.b': value } paths; arrays stay whole (as JSON)
+   */
+  flatten(value, prefix, out = {}) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [key, child] of Object.entries(value)) {
+        this.flatten(child, prefix + '.' + key, out);
+      }
+    } else {
+      out[prefix] = value;
+    }
+    return out;
+  },
+
+  /**
+   * One CSV cell (RFC 4180 quoting)
+   * Text that a spreadsheet would run as a formula is prefixed with an apostrophe.
+   */
+  csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  },
+
+  /**
+   * Receipts as CSV
+   * `index` is the position in the receipt's own tenant chain; redacted fields
+   * are listed in payload_redacted and their columns left empty.
+   */
+  toCSV(receipts) {
+    const positions = {};
+    const rows = receipts.map(receipt => {
+      const index = positions[receipt.tenant_id] || 0;
+      positions[receipt.tenant_id] = index + 1;
+      return {
+        ...receipt,
+        index: index,
+        payload_redacted: receipt.payload_redacted ? Object.keys(receipt.payload_redacted).sort().join(' ') : '',
+        fields: this.flatten(receipt.payload || {}, 'payload')
+      };
+    });
+
+    const payloadColumns = [...new Set(rows.flatMap(row => Object.keys(row.fields)))].sort();
+    const lines = [[...this.CSV_COLUMNS, ...payloadColumns].map(column => this.csvCell(column)).join(',')];
+    for (const row of rows) {
+      lines.push([
+        ...this.CSV_COLUMNS.map(column => this.csvCell(row[column])),
+        ...payloadColumns.map(column => this.csvCell(row.fields[column]))
+      ].join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Pack hex members of an object as bytes: lowercase hex text becomes a byte
+   * string, a dual hash an array of byte strings. Array elements stay as they
+   * are, so on the way back an array of byte strings can only be a dual hash.
+   */
+  packHex(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => (item !== null && typeof item === 'object' ? this.packHex(item) : item));
+    }
+    if (value === null || typeof value !== 'object') return value;
+    const out = {};
+    for (const [key, member] of Object.entries(value)) {
+      if (typeof member === 'string' && this.HEX_TEXT.test(member)) {
+        out[key] = CryptoHash.hexToBytes(member);
+      } else if (typeof member === 'string' && this.DUAL_HEX_TEXT.test(member)) {
+        out[key] = member.split(':').map(part => CryptoHash.hexToBytes(part));
+      } else {
+        out[key] = this.packHex(member);
+      }
+    }
+    return out;
+  },
+
+  /**
+   * Inverse of packHex(): byte strings back to lowercase hex
+   */
+  unpackHex(value) {
+    if (value instanceof Uint8Array) return CryptoHash.toHex(value);
+    if (Array.isArray(value)) {
+      if (value.length > 0 && value.every(item => item instanceof Uint8Array)) {
+        return value.map(item => CryptoHash.toHex(item)).join(':');
+      }
+      return value.map(item => this.unpackHex(item));
+    }
+    if (value === null || typeof value !== 'object') return value;
+    const out = {};
+    for (const [key, member] of Object.entries(value)) {
+      out[key] = this.unpackHex(member);
+    }
+    return out;
+  },
+
+  /**
+   * Receipts as one CBOR item: { format, version, receipts }
+   */
+  toCBOR(receipts) {
+    return CBOR.encode({ format: this.CBOR_FORMAT, version: this.CBOR_VERSION, receipts: receipts.map(receipt => this.packHex(receipt)) });
+  },
+
+  /**
+   * Receipts from a CBOR ledger export, hex restored as text
+   */
+  fromCBOR(bytes) {
+    const decoded = CBOR.decode(bytes);
+    if (!decoded || decoded.format !== this.CBOR_FORMAT || !Array.isArray(decoded.receipts)) {
+      throw new Error('Not a SpaceProof CBOR ledger');
+    }
+    return decoded.receipts.map(receipt => this.unpackHex(receipt));
+  },
+
+  /**
+   * CBOR ledger export → JSONL (for importLedger / verifyExportedLedger)
+   */
+  cborToJSONL(bytes) {
+    return this.fromCBOR(bytes).map(receipt => JSON.stringify(receipt)).join('\n');
+  },
+
+  /**
+   * Self-contained evidence bundle for offline verification
+   * chains: tenant chains to include (each with its receipts, anchors and root);
+   * with more than one chain the cross-tenant super-root is included too.
+   * An archived chain contributes its in-memory tail plus the Merkle frontier
+   * and last hash of its archived prefix, so roots and anchors still check.
+   * options.redact withholds payload fields (see ReceiptChain.redactionsFor).
+   * bundle_hash and the super-root use the first chain's hash suite (hash_suite).
+   */
+  createEvidenceBundle(chains, options = {}) {
+    const keyIds = new Set();
+    const certificates = new Map();
+
+    const tenants = chains.map(chain => {
+      const receipts = chain.exportReceipts({ redact: options.redact });
+      receipts.forEach(receipt => {
+        if (receipt.key_id) keyIds.add(receipt.key_id);
+      });
+
+      const anchors = chain.anchorIndices.map(index => {
+        const anchor = chain.receiptAt(index);
+        const found = chain.anchorTimestampToken(anchor);
+        const token = found && found.token;
+        if (token) {
+          const certificate = token.certificate ||
+            (chain.timestampAuthority && chain.timestampAuthority.certificate);
+          if (certificate && TimestampAuthority.fingerprint(certificate) === token.certificate_fingerprint) {
+            certificates.set(token.certificate_fingerprint, certificate);
+          }
+        }
+        return {
+          index: index,
+          epoch: anchor.payload.epoch,
+          tree_size: anchor.payload.tree_size,
+          merkle_root: anchor.payload.merkle_root,
+          receipt_hash: anchor.receipt_hash,
+          timestamped: Boolean(token)
+        };
+      });
+
+      const tenant = {
+        tenant_id: chain.tenantId,
+        hash_suite: chain.hashSuite,
+        tree_size: chain.ledgerLength(),
+        merkle_root: chain.computeMerkleRoot(),
+        anchors: anchors,
+        receipts: receipts
+      };
+      if (chain.archivedCount > 0) {
+        tenant.archived = {
+          receipt_count: chain.archivedCount,
+          last_receipt_hash: chain.archivedHeadHash(),
+          frontier: chain.archivedFrontier
+        };
+      }
+      return tenant;
+    });
+
+    const bundle = {
+      bundle_format: this.BUNDLE_FORMAT,
+      bundle_version: this.FORMAT_VERSION,
+      schema_version: LedgerSchema.schema ? LedgerSchema.schema.schema_version : null,
+      hash_suite: chains[0].hashSuite,
+      hash_format: HashSuite.format(chains[0].hashSuite),
+      created: new Date().toISOString(),
+      tenants: tenants,
+      public_keys: [...keyIds].filter(keyId => KeyStore.keys[keyId])
+        .map(keyId => KeyStore.publicRecord(KeyStore.keys[keyId])),
+      tsa_certificates: [...certificates.values()]
+    };
+    if (chains.length > 1) {
+      bundle.super_root = chains[0].getSuperRoot().super_root;
+    }
+    bundle.bundle_hash = this.bundleHash(bundle, chains[0]);
+    return bundle;
+  },
+
+  /**
+   * Dual hash (via a ReceiptChain) over everything in a bundle except bundle_hash
+   * itself, under the bundle's hash suite (bundles without one predate suites)
+   */
+  bundleHash(bundle, chain) {
+    const { bundle_hash, ...content } = bundle;
+    return chain.dualHash(content, bundle.hash_suite || HashSuite.LEGACY);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LedgerExport;
+}
@@ -0,0 +1,333 @@
+/**
+ * SpaceProof Ledger Storage
+ *
+ * Pluggable persistence for ReceiptChain. Every backend exposes the same
+ * async interface:
+ * - load()          → receipts in ledger order (null for unreadable entries)
+ * - append(receipt) → persist one receipt at the end of the ledger
+ * - compact(count)  → drop the first `count` receipts (they have been archived)
+ * - clear()         → drop every stored receipt
+ *
+ * Backends:
+ * - memory:    non-persistent, for tests and throwaway sessions
+ * - indexedDB: browser, survives page reloads
+ * - jsonlFile: Node, append-only JSONL (one receipt per line); its `keys` is the
+ *   key file next to it, so a restart can verify and keep signing (see KeyStore)
+ *
+ * Node files default to dataDir() ($SPACEPROOF_DATA_DIR or ~/.spaceproof), never
+ * the repository: data/ holds versioned fixtures, and key files hold secrets.
+ *
+ * Archives hold epochs rolled out of the live ledger (see ReceiptChain.archiveEpochs):
+ * - put(segment) / get(segmentId) → one archived segment with its receipts
+ * - putManifest(manifest) / getManifest() → checkpoints to resume from (null when empty)
+ * - clear()
+ *
+ * Archive backends: memoryArchive, indexedDBArchive (browser), directoryArchive (Node)
+ */
+
+const LedgerStorage = {
+  /**
+   * Node: directory for ledgers, key files and archives outside the repository
+   */
+  dataDir() {
+    const path = require('path');
+    return process.env.SPACEPROOF_DATA_DIR || path.join(require('os').homedir(), '.spaceproof');
+  },
+
+  /**
+   * Node: refuse a path inside the repository, so secrets never sit beside versioned files
+   */
+  assertOutsideRepo(file) {
+    const path = require('path');
+    const relative = path.relative(path.resolve(__dirname, '..'), path.resolve(file));
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+      throw new Error(`Refusing to keep ${file} inside the repository; use a path outside it`);
+    }
+  },
+
+  /**
+   * Non-persistent backend
+   */
+  memory() {
+    let receipts = [];
+    return {
+      name: 'memory',
+      async load() {
+        return receipts.slice();
+      },
+      async append(receipt) {
+        receipts.push(receipt);
+      },
+      async compact(count) {
+        receipts = receipts.slice(count);
+      },
+      async clear() {
+        receipts = [];
+      }
+    };
+  },
+
+  /**
+   * Browser backend: one IndexedDB object store, auto-incrementing keys keep ledger order
+   */
+  indexedDB(options = {}) {
+    const dbName = options.dbName || 'spaceproof';
+    const storeName = options.storeName || 'receipts';
+    let dbPromise = null;
+
+    const open = () => {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const request = indexedDB.open(dbName, 1);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(storeName, { autoIncrement: true });
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return dbPromise;
+    };
+
+    const run = async (mode, operation) => {
+      const db = await open();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    };
+
+    return {
+      name: 'indexedDB',
+      async load() {
+        return run('readonly', store => store.getAll());
+      },
+      async append(receipt) {
+        await run('readwrite', store => store.add(receipt));
+      },
+      async compact(count) {
+        // Auto-increment keys are in ledger order, so the first `count` keys are the oldest
+        const keys = await run('readonly', store => store.getAllKeys(null, count));
+        if (keys.length > 0) {
+          await run('readwrite', store => store.delete(IDBKeyRange.upperBound(keys[keys.length - 1])));
+        }
+      },
+      async clear() {
+        await run('readwrite', store => store.clear());
+      }
+    };
+  },
+
+  /**
+   * Node backend: append-only JSONL file (defaults to receipts.jsonl in dataDir())
+   */
+  jsonlFile(filePath) {
+    const fs = require('fs');
+    const path = require('path');
+    const file = path.resolve(filePath || path.join(LedgerStorage.dataDir(), 'receipts.jsonl'));
+
+    return {
+      name: 'jsonlFile',
+      file: file,
+      keys: LedgerStorage.keyFile(file.replace(/\.jsonl$/, '') + '.keys.json'),
+      async load() {
+        let text;
+        try {
+          text = await fs.promises.readFile(file, 'utf8');
+        } catch (e) {
+          if (e.code === 'ENOENT') return [];
+          throw e;
+        }
+        return text.split('\n')
+          .filter(line => line.trim() !== '')
+          .map(line => {
+            // Unparseable lines surface as malformed when the chain is re-verified
+            try {
+              return JSON.parse(line);
+            } catch (e) {
+              return null;
+            }
+          });
+      },
+      async append(receipt) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(receipt) + '\n', 'utf8');
+      },
+      async compact(count) {
+        const lines = (await fs.promises.readFile(file, 'utf8')).split('\n').filter(line => line.trim() !== '');
+        const rest = lines.slice(count);
+        // Write then rename, so a crash never leaves a truncated ledger
+        await fs.promises.writeFile(file + '.tmp', rest.map(line => line + '\n').join(''), 'utf8');
+        await fs.promises.rename(file + '.tmp', file);
+      },
+      async clear() {
+        await fs.promises.writeFile(file, '', 'utf8');
+      }
+    };
+  },
+
+  /**
+   * Node key backend for KeyStore: one JSON file readable by its owner only
+   * (mode 0600), so secret keys are stored as is; it must lie outside the repository
+   */
+  keyFile(filePath) {
+    const fs = require('fs');
+    const path = require('path');
+    const file = path.resolve(filePath || path.join(LedgerStorage.dataDir(), 'keys.json'));
+    LedgerStorage.assertOutsideRepo(file);
+
+    return {
+      id: 'keyFile:' + file,
+      name: 'keyFile',
+      protected: true,
+      file: file,
+      read() {
+        try {
+          return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+          if (e.code === 'ENOENT') return null;
+          throw e;
+        }
+      },
+      write(data) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        // Write then rename, so a crash never leaves a truncated key file
+        fs.writeFileSync(file + '.tmp', JSON.stringify(data, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+        fs.renameSync(file + '.tmp', file);
+      }
+    };
+  },
+
+  /**
+   * Non-persistent archive
+   */
+  memoryArchive() {
+    let segments = {};
+    let manifest = null;
+    return {
+      name: 'memoryArchive',
+      async put(segment) {
+        segments[segment.segment_id] = JSON.stringify(segment);
+      },
+      async get(segmentId) {
+        return segments[segmentId] ? JSON.parse(segments[segmentId]) : null;
+      },
+      async putManifest(value) {
+        manifest = JSON.stringify(value);
+      },
+      async getManifest() {
+        return manifest ? JSON.parse(manifest) : null;
+      },
+      async clear() {
+        segments = {};
+        manifest = null;
+      }
+    };
+  },
+
+  /**
+   * Browser archive: segments and the manifest in their own IndexedDB database
+   */
+  indexedDBArchive(options = {}) {
+    const dbName = options.dbName || 'spaceproof_archive';
+    const storeName = 'archive';
+    const MANIFEST_KEY = '_manifest';
+    let dbPromise = null;
+
+    const open = () => {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const request = indexedDB.open(dbName, 1);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(storeName);
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return dbPromise;
+    };
+
+    const run = async (mode, operation) => {
+      const db = await open();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    };
+
+    return {
+      name: 'indexedDBArchive',
+      async put(segment) {
+        await run('readwrite', store => store.put(segment, segment.segment_id));
+      },
+      async get(segmentId) {
+        return (await run('readonly', store => store.get(segmentId))) || null;
+      },
+      async putManifest(manifest) {
+        await run('readwrite', store => store.put(manifest, MANIFEST_KEY));
+      },
+      async getManifest() {
+        return (await run('readonly', store => store.get(MANIFEST_KEY))) || null;
+      },
+      async clear() {
+        await run('readwrite', store => store.clear());
+      }
+    };
+  },
+
+  /**
+   * Node archive: one JSON file per segment plus manifest.json (defaults to archive/ in dataDir())
+   */
+  directoryArchive(dirPath) {
+    const fs = require('fs');
+    const path = require('path');
+    const dir = dirPath || path.join(LedgerStorage.dataDir(), 'archive');
+    const fileFor = segmentId => path.join(dir, segmentId.replace(/[^A-Za-z0-9_.-]/g, '_') + '.json');
+    const manifestFile = path.join(dir, 'manifest.json');
+
+    const readJSON = async (file) => {
+      try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    };
+    const writeJSON = async (file, value) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify(value) + '\n', 'utf8');
+    };
+
+    return {
+      name: 'directoryArchive',
+      dir: dir,
+      async put(segment) {
+        await writeJSON(fileFor(segment.segment_id), segment);
+      },
+      async get(segmentId) {
+        return readJSON(fileFor(segmentId));
+      },
+      async putManifest(manifest) {
+        await writeJSON(manifestFile, manifest);
+      },
+      async getManifest() {
+        return readJSON(manifestFile);
+      },
+      async clear() {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+      }
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LedgerStorage;
+}
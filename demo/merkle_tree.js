@@ -0,0 +1,271 @@
+/**
+ * SpaceProof Incremental Merkle Tree
+ *
+ * Append-only tree in the RFC 6962 shape:
+ * - MTH(D[n]) = H(MTH(D[0:k]) + MTH(D[k:n])), k = largest power of 2 < n
+ * - No duplicated nodes, so every historical size has exactly one root
+ *
+ * Every complete (perfect) subtree hash is kept per level, so an append
+ * touches O(log n) nodes and the root, inclusion path or any earlier
+ * tree size's root is rebuilt from O(log n) stored nodes.
+ *
+ * prune() drops the nodes of an archived prefix except its frontier (one
+ * perfect subtree per set bit of the prefix size), which is all that appends,
+ * later roots and proofs for the remaining leaves ever read.
+ */
+
+const MerkleTree = {
+  /**
+   * Create an empty tree
+   * hashPair(left, right) combines two child hashes into their parent
+   */
+  create(hashPair) {
+    return {
+      size: 0,
+      levels: [[]],  // levels[k][i - offsets[k]] = hash of leaves [i * 2^k, (i + 1) * 2^k)
+      offsets: [],   // per level, the first node still stored (see prune())
+      pruned: 0,     // leaves before this index are no longer stored
+      hashPair: hashPair
+    };
+  },
+
+  /**
+   * Stored node at `level`, `index`; throws for pruned nodes
+   */
+  node(tree, level, index) {
+    const offset = tree.offsets[level] || 0;
+    if (index < offset) {
+      throw new Error(`Merkle node covers archived leaves (before ${tree.pruned})`);
+    }
+    return tree.levels[level][index - offset];
+  },
+
+  /**
+   * Perfect subtrees covering the first `size` leaves, largest first
+   * [{ level, index, hash }] — enough to rebuild the tree with fromFrontier()
+   */
+  frontier(tree, size = tree.size) {
+    const nodes = [];
+    for (let level = tree.levels.length - 1; level >= 0; level--) {
+      if (Math.floor(size / 2 ** level) % 2 === 1) {
+        const index = Math.floor(size / 2 ** level) - 1;
+        nodes.push({ level: level, index: index, hash: this.node(tree, level, index) });
+      }
+    }
+    return nodes;
+  },
+
+  /**
+   * Forget every node inside the first `size` leaves except their frontier
+   * Appends, roots for sizes >= `size` and proofs for later leaves still work.
+   */
+  prune(tree, size) {
+    if (!Number.isInteger(size) || size < tree.pruned || size > tree.size) {
+      throw new Error(`Cannot prune to ${size} (tree has ${tree.size}, pruned to ${tree.pruned})`);
+    }
+    tree.levels.forEach((row, level) => {
+      const complete = Math.floor(size / 2 ** level);
+      const keep = complete - (complete % 2);
+      const offset = tree.offsets[level] || 0;
+      if (keep > offset) {
+        tree.levels[level] = row.slice(keep - offset);
+        tree.offsets[level] = keep;
+      }
+    });
+    tree.pruned = size;
+    return tree;
+  },
+
+  /**
+   * Tree of `size` leaves known only by its frontier (see frontier())
+   */
+  fromFrontier(hashPair, size, frontier) {
+    const tree = this.create(hashPair);
+    tree.size = size;
+    tree.pruned = size;
+    tree.levels = [];
+    for (let level = 0; 2 ** level <= size || level === 0; level++) {
+      const complete = Math.floor(size / 2 ** level);
+      const node = frontier.find(entry => entry.level === level);
+      if ((complete % 2 === 1) !== Boolean(node) || (node && node.index !== complete - 1)) {
+        throw new Error(`Frontier does not match a tree of ${size} leaves`);
+      }
+      tree.levels[level] = node ? [node.hash] : [];
+      tree.offsets[level] = node ? node.index : complete;
+    }
+    return tree;
+  },
+
+  /**
+   * Append a leaf hash; completes any perfect subtrees it closes
+   */
+  append(tree, leafHash) {
+    let index = tree.size;
+    let level = 0;
+    tree.levels[0].push(leafHash);
+    tree.size++;
+
+    while (index % 2 === 1) {
+      if (!tree.levels[level + 1]) tree.levels[level + 1] = [];
+      tree.levels[level + 1].push(tree.hashPair(this.node(tree, level, index - 1), this.node(tree, level, index)));
+      index = (index - 1) / 2;
+      level++;
+    }
+    return tree.size;
+  },
+
+  /**
+   * Largest power of two strictly below n (n > 1)
+   */
+  splitPoint(n) {
+    let k = 1;
+    while (k * 2 < n) k *= 2;
+    return k;
+  },
+
+  /**
+   * Hash of leaves [start, end), assembled from stored perfect subtrees
+   */
+  subtreeHash(tree, start, end) {
+    const n = end - start;
+    if ((n & (n - 1)) === 0 && start % n === 0) {
+      return this.node(tree, Math.log2(n), start / n);
+    }
+    const k = this.splitPoint(n);
+    return tree.hashPair(this.subtreeHash(tree, start, start + k), this.subtreeHash(tree, start + k, end));
+  },
+
+  /**
+   * Root of the first `size` leaves (defaults to the whole tree)
+   * Returns null for an empty tree so callers pick their own sentinel
+   */
+  root(tree, size = tree.size) {
+    if (!Number.isInteger(size) || size < 0 || size > tree.size) {
+      throw new Error(`Tree size ${size} out of range (0..${tree.size})`);
+    }
+    return size === 0 ? null : this.subtreeHash(tree, 0, size);
+  },
+
+  /**
+   * Leaf hash at `index`
+   */
+  leaf(tree, index) {
+    return this.node(tree, 0, index);
+  },
+
+  /**
+   * Inclusion path for leaf `index` in the tree of the first `size` leaves
+   * Ordered leaf to root; `side` says where the sibling sits
+   */
+  inclusionPath(tree, index, size = tree.size) {
+    if (!Number.isInteger(index) || index < 0 || index >= size || size > tree.size) {
+      throw new Error(`No leaf at index ${index} in a tree of ${size}`);
+    }
+
+    const path = [];
+    const walk = (start, end) => {
+      const n = end - start;
+      if (n === 1) return;
+      const mid = start + this.splitPoint(n);
+      if (index < mid) {
+        walk(start, mid);
+        path.push({ side: 'right', hash: this.subtreeHash(tree, mid, end) });
+      } else {
+        walk(mid, end);
+        path.push({ side: 'left', hash: this.subtreeHash(tree, start, mid) });
+      }
+    };
+    walk(0, size);
+    return path;
+  },
+
+  /**
+   * Consistency proof between the trees of the first `first` and `second` leaves
+   * RFC 6962 SUBPROOF: the nodes that let a verifier rebuild both roots,
+   * showing the larger tree is an append-only extension of the smaller one.
+   */
+  consistencyPath(tree, first, second = tree.size) {
+    if (!Number.isInteger(first) || !Number.isInteger(second) ||
+        first < 1 || first > second || second > tree.size) {
+      throw new Error(`Cannot prove consistency from size ${first} to ${second} (tree has ${tree.size})`);
+    }
+
+    const path = [];
+    const subproof = (m, start, end, complete) => {
+      const n = end - start;
+      if (m === n) {
+        if (!complete) path.push(this.subtreeHash(tree, start, end));
+        return;
+      }
+      const k = this.splitPoint(n);
+      if (m <= k) {
+        subproof(m, start, start + k, complete);
+        path.push(this.subtreeHash(tree, start + k, end));
+      } else {
+        subproof(m - k, start + k, end, false);
+        path.push(this.subtreeHash(tree, start, start + k));
+      }
+    };
+    if (first < second) subproof(first, 0, second, true);
+    return path;
+  },
+
+  /**
+   * Check a consistency path between two roots (RFC 9162 §2.1.4.2)
+   */
+  verifyConsistency(first, second, firstRoot, secondRoot, path, hashPair) {
+    if (!Number.isInteger(first) || !Number.isInteger(second) || first < 1 || first > second) {
+      return false;
+    }
+    if (first === second) {
+      return path.length === 0 && firstRoot === secondRoot;
+    }
+    if (path.length === 0) return false;
+
+    // A power-of-two old tree is itself a node of the new tree
+    const nodes = (first & (first - 1)) === 0 ? [firstRoot, ...path] : path.slice();
+
+    let fn = first - 1;
+    let sn = second - 1;
+    while (fn % 2 === 1) {
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
+    }
+
+    let fr = nodes[0];
+    let sr = nodes[0];
+    for (const node of nodes.slice(1)) {
+      if (sn === 0) return false;
+      if (fn % 2 === 1 || fn === sn) {
+        fr = hashPair(node, fr);
+        sr = hashPair(node, sr);
+        while (fn % 2 === 0 && fn !== 0) {
+          fn = Math.floor(fn / 2);
+          sn = Math.floor(sn / 2);
+        }
+      } else {
+        sr = hashPair(sr, node);
+      }
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
+    }
+
+    return sn === 0 && fr === firstRoot && sr === secondRoot;
+  },
+
+  /**
+   * Fold an inclusion path from a leaf; returns the implied root
+   */
+  rootFromPath(leafHash, path, hashPair) {
+    let hash = leafHash;
+    for (const step of path) {
+      hash = step.side === 'left' ? hashPair(step.hash, hash) : hashPair(hash, step.hash);
+    }
+    return hash;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MerkleTree;
+}
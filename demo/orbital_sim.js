@@ -10,8 +10,19 @@
  * - LEO altitude: 550km
  * - Light speed: 299,792.458 km/s
  * - Round-trip latency: ~3.7ms at 550km
+ *
+ * Location proofs are replayable bit for bit: jitter comes from the proof's
+ * seeded generator (see seeded_random.js), every timestamp from one instant read
+ * from the injectable clock (issued_at), and the node's elements are part of the
+ * proof. The challenge nonce comes from the platform CSPRNG, never from the
+ * seeded stream, so it cannot be predicted; proofs record it and replays reuse it.
  */
 
+// Sibling modules are shared globals in the browser (see index.html); load them in Node
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.SeededRandom = globalThis.SeededRandom || require('./seeded_random.js');
+}
+
 const OrbitalSim = {
   // Physical constants
   SPEED_OF_LIGHT_KM_MS: 299.792458,  // km per millisecond
@@ -32,6 +43,28 @@ const OrbitalSim = {
   // Speed of light comparison
   FIBER_REFRACTIVE_INDEX: 1.5,  // Light travels 1.5x slower in fiber
 
+  // Session generator proof seeds are drawn from (null: fresh random seeds)
+  rng: null,
+
+  // Clock proofs are timestamped by: { now() } in epoch ms
+  clock: Date,
+
+  /**
+   * Inject the shared random source (a SeededRandom generator)
+   */
+  setRandom(rng) {
+    this.rng = rng;
+    return rng;
+  },
+
+  /**
+   * Inject the clock (anything with now() in epoch ms; null for the system clock)
+   */
+  setClock(clock) {
+    this.clock = clock || Date;
+    return this.clock;
+  },
+
   /**
    * Calculate orbital period using Kepler's third law
    * T = 2π * sqrt(a³/μ)
@@ -71,10 +104,10 @@ const OrbitalSim = {
   },
 
   /**
-   * Generate Kepler elements for current time
+   * Generate Kepler elements at a time (default: the clock's now)
    */
-  getCurrentEphemeris(node = this.DEFAULT_NODE) {
-    const now = new Date();
+  getCurrentEphemeris(node = this.DEFAULT_NODE, at = new Date(this.clock.now())) {
+    const now = at;
     const period_s = this.calculateOrbitalPeriod(node.altitude_km);
 
     // Calculate current position (simplified 2-body problem)
@@ -105,16 +138,20 @@ const OrbitalSim = {
   /**
    * Generate challenge-response proof of location
    * Proves compute happened at orbital altitude via timing
+   * Replay a recorded proof with its node and options { seed, challenge,
+   * issued_at } (proof.seed, proof.challenge, proof.issued_at).
    */
-  async generateLocationProof(node = this.DEFAULT_NODE) {
-    const challenge = this.generateChallenge();
+  async generateLocationProof(node = this.DEFAULT_NODE, options = {}) {
+    const rng = SeededRandom.child(this.rng, options.seed);
+    const challenge = options.challenge || this.generateChallenge();
+    const issuedAt = new Date(options.issued_at !== undefined ? Date.parse(options.issued_at) : this.clock.now());
     const expected_latency_ms = this.calculateLatency(node.altitude_km);
 
     // Simulate orbital response delay
     await this.sleep(expected_latency_ms);
 
-    const response = this.signChallenge(challenge, node);
-    const actual_latency_ms = expected_latency_ms + (Math.random() * 0.5);  // Small jitter
+    const response = this.signChallenge(challenge, node, issuedAt.getTime());
+    const actual_latency_ms = expected_latency_ms + (rng.random() * 0.5);  // Small jitter
 
     // Verify latency is consistent with orbital altitude
     const min_latency = expected_latency_ms * 0.8;
@@ -128,46 +165,47 @@ const OrbitalSim = {
       actual_latency_ms: actual_latency_ms.toFixed(1),
       latency_valid: latency_valid,
       altitude_km: node.altitude_km,
-      ephemeris: this.getCurrentEphemeris(node),
+      ephemeris: this.getCurrentEphemeris(node, issuedAt),
       proof_type: 'kepler_signature',
-      tee_attestation: this.generateTEEAttestation(node),
-      verified: latency_valid
+      tee_attestation: this.generateTEEAttestation(node, issuedAt),
+      verified: latency_valid,
+      node: { ...node },
+      issued_at: issuedAt.toISOString(),
+      seed: rng.seed
     };
   },
 
   /**
-   * Generate random challenge nonce
+   * Generate random challenge nonce from the platform CSPRNG
    */
   generateChallenge() {
     const bytes = new Uint8Array(8);
     if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
       crypto.getRandomValues(bytes);
     } else {
-      for (let i = 0; i < bytes.length; i++) {
-        bytes[i] = Math.floor(Math.random() * 256);
-      }
+      bytes.set(require('crypto').randomBytes(8));
     }
     return '0x' + Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
   },
 
   /**
-   * Sign challenge with node's key (simulated)
+   * Sign challenge with node's key (simulated) at a time in epoch ms
    */
-  signChallenge(challenge, node) {
-    const data = challenge + node.id + Date.now();
+  signChallenge(challenge, node, timeMs = this.clock.now()) {
+    const data = challenge + node.id + timeMs;
     return '0x' + this.simpleHash(data).toUpperCase();
   },
 
   /**
    * Generate TEE (Trusted Execution Environment) attestation
    */
-  generateTEEAttestation(node) {
+  generateTEEAttestation(node, at = new Date(this.clock.now())) {
     return {
       hardware_id: `GPU-ORBIT-${node.id.split('-').pop()}`,
       manufacturer: 'VERIFIED',
       attestation_type: 'orbital_tee',
       integrity_verified: true,
-      timestamp: new Date().toISOString()
+      timestamp: at.toISOString()
     };
   },
 
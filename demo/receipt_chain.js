@@ -2,17 +2,122 @@
  * SpaceProof Receipt Chain
  *
  * CLAUDEME-compliant receipts:
- * - Dual-hash: SHA256:BLAKE3 format
- * - Merkle anchoring for batches
+ * - Dual-hash: SHA256:BLAKE3 format by default; versioned envelopes name their
+ *   hash suite (see hash_suite.js), and ledgers migrate between suites
+ * - Merkle anchoring for batches, optionally timestamped by a TSA
+ * - Ed25519 signatures by the emitting tenant's key (see key_store.js)
+ * - Isolated per-tenant chains under a cross-tenant super-root
+ * - Salted per-field payload commitments for selective disclosure
+ * - Live subscriptions to new receipts (callbacks or async iteration)
+ * - Archival of closed epochs behind Merkle checkpoints, so memory stays bounded
  * - Immutable audit trail
  *
  * LAW 1: No receipt → not real
  */
 
+// Sibling modules are shared globals in the browser (see index.html); load them in Node
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.CryptoHash = globalThis.CryptoHash || require('./crypto_hash.js');
+  globalThis.HashSuite = globalThis.HashSuite || require('./hash_suite.js');
+  globalThis.CanonicalJSON = globalThis.CanonicalJSON || require('./canonical_json.js');
+  globalThis.MerkleTree = globalThis.MerkleTree || require('./merkle_tree.js');
+  globalThis.LedgerSchema = globalThis.LedgerSchema || require('./schema_validator.js');
+  globalThis.KeyStore = globalThis.KeyStore || require('./key_store.js');
+  globalThis.SloGate = globalThis.SloGate || require('./slo_gate.js');
+  globalThis.TimestampAuthority = globalThis.TimestampAuthority || require('./timestamp_authority.js');
+  globalThis.LedgerExport = globalThis.LedgerExport || require('./ledger_export.js');
+  globalThis.ThresholdCalibration = globalThis.ThresholdCalibration || require('./threshold_calibration.js');
+}
+
 const ReceiptChain = {
   // In-memory ledger for demo
   ledger: [],
 
+  // Tenant/node emitting receipts; its active key in KeyStore signs them
+  tenantId: 'spaceproof_demo',
+
+  // Chains for other tenants, created by forTenant(); ReceiptChain itself is
+  // the default tenant's chain
+  tenantChains: {},
+
+  // Unsigned receipts fail verification unless this is turned off
+  requireSignatures: true,
+
+  // Envelope version written on new receipts (1: no hash_suite, read as HashSuite.LEGACY)
+  ENVELOPE_VERSION: 2,
+  SUPPORTED_ENVELOPE_VERSIONS: [1, 2],
+
+  // Hash suite of this chain's receipts and Merkle tree (see setHashSuite())
+  hashSuite: HashSuite.defaultSuite,
+
+  // Ledgers replaced by migrateHashSuite(), oldest first:
+  // { migration, hash_suite, tree_size, merkle_root, segment_id, receipts }
+  // (receipts is null once they are in the archive)
+  supersededLedgers: [],
+
+  // Incremental Merkle tree over receipt hashes (see merkle_tree.js)
+  tree: null,
+
+  // Prefix of the ledger already checked by incremental verification
+  verifiedLength: 0,
+  verificationIssues: [],
+
+  // Ledger indices of batch anchor receipts, one per epoch
+  anchorIndices: [],
+
+  // Automatic anchoring: { every_receipts, every_seconds }
+  anchorPolicy: null,
+  anchorTimer: null,
+
+  // Timestamp authority for anchors: { name, certificate, timestamp(request) }
+  // (see timestamp_authority.js); shared by tenant chains unless they set their own.
+  // timestamp() may return the token or a promise of it (e.g. RFC 3161 over HTTP).
+  timestampAuthority: null,
+
+  // Tokens still being obtained from an asynchronous authority (see anchorBatch())
+  timestampQueue: Promise.resolve(),
+
+  // Persistence backend (see ledger_storage.js); writes are queued in order
+  storage: null,
+  storageQueue: Promise.resolve(),
+
+  // Why the chain cannot persist (failed attach or write); emitting throws until
+  // storage is attached again or explicitly detached
+  storageError: null,
+
+  // Archived prefix (see archiveEpochs()): `ledger` holds receipts from index
+  // archivedCount on; each archived segment leaves a checkpoint, the Merkle
+  // tree keeps only the prefix's frontier
+  archive: null,
+  archiveQueue: Promise.resolve(),
+  archivedCount: 0,
+  archivedFrontier: [],
+  archivedAnchor: null,
+  checkpoints: [],
+
+  // Automatic archival: { max_receipts, keep_epochs }
+  archivePolicy: null,
+
+  // Lookups kept up to date by indexReceipt(), all to chain indices:
+  // receipt_hash prefix (HASH_INDEX_PREFIX hex) → receipt, profile_id → its
+  // threshold_profile receipt, anchor receipt_hash → its timestamp_token receipt
+  hashIndex: new Map(),
+  profileIndex: new Map(),
+  timestampIndex: new Map(),
+  HASH_INDEX_PREFIX: 16,
+
+  // Schema enforcement at emit time: 'quarantine' keeps invalid receipts out
+  // of the chain, 'reject' also throws
+  schemaPolicy: 'quarantine',
+  quarantine: [],
+
+  // Gate verifications and location proofs against slo_thresholds (see slo_gate.js)
+  enforceSlos: true,
+
+  // Receipt subscribers, shared by every tenant chain (see subscribe())
+  subscribers: [],
+  nextSubscriptionId: 1,
+
   // Receipt types
   RECEIPT_TYPES: {
     DEMO_LAUNCH: 'demo_launch_receipt',
@@ -21,88 +126,538 @@ const ReceiptChain = {
     MODE_SWITCH: 'mode_switch_receipt',
     LOCATION_PROOF: 'location_proof_receipt',
     ARTIFACT_GENERATION: 'artifact_generation_receipt',
-    BATCH_ANCHOR: 'batch_anchor_receipt'
+    BATCH_ANCHOR: 'batch_anchor_receipt',
+    TIMESTAMP_TOKEN: 'timestamp_token_receipt',
+    ANOMALY: 'anomaly_receipt',
+    THRESHOLD_PROFILE: 'threshold_profile_receipt',
+    HASH_MIGRATION: 'hash_migration_receipt'
+  },
+
+  /**
+   * Dual hash under a hash suite (default: the chain's), e.g. SHA256:BLAKE3
+   * Full-length hex digests (see crypto_hash.js), reproducible with sha256sum / b3sum
+   * Objects are hashed in canonical form so key order never changes the hash
+   */
+  dualHash(data, suite = this.hashSuite) {
+    const str = typeof data === 'string' ? data : this.canonicalize(data);
+    return HashSuite.hash(suite, str);
+  },
+
+  /**
+   * Hash suite a receipt was committed under
+   */
+  suiteOf(receipt) {
+    return receipt.hash_suite || HashSuite.LEGACY;
+  },
+
+  /**
+   * Canonical serialization used for every hashed structure
+   */
+  canonicalize(data) {
+    return CanonicalJSON.stringify(data);
+  },
+
+  /**
+   * Envelope fields committed to by receipt_hash
+   * The payload is covered through payload_hash, the chain through prev_hash
+   */
+  ENVELOPE_FIELDS: ['receipt_type', 'ts', 'tenant_id', 'envelope_version', 'hash_suite', 'key_id',
+    'payload_hash', 'prev_hash'],
+
+  // Envelope fields a receipt may lack (unsigned receipts predate key_id,
+  // version 1 envelopes predate envelope_version and hash_suite)
+  OPTIONAL_ENVELOPE_FIELDS: ['key_id', 'envelope_version', 'hash_suite'],
+
+  /**
+   * Hash of a receipt's full envelope (header + payload hash + prev link)
+   */
+  envelopeHash(receipt) {
+    const envelope = {};
+    for (const field of this.ENVELOPE_FIELDS) {
+      envelope[field] = receipt[field];
+    }
+    return this.dualHash(envelope, this.suiteOf(receipt));
+  },
+
+  /**
+   * Random 128-bit salt (hex) for a payload field commitment
+   */
+  randomSalt() {
+    const bytes = new Uint8Array(16);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      crypto.getRandomValues(bytes);
+    } else {
+      bytes.set(require('crypto').randomBytes(16));
+    }
+    return CryptoHash.toHex(bytes);
   },
 
   /**
-   * Dual hash: SHA256:BLAKE3 format
-   * Using simulated hashes for browser demo
+   * Salted commitment to one payload field; binds the field name so
+   * commitments cannot be swapped between fields
    */
-  dualHash(data) {
-    const str = typeof data === 'string' ? data : JSON.stringify(data, null, 0);
-    const sha256 = this.sha256Sim(str);
-    const blake3 = this.blake3Sim(str);
-    return `${sha256}:${blake3}`;
+  fieldCommitment(field, salt, value, suite = this.hashSuite) {
+    return this.dualHash({ field: field, salt: salt, value: value }, suite);
   },
 
   /**
-   * Simulated SHA256 (deterministic hash for demo)
+   * Per-field commitments of a receipt's payload
+   * Revealed fields are committed from payload + payload_salts; redacted fields
+   * carry their commitment in payload_redacted. Returns { commitments } or { error }.
    */
-  sha256Sim(str) {
-    let h0 = 0x6a09e667, h1 = 0xbb67ae85, h2 = 0x3c6ef372, h3 = 0xa54ff53a;
-    for (let i = 0; i < str.length; i++) {
-      const c = str.charCodeAt(i);
-      h0 = (h0 ^ c) * 0x01000193;
-      h1 = (h1 ^ (c >> 4)) * 0x01000193;
-      h2 = (h2 ^ (c << 4)) * 0x01000193;
-      h3 = (h3 ^ c) * 0x01000193;
+  payloadCommitments(receipt) {
+    const salts = receipt.payload_salts || {};
+    const redacted = receipt.payload_redacted || {};
+    const payload = receipt.payload || {};
+
+    for (const field of Object.keys(payload)) {
+      if (salts[field] === undefined) return { error: `Payload field ${field} has no salt` };
+    }
+    const commitments = {};
+    for (const field of Object.keys(redacted)) {
+      if (salts[field] !== undefined) return { error: `Payload field ${field} is both revealed and redacted` };
+      commitments[field] = redacted[field];
     }
-    return ((h0 >>> 0).toString(16).padStart(8, '0') +
-            (h1 >>> 0).toString(16).padStart(8, '0') +
-            (h2 >>> 0).toString(16).padStart(8, '0') +
-            (h3 >>> 0).toString(16).padStart(8, '0')).substring(0, 16);
+    for (const [field, salt] of Object.entries(salts)) {
+      commitments[field] = this.fieldCommitment(field, salt, payload[field], this.suiteOf(receipt));
+    }
+    return { commitments };
   },
 
   /**
-   * Simulated BLAKE3 (different deterministic hash for demo)
+   * payload_hash of a receipt
+   * Salted receipts hash the map of field commitments, so redacting a field
+   * leaves payload_hash, receipt_hash and every Merkle proof unchanged;
+   * receipts without salts hash the payload directly.
    */
-  blake3Sim(str) {
-    let h0 = 0x6a09e667, h1 = 0xbb67ae85, h2 = 0x3c6ef372, h3 = 0xa54ff53a;
-    for (let i = 0; i < str.length; i++) {
-      const c = str.charCodeAt(i);
-      h0 = ((h0 << 5) - h0 + c) >>> 0;
-      h1 = ((h1 << 7) - h1 + (c >> 2)) >>> 0;
-      h2 = ((h2 << 11) - h2 + (c << 2)) >>> 0;
-      h3 = ((h3 << 13) - h3 + c) >>> 0;
+  payloadHash(receipt) {
+    const suite = this.suiteOf(receipt);
+    if (receipt.payload_salts === undefined && receipt.payload_redacted === undefined) {
+      return this.dualHash(receipt.payload, suite);
     }
-    return ((h0 >>> 0).toString(16).padStart(8, '0') +
-            (h1 >>> 0).toString(16).padStart(8, '0') +
-            (h2 >>> 0).toString(16).padStart(8, '0') +
-            (h3 >>> 0).toString(16).padStart(8, '0')).substring(0, 16);
+    const { commitments, error } = this.payloadCommitments(receipt);
+    return error ? null : this.dualHash(commitments, suite);
   },
 
   /**
    * Emit a receipt and add to ledger
    */
   emitReceipt(receiptType, payload) {
+    HashSuite.assertActive(this.hashSuite);
+    this.assertPersistable();
+    // Fail closed: a receipt that cannot be validated is never chained
+    if (!LedgerSchema.schema) {
+      throw new Error('Ledger schema is not loaded; receipts cannot be validated');
+    }
+    const signingKey = KeyStore.getSigningKey(this.tenantId);
+    const salts = {};
+    for (const field of Object.keys(payload)) {
+      salts[field] = this.randomSalt();
+    }
     const receipt = {
       receipt_type: receiptType,
       ts: new Date().toISOString(),
-      tenant_id: 'spaceproof_demo',
+      tenant_id: this.tenantId,
+      envelope_version: this.ENVELOPE_VERSION,
+      hash_suite: this.hashSuite,
+      key_id: signingKey.key_id,
       payload: payload,
-      payload_hash: this.dualHash(payload)
+      payload_salts: salts
     };
+    receipt.payload_hash = this.payloadHash(receipt);
 
     // Add chain reference
-    if (this.ledger.length > 0) {
-      receipt.prev_hash = this.ledger[this.ledger.length - 1].payload_hash;
-    } else {
-      receipt.prev_hash = 'GENESIS';
+    receipt.prev_hash = this.headHash();
+
+    receipt.receipt_hash = this.envelopeHash(receipt);
+
+    // Schema gate
+    const validation = LedgerSchema.validateReceipt(receipt);
+    if (!validation.valid) {
+      return this.handleSchemaViolation(receipt, validation.errors);
     }
 
+    // The signature covers receipt_hash, which commits to the whole envelope
+    receipt.signature = KeyStore.sign(signingKey.key_id, receipt.receipt_hash);
+
     this.ledger.push(receipt);
+    this.indexReceipt(receipt);
+    this.persistReceipt(receipt);
 
     // Log to console for debugging
     console.log('[RECEIPT]', JSON.stringify(receipt));
+    this.notifySubscribers(receipt);
+
+    // Count-based anchoring policy; this receipt is chained whatever happens to the anchor
+    const everyReceipts = this.anchorPolicy && this.anchorPolicy.every_receipts;
+    if (everyReceipts && receiptType !== this.RECEIPT_TYPES.BATCH_ANCHOR &&
+        receiptType !== this.RECEIPT_TYPES.TIMESTAMP_TOKEN &&
+        this.pendingAnchorCount() >= everyReceipts) {
+      try {
+        this.anchorBatch({ trigger: 'receipt_count' });
+      } catch (e) {
+        console.error('[RECEIPT_CHAIN] Automatic anchoring failed', e);
+      }
+    }
 
     return receipt;
   },
 
   /**
-   * Emit component verification receipt
+   * Predicate for a subscription filter
+   * filter: null (every receipt), a receipt type (full or short name), a list of
+   * types, a predicate(receipt), or { type, tenant, predicate }
+   */
+  subscriptionMatcher(filter) {
+    if (!filter) return () => true;
+    if (typeof filter === 'function') return filter;
+    if (typeof filter === 'string' || Array.isArray(filter)) filter = { type: filter };
+
+    const types = filter.type
+      ? [].concat(filter.type).map(type => (type.endsWith('_receipt') ? type : type + '_receipt'))
+      : null;
+    return receipt => (!types || types.includes(receipt.receipt_type)) &&
+      (!filter.tenant || receipt.tenant_id === filter.tenant) &&
+      (!filter.predicate || filter.predicate(receipt));
+  },
+
+  /**
+   * Call `handler(receipt)` for every new chained receipt matching `filter`
+   * (any tenant unless the filter names one). Returns an unsubscribe function.
+   * Restored receipts are not replayed; adopted imports are delivered.
+   */
+  subscribe(filter, handler) {
+    const subscription = {
+      id: ReceiptChain.nextSubscriptionId++,
+      matches: this.subscriptionMatcher(filter),
+      handler: handler
+    };
+    ReceiptChain.subscribers.push(subscription);
+    const unsubscribe = () => this.unsubscribe(subscription.id);
+    unsubscribe.id = subscription.id;
+    return unsubscribe;
+  },
+
+  /**
+   * Remove a subscription by id; returns whether it existed
+   */
+  unsubscribe(id) {
+    const index = ReceiptChain.subscribers.findIndex(subscription => subscription.id === id);
+    if (index === -1) return false;
+    ReceiptChain.subscribers.splice(index, 1);
+    return true;
+  },
+
+  /**
+   * Deliver a receipt to matching subscribers; a failing subscriber never breaks emission
+   */
+  notifySubscribers(receipt) {
+    for (const subscription of ReceiptChain.subscribers.slice()) {
+      try {
+        if (subscription.matches(receipt)) subscription.handler(receipt);
+      } catch (e) {
+        console.error('[RECEIPT_CHAIN] Subscriber ' + subscription.id + ' failed', e);
+      }
+    }
+  },
+
+  /**
+   * Async iterator over new receipts matching `filter` (see subscribe())
+   * A slow consumer gets at most `options.bufferSize` (default 100) buffered
+   * receipts; older ones are dropped and counted in `dropped`, so emitters never
+   * block and memory stays bounded. Leaving a for-await loop unsubscribes.
+   */
+  stream(filter, options = {}) {
+    const bufferSize = options.bufferSize || 100;
+    const buffer = [];
+    const waiting = [];
+    let closed = false;
+
+    const unsubscribe = this.subscribe(filter, receipt => {
+      if (waiting.length > 0) {
+        waiting.shift()({ value: receipt, done: false });
+        return;
+      }
+      buffer.push(receipt);
+      if (buffer.length > bufferSize) {
+        buffer.shift();
+        iterator.dropped++;
+      }
+    });
+
+    const iterator = {
+      dropped: 0,
+      next() {
+        if (buffer.length > 0) return Promise.resolve({ value: buffer.shift(), done: false });
+        if (closed) return Promise.resolve({ value: undefined, done: true });
+        return new Promise(resolve => waiting.push(resolve));
+      },
+      return() {
+        closed = true;
+        unsubscribe();
+        buffer.length = 0;
+        while (waiting.length > 0) waiting.shift()({ value: undefined, done: true });
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+    return iterator;
+  },
+
+  /**
+   * Attach a storage backend and restore the ledger it holds
+   * Keys persisted with the backend (backend.keys) are attached to KeyStore
+   * first, so stored signatures verify and signing continues with the same key.
+   * The stored chain is re-verified; a chain that fails is not adopted, so
+   * nothing is ever appended on top of a tampered ledger, and emitting throws
+   * until storage is attached again or detached. Every hash and link is
+   * re-checked, but signatures only from the last batch anchor on: the links
+   * already tie every receipt before it to the anchor's signed envelope.
+   * verifyChain() re-checks every signature.
+   */
+  async attachStorage(backend) {
+    if (backend.keys) {
+      await KeyStore.attachBackend(backend.keys);
+    }
+    let stored = await backend.load();
+
+    // Receipts archived before the store was compacted are dropped now
+    if (this.archivedCount > 0 && stored.length > 0) {
+      const head = this.archivedHeadHash();
+      const at = stored.findIndex(receipt => receipt && receipt.receipt_hash === head);
+      if (at !== -1) {
+        stored = stored.slice(at + 1);
+        await backend.compact(at + 1);
+      }
+    }
+
+    if (this.ledger.length > 0) {
+      if (stored.length > 0) {
+        throw new Error(`Cannot attach ${backend.name} storage: both memory and storage hold receipts`);
+      }
+      // Persist what was emitted before storage was available
+      for (const receipt of this.ledger) {
+        await backend.append(receipt);
+      }
+      this.storage = backend;
+      this.storageError = null;
+      return { attached: true, restored: 0, report: this.verifyChain() };
+    }
+
+    let anchorAt = stored.length - 1;
+    while (anchorAt >= 0 && !(stored[anchorAt] && stored[anchorAt].receipt_type === this.RECEIPT_TYPES.BATCH_ANCHOR)) {
+      anchorAt--;
+    }
+    const report = this.verifyReceipts(stored, {
+      signaturesFrom: Math.max(0, anchorAt),
+      prevHash: this.archivedHeadHash(),
+      hashSuite: this.archivedCount > 0 ? this.hashSuite : undefined
+    });
+    if (!report.valid) {
+      console.error('[RECEIPT_CHAIN] Stored ledger failed verification', report.issues);
+      this.storageError = `Stored ledger in ${backend.name} failed verification`;
+      return { attached: false, restored: 0, report: report };
+    }
+
+    this.loadReceipts(stored);
+    this.verifiedLength = stored.length;
+    this.storage = backend;
+    this.storageError = null;
+    console.log('[RECEIPT_CHAIN] Restored ' + stored.length + ' receipts from ' + backend.name);
+    return { attached: true, restored: stored.length, report: report };
+  },
+
+  /**
+   * Stop persisting new receipts (already stored receipts are kept)
+   * Also the explicit way to carry on in memory after storage failed.
+   */
+  async detachStorage() {
+    await this.flush();
+    this.storage = null;
+    this.storageError = null;
+  },
+
+  /**
+   * Throw when receipts would silently go unpersisted
+   */
+  assertPersistable() {
+    if (this.storageError) {
+      throw new Error(`Ledger storage not attached: ${this.storageError} (detachStorage() to continue in memory)`);
+    }
+  },
+
+  /**
+   * Queue a receipt for the attached storage, if any
+   */
+  persistReceipt(receipt) {
+    if (this.storage) {
+      const storage = this.storage;
+      this.enqueueStorage(() => storage.append(receipt));
+    }
+  },
+
+  /**
+   * Queue a storage write behind every earlier one
+   * A failed write stops further emission (see assertPersistable()).
+   */
+  enqueueStorage(write) {
+    this.storageQueue = this.storageQueue
+      .then(write)
+      .catch(e => {
+        console.error('[RECEIPT_CHAIN] Storage write failed', e);
+        this.storageError = `Storage write failed: ${e.message}`;
+      });
+    return this.storageQueue;
+  },
+
+  /**
+   * Resolves once pending timestamp tokens are chained and every queued
+   * storage write has completed
+   */
+  async flush() {
+    await this.timestampQueue;
+    return this.storageQueue;
+  },
+
+  /**
+   * Replace the in-memory ledger with already-hashed receipts and rebuild derived state
+   */
+  loadReceipts(receipts) {
+    if (receipts.length > 0 && this.archivedCount === 0) {
+      this.hashSuite = this.suiteOf(receipts[0]);
+    }
+    this.ledger = [];
+    this.tree = null;
+    this.resetIndexes();
+    this.verifiedLength = 0;
+    this.verificationIssues = [];
+    for (const receipt of receipts) {
+      this.ledger.push(receipt);
+      this.indexReceipt(receipt);
+    }
+  },
+
+  /**
+   * Keep an invalid receipt out of the chain and record why
+   * The receipt is quarantined (never chained), an anomaly receipt explaining
+   * the violation is emitted in its place, and under the 'reject' policy the
+   * emit fails loudly.
+   */
+  handleSchemaViolation(receipt, errors) {
+    if (receipt.receipt_type === this.RECEIPT_TYPES.ANOMALY) {
+      // Never recurse: a malformed anomaly receipt is a programming error
+      throw new Error('Invalid anomaly receipt: ' + errors.map(e => `${e.field} ${e.message}`).join('; '));
+    }
+
+    const entry = {
+      receipt: receipt,
+      violations: errors,
+      quarantined_at: new Date().toISOString()
+    };
+    this.quarantine.push(entry);
+    console.warn('[RECEIPT_CHAIN] Schema violation in ' + receipt.receipt_type, errors);
+
+    this.emitReceipt(this.RECEIPT_TYPES.ANOMALY, {
+      metric: 'schema',
+      baseline: 0,
+      delta: errors.length,
+      classification: 'violation',
+      action: this.schemaPolicy === 'reject' ? 'reject' : 'quarantine',
+      violated_receipt_type: receipt.receipt_type,
+      violations: errors,
+      quarantined_payload_hash: receipt.payload_hash
+    });
+
+    if (this.schemaPolicy === 'reject') {
+      throw new Error(`Schema violation in ${receipt.receipt_type}: ` +
+        errors.map(e => `${e.field} ${e.message}`).join('; '));
+    }
+
+    return { ...receipt, quarantined: true, violations: errors };
+  },
+
+  /**
+   * Update derived ledger state (Merkle tree, anchor and lookup indexes) for an appended receipt
+   */
+  indexReceipt(receipt) {
+    const index = this.ledgerLength() - 1;
+    MerkleTree.append(this.getTree(), receipt.receipt_hash);
+    this.hashIndex.set(receipt.receipt_hash.substring(0, this.HASH_INDEX_PREFIX), index);
+    if (receipt.receipt_type === this.RECEIPT_TYPES.BATCH_ANCHOR) {
+      this.anchorIndices.push(index);
+    } else if (receipt.receipt_type === this.RECEIPT_TYPES.THRESHOLD_PROFILE) {
+      if (!this.profileIndex.has(receipt.payload.profile_id)) this.profileIndex.set(receipt.payload.profile_id, index);
+    } else if (receipt.receipt_type === this.RECEIPT_TYPES.TIMESTAMP_TOKEN && receipt.payload.timestamp_token) {
+      this.timestampIndex.set(receipt.payload.anchor_hash, index);
+    }
+  },
+
+  /**
+   * Empty the anchor and lookup indexes (the ledger they index is being replaced)
+   */
+  resetIndexes() {
+    this.anchorIndices = [];
+    this.hashIndex = new Map();
+    this.profileIndex = new Map();
+    this.timestampIndex = new Map();
+  },
+
+  /**
+   * Drop lookup entries for receipts before chain index `end` (archived)
+   */
+  pruneIndexes(end) {
+    this.anchorIndices = this.anchorIndices.filter(index => index >= end);
+    for (const map of [this.hashIndex, this.profileIndex, this.timestampIndex]) {
+      for (const [key, index] of map) {
+        if (index < end) map.delete(key);
+      }
+    }
+  },
+
+  /**
+   * In-memory receipt a lookup index points at, or undefined
+   */
+  indexedReceipt(map, key) {
+    const index = map.get(key);
+    return index === undefined ? undefined : this.receiptAt(index);
+  },
+
+  /**
+   * Number of receipts in the chain, archived ones included
+   */
+  ledgerLength() {
+    return this.archivedCount + this.ledger.length;
+  },
+
+  /**
+   * In-memory receipt at a chain index (undefined once archived)
+   */
+  receiptAt(index) {
+    return index >= this.archivedCount ? this.ledger[index - this.archivedCount] : undefined;
+  },
+
+  /**
+   * Hash the archived prefix ends on ('GENESIS' when nothing is archived)
+   */
+  archivedHeadHash() {
+    return this.checkpoints.length > 0 ? this.checkpoints[this.checkpoints.length - 1].last_receipt_hash : 'GENESIS';
+  },
+
+  /**
+   * Hash the next receipt links to
+   */
+  headHash() {
+    return this.ledger.length > 0 ? this.ledger[this.ledger.length - 1].receipt_hash : this.archivedHeadHash();
+  },
+
+  /**
+   * Emit component verification receipt, then gate it against the SLOs
+   * A halt-level breach throws a StopRule after its anomaly receipt is emitted
    */
   emitVerificationReceipt(verificationResult) {
-    return this.emitReceipt(this.RECEIPT_TYPES.COMPONENT_VERIFICATION, {
+    const payload = {
       component_id: verificationResult.component_id,
       component_type: verificationResult.component_type,
       mode: verificationResult.mode,
@@ -110,10 +665,76 @@ const ReceiptChain = {
       entropy_noise: verificationResult.entropy.noise_floor,
       threshold: verificationResult.threshold,
       is_genuine: verificationResult.is_genuine,
+      verdict: verificationResult.verdict,
+      entropy_interval: verificationResult.entropy.interval,
+      p_genuine: verificationResult.p_genuine,
       confidence: verificationResult.confidence,
       thermal_baseline: verificationResult.thermal_baseline,
-      verification_time_ms: verificationResult.verification_time_ms
-    });
+      // verifyComponent formats this for display; receipts carry the number
+      verification_time_ms: Number(verificationResult.verification_time_ms),
+      // Replays the measurement: EntropyEngine.verifyComponent(..., { seed })
+      rng_seed: verificationResult.seed,
+      estimator: verificationResult.measurement.estimator
+    };
+    // Thresholds from a calibrated profile name it; the profile itself is in the ledger
+    if (verificationResult.threshold_profile) {
+      const profile = ThresholdCalibration.find(verificationResult.threshold_profile.id);
+      if (!profile) {
+        throw new Error(`Threshold profile ${verificationResult.threshold_profile.id} is not saved; save it before verifying with it`);
+      }
+      this.recordThresholdProfile(profile);
+      payload.threshold_profile = verificationResult.threshold_profile;
+    }
+    // Sequential verifications record the SPRT configuration and outcome
+    if (verificationResult.sequential) {
+      payload.sequential = verificationResult.sequential;
+    }
+    // Trace measurements also record every estimate and what was measured
+    const measurement = verificationResult.measurement;
+    if (measurement.trace) {
+      payload.estimator_params = measurement.params;
+      payload.estimates = measurement.estimates;
+      payload.trace = measurement.trace;
+    }
+    const receipt = this.emitReceipt(this.RECEIPT_TYPES.COMPONENT_VERIFICATION, payload);
+    if (this.enforceSlos) {
+      SloGate.checkVerification(this, verificationResult, receipt);
+    }
+    return receipt;
+  },
+
+  /**
+   * Emit a threshold profile receipt unless this chain's live ledger already has one for it
+   * Carries the whole profile (less its local version), so replays resolve it by id.
+   */
+  recordThresholdProfile(profile) {
+    const recorded = this.indexedReceipt(this.profileIndex, profile.profile_id);
+    if (recorded) return recorded;
+    const { version, ...content } = profile;
+    const payload = {
+      profile_id: profile.profile_id,
+      criterion: profile.criterion,
+      estimator: profile.estimator || 'shannon',
+      profile: content
+    };
+    if (profile.mode) {
+      payload.mode = profile.mode;
+    }
+    return this.emitReceipt(this.RECEIPT_TYPES.THRESHOLD_PROFILE, payload);
+  },
+
+  /**
+   * Threshold profile by id from any tenant's live ledger, or null
+   * A recorded profile whose content does not hash to its id is ignored.
+   */
+  findThresholdProfile(profileId) {
+    for (const chain of this.getTenantChains()) {
+      const receipt = chain.indexedReceipt(chain.profileIndex, profileId);
+      if (receipt && ThresholdCalibration.profileId(receipt.payload.profile) === profileId) {
+        return receipt.payload.profile;
+      }
+    }
+    return null;
   },
 
   /**
@@ -126,12 +747,14 @@ const ReceiptChain = {
       entropy_orbital: orbitalResult.entropy.measured,
       confidence_terrestrial: terrestrialResult.confidence,
       confidence_orbital: orbitalResult.confidence,
+      verdict_terrestrial: terrestrialResult.verdict,
+      verdict_orbital: orbitalResult.verdict,
       orbital_node: locationProof.ephemeris.node_id,
       kepler_signature: locationProof.response,
       tee_attestation: locationProof.tee_attestation.hardware_id,
-      latency_ms: locationProof.actual_latency_ms,
+      latency_ms: Number(locationProof.actual_latency_ms),
       improvement: {
-        confidence_delta: (orbitalResult.confidence - terrestrialResult.confidence).toFixed(3),
+        confidence_delta: Number((orbitalResult.confidence - terrestrialResult.confidence).toFixed(3)),
         noise_reduction: `${terrestrialResult.entropy.noise_floor} → ${orbitalResult.entropy.noise_floor}`
       }
     });
@@ -152,19 +775,27 @@ const ReceiptChain = {
   },
 
   /**
-   * Emit location proof receipt
+   * Emit location proof receipt, then gate it against the SLOs
    */
   emitLocationProofReceipt(proof) {
-    return this.emitReceipt(this.RECEIPT_TYPES.LOCATION_PROOF, {
+    const receipt = this.emitReceipt(this.RECEIPT_TYPES.LOCATION_PROOF, {
       challenge: proof.challenge,
       response: proof.response,
       altitude_km: proof.altitude_km,
-      latency_ms: proof.actual_latency_ms,
+      latency_ms: Number(proof.actual_latency_ms),
       latency_valid: proof.latency_valid,
       tee_attestation: proof.tee_attestation,
       ephemeris: proof.ephemeris,
-      verified: proof.verified
+      verified: proof.verified,
+      // Replays the proof: OrbitalSim.generateLocationProof(node, { seed, challenge, issued_at })
+      rng_seed: proof.seed,
+      node: proof.node,
+      issued_at: proof.issued_at
     });
+    if (this.enforceSlos) {
+      SloGate.checkLocationProof(this, proof, receipt);
+    }
+    return receipt;
   },
 
   /**
@@ -176,104 +807,1688 @@ const ReceiptChain = {
       component_id: artifactData.component_id,
       verification_mode: artifactData.mode,
       confidence: artifactData.confidence,
+      verdict: artifactData.verdict,
       roi_value: artifactData.roi_value,
       merkle_root: this.computeMerkleRoot(),
-      receipt_count: this.ledger.length
+      receipt_count: this.ledgerLength()
     });
   },
 
   /**
-   * Compute Merkle root of current ledger
+   * Merkle tree over the current ledger, created on first use
    */
-  computeMerkleRoot() {
-    if (this.ledger.length === 0) {
-      return this.dualHash('empty');
+  getTree() {
+    if (!this.tree) {
+      const hashPair = (left, right) => this.merkleHashPair(left, right);
+      this.tree = this.archivedCount > 0
+        ? MerkleTree.fromFrontier(hashPair, this.archivedCount, this.archivedFrontier)
+        : MerkleTree.create(hashPair);
     }
+    return this.tree;
+  },
 
-    let hashes = this.ledger.map(r => r.payload_hash);
+  /**
+   * Parent node hash
+   */
+  merkleHashPair(left, right, suite = this.hashSuite) {
+    return this.dualHash(left + right, suite);
+  },
 
-    while (hashes.length > 1) {
-      if (hashes.length % 2 !== 0) {
-        hashes.push(hashes[hashes.length - 1]);
-      }
+  /**
+   * Compute Merkle root (leaves are receipt hashes)
+   * The live ledger is served from the incremental tree in O(log n);
+   * any other receipt list gets a throwaway tree.
+   */
+  computeMerkleRoot(receipts = this.ledger) {
+    if (receipts === this.ledger) {
+      return this.getMerkleRoot();
+    }
+    if (receipts.length === 0) {
+      return this.dualHash('empty');
+    }
 
-      const nextLevel = [];
-      for (let i = 0; i < hashes.length; i += 2) {
-        nextLevel.push(this.dualHash(hashes[i] + hashes[i + 1]));
-      }
-      hashes = nextLevel;
+    // A receipt list is hashed under its own suite
+    const suite = receipts[0] ? this.suiteOf(receipts[0]) : this.hashSuite;
+    const tree = MerkleTree.create((left, right) => this.merkleHashPair(left, right, suite));
+    for (const receipt of receipts) {
+      MerkleTree.append(tree, receipt.receipt_hash);
     }
+    return MerkleTree.root(tree);
+  },
 
-    return hashes[0];
+  /**
+   * Merkle root of the ledger as it stood at `treeSize` receipts
+   */
+  getMerkleRoot(treeSize = this.ledgerLength()) {
+    return treeSize === 0 ? this.dualHash('empty') : MerkleTree.root(this.getTree(), treeSize);
   },
 
   /**
-   * Anchor current batch
+   * Merkle inclusion proof for the receipt at `index`
+   * Sibling path from the leaf up to the root of the first `treeSize` receipts
+   * (archived receipts: see getArchivedInclusionProof)
    */
-  anchorBatch() {
-    const merkleRoot = this.computeMerkleRoot();
-    return this.emitReceipt(this.RECEIPT_TYPES.BATCH_ANCHOR, {
-      merkle_root: merkleRoot,
-      batch_size: this.ledger.length,
-      hash_algorithms: ['SHA256', 'BLAKE3'],
-      anchor_timestamp: new Date().toISOString()
-    });
+  getInclusionProof(index, treeSize = this.ledgerLength()) {
+    if (index < this.archivedCount) {
+      throw new Error(`Receipt ${index} is archived; use getArchivedInclusionProof()`);
+    }
+    const tree = this.getTree();
+    return {
+      leaf_index: index,
+      tree_size: treeSize,
+      leaf_hash: MerkleTree.leaf(tree, index),
+      path: MerkleTree.inclusionPath(tree, index, treeSize),
+      root: MerkleTree.root(tree, treeSize)
+    };
   },
 
   /**
-   * Verify chain integrity
+   * Verify a receipt's inclusion proof against a Merkle root
+   * Needs only the receipt, the proof and the root, not the ledger
    */
-  verifyChain() {
-    for (let i = 1; i < this.ledger.length; i++) {
-      const current = this.ledger[i];
-      const previous = this.ledger[i - 1];
+  verifyInclusionProof(receipt, proof, root) {
+    if (this.payloadHash(receipt) !== receipt.payload_hash) {
+      return { valid: false, error: 'Payload does not match payload_hash' };
+    }
+    const leaf = this.envelopeHash(receipt);
+    if (leaf !== receipt.receipt_hash || leaf !== proof.leaf_hash) {
+      return { valid: false, error: 'Receipt envelope does not match proof leaf' };
+    }
 
-      if (current.prev_hash !== previous.payload_hash) {
-        return {
-          valid: false,
-          error: `Chain break at index ${i}`,
-          expected: previous.payload_hash,
-          found: current.prev_hash
-        };
-      }
+    const suite = this.suiteOf(receipt);
+    const hash = MerkleTree.rootFromPath(leaf, proof.path, (left, right) => this.merkleHashPair(left, right, suite));
+    if (hash !== root) {
+      return { valid: false, error: 'Proof does not lead to the Merkle root', computed_root: hash };
     }
+    return { valid: true, leaf_index: proof.leaf_index, tree_size: proof.tree_size };
+  },
 
-    return {
-      valid: true,
-      length: this.ledger.length,
-      merkle_root: this.computeMerkleRoot()
-    };
+  // Fields withheld when sharing evidence with suppliers (exportLedger({ redact: 'supplier' }))
+  SUPPLIER_REDACTIONS: {
+    location_proof_receipt: ['ephemeris', 'tee_attestation'],
+    orbital_verification_receipt: ['tee_attestation'],
+    artifact_generation_receipt: ['roi_value']
   },
 
   /**
-   * Get ledger statistics
+   * Copy of a receipt with the given payload fields replaced by their commitments
+   * Hash links, signature and Merkle proofs still verify against the copy.
    */
-  getStats() {
-    const byType = {};
-    for (const receipt of this.ledger) {
-      byType[receipt.receipt_type] = (byType[receipt.receipt_type] || 0) + 1;
+  redactReceipt(receipt, fields) {
+    const hidden = fields.filter(field => receipt.payload && field in receipt.payload);
+    if (hidden.length === 0) return receipt;
+    if (!receipt.payload_salts) {
+      throw new Error(`Receipt ${receipt.receipt_hash} predates salted commitments and cannot be redacted`);
     }
 
-    return {
-      total_receipts: this.ledger.length,
-      by_type: byType,
-      merkle_root: this.computeMerkleRoot(),
-      chain_valid: this.verifyChain().valid
-    };
+    const { commitments, error } = this.payloadCommitments(receipt);
+    if (error) throw new Error(error);
+
+    const payload = { ...receipt.payload };
+    const salts = { ...receipt.payload_salts };
+    const redacted = { ...(receipt.payload_redacted || {}) };
+    for (const field of hidden) {
+      redacted[field] = commitments[field];
+      delete payload[field];
+      delete salts[field];
+    }
+    return { ...receipt, payload: payload, payload_salts: salts, payload_redacted: redacted };
   },
 
   /**
-   * Export ledger as JSONL
+   * Fields to redact from one receipt: a list applies to every receipt type,
+   * a map is keyed by receipt_type, 'supplier' uses SUPPLIER_REDACTIONS
    */
-  exportLedger() {
-    return this.ledger.map(r => JSON.stringify(r)).join('\n');
+  redactionsFor(receipt, redact) {
+    if (redact === 'supplier') redact = this.SUPPLIER_REDACTIONS;
+    if (Array.isArray(redact)) return redact;
+    return (redact && redact[receipt.receipt_type]) || [];
   },
 
   /**
-   * Reset ledger (for demo restart)
+   * Verify a (possibly redacted) receipt on its own
+   * Checks every revealed field against its salted commitment, the commitments
+   * against payload_hash, the envelope against receipt_hash, and the signature.
+   * Returns { valid, revealed, redacted, error? }
    */
-  reset() {
+  verifyDisclosure(receipt) {
+    const revealed = Object.keys(receipt.payload || {});
+    const redacted = Object.keys(receipt.payload_redacted || {});
+    const fail = error => ({ valid: false, revealed, redacted, error });
+
+    if (!receipt.payload_salts) {
+      return fail('Receipt has no salted field commitments');
+    }
+    const { error } = this.payloadCommitments(receipt);
+    if (error) return fail(error);
+    if (this.payloadHash(receipt) !== receipt.payload_hash) {
+      return fail('Revealed fields do not match their commitments');
+    }
+    if (this.envelopeHash(receipt) !== receipt.receipt_hash) {
+      return fail('Envelope does not match receipt_hash');
+    }
+    const signatureIssue = this.checkSignature(receipt);
+    if (signatureIssue) return fail(signatureIssue.message);
+
+    return { valid: true, revealed, redacted };
+  },
+
+  /**
+   * Consistency proof that the ledger at `secondSize` extends the ledger at `firstSize`
+   */
+  getConsistencyProof(firstSize, secondSize = this.ledgerLength()) {
+    const tree = this.getTree();
+    return {
+      first_size: firstSize,
+      second_size: secondSize,
+      first_root: this.getMerkleRoot(firstSize),
+      second_root: this.getMerkleRoot(secondSize),
+      path: MerkleTree.consistencyPath(tree, firstSize, secondSize)
+    };
+  },
+
+  /**
+   * Consistency proof between two batch anchor receipts (older first)
+   */
+  getAnchorConsistencyProof(earlierAnchor, laterAnchor) {
+    return this.getConsistencyProof(earlierAnchor.payload.tree_size, laterAnchor.payload.tree_size);
+  },
+
+  /**
+   * Verify that a later anchor's tree is an append-only extension of an earlier one
+   * Checks both anchor receipts' own hashes, then the proof between their roots.
+   */
+  verifyAnchorConsistency(earlierAnchor, laterAnchor, proof) {
+    for (const anchor of [earlierAnchor, laterAnchor]) {
+      if (anchor.receipt_type !== this.RECEIPT_TYPES.BATCH_ANCHOR) {
+        return { valid: false, error: `Not a batch anchor receipt: ${anchor.receipt_type}` };
+      }
+      if (this.payloadHash(anchor) !== anchor.payload_hash || this.envelopeHash(anchor) !== anchor.receipt_hash) {
+        return { valid: false, error: `Anchor receipt ${anchor.receipt_hash} has been altered` };
+      }
+    }
+
+    const first = earlierAnchor.payload.tree_size;
+    const second = laterAnchor.payload.tree_size;
+    if (proof.first_size !== first || proof.second_size !== second) {
+      return { valid: false, error: `Proof covers sizes ${proof.first_size}→${proof.second_size}, anchors cover ${first}→${second}` };
+    }
+
+    // Both roots are hashed under the anchors' suite, whatever the chain uses now
+    const suite = this.suiteOf(earlierAnchor);
+    if (this.suiteOf(laterAnchor) !== suite) {
+      return { valid: false, error: `Anchors use different hash suites (${suite}, ${this.suiteOf(laterAnchor)}); ` +
+        'check consistency across a migration with its cross-link proofs' };
+    }
+    const consistent = MerkleTree.verifyConsistency(first, second,
+      earlierAnchor.payload.merkle_root, laterAnchor.payload.merkle_root, proof.path,
+      (left, right) => this.merkleHashPair(left, right, suite));
+    if (!consistent) {
+      return { valid: false, error: 'Ledger was rewritten between anchors' };
+    }
+    return { valid: true, first_size: first, second_size: second };
+  },
+
+  /**
+   * Most recent batch anchor receipt, or null before the first epoch
+   */
+  getLastAnchor() {
+    if (this.anchorIndices.length === 0) return this.archivedAnchor;
+    return this.receiptAt(this.anchorIndices[this.anchorIndices.length - 1]);
+  },
+
+  /**
+   * Batch anchor receipts still in memory, oldest first
+   */
+  getAnchors() {
+    return this.anchorIndices.map(index => this.receiptAt(index));
+  },
+
+  /**
+   * Receipts emitted since the last anchor (the open epoch)
+   */
+  pendingAnchorCount() {
+    const last = this.getLastAnchor();
+    return this.ledgerLength() - (last ? last.payload.range_end + 1 : 0);
+  },
+
+  /**
+   * Anchor current batch: close the open epoch
+   * Covers receipts [range_start, range_end) emitted since the previous anchor,
+   * links to that anchor, and records the full-ledger root at tree_size for
+   * consistency proofs between epochs.
+   *
+   * With a timestamp authority, a token returned synchronously is embedded as
+   * timestamp_token; a promised token is chained later in a timestamp_token
+   * receipt (see anchorTimestampToken()). A failing authority never blocks the
+   * anchor: the failure is recorded as timestamp_error instead.
+   */
+  anchorBatch(options = {}) {
+    const previous = this.getLastAnchor();
+    const rangeStart = previous ? previous.payload.range_end + 1 : 0;
+    const rangeEnd = this.ledgerLength();
+    const merkleRoot = this.computeMerkleRoot();
+
+    // Archival stops at anchors, so the open epoch is always in memory
+    const payload = {
+      epoch: previous ? previous.payload.epoch + 1 : 1,
+      range_start: rangeStart,
+      range_end: rangeEnd,
+      range_root: this.computeMerkleRoot(this.ledger.slice(rangeStart - this.archivedCount, rangeEnd - this.archivedCount)),
+      prev_anchor_hash: previous ? previous.receipt_hash : 'GENESIS',
+      merkle_root: merkleRoot,
+      batch_size: rangeEnd - rangeStart,
+      tree_size: rangeEnd,
+      trigger: options.trigger || 'manual',
+      hash_algorithms: HashSuite.get(this.hashSuite).algorithms,
+      anchor_timestamp: new Date().toISOString()
+    };
+    let pendingToken = null;
+    if (this.timestampAuthority) {
+      try {
+        const token = this.requestTimestamp(merkleRoot);
+        if (typeof token.then === 'function') {
+          pendingToken = token;
+        } else {
+          payload.timestamp_token = token;
+        }
+      } catch (e) {
+        console.error('[RECEIPT_CHAIN] Timestamping epoch ' + payload.epoch + ' failed', e);
+        payload.timestamp_error = e.message;
+      }
+    }
+
+    const anchor = this.emitReceipt(this.RECEIPT_TYPES.BATCH_ANCHOR, payload);
+    if (pendingToken) {
+      this.chainTimestampToken(anchor, pendingToken);
+    }
+
+    const policy = this.archivePolicy;
+    if (policy && this.archive && this.ledger.length > policy.max_receipts) {
+      this.archiveEpochs({ keepEpochs: policy.keep_epochs })
+        .catch(e => console.error('[RECEIPT_CHAIN] Archival failed', e));
+    }
+    return anchor;
+  },
+
+  /**
+   * Use a timestamp authority for every subsequent anchor (null to stop)
+   */
+  setTimestampAuthority(authority) {
+    this.timestampAuthority = authority;
+    return authority;
+  },
+
+  /**
+   * Obtain a timestamp token over a Merkle root: the token, or a promise of it
+   * when the authority answers asynchronously
+   * The token is checked before use, including that it answers this request's nonce.
+   */
+  requestTimestamp(merkleRoot) {
+    const authority = this.timestampAuthority;
+    const request = TimestampAuthority.createRequest(merkleRoot);
+    const checked = token => {
+      const check = TimestampAuthority.verifyToken(token, authority.certificate, merkleRoot);
+      if (!check.valid || token.tst_info.nonce !== request.nonce) {
+        throw new Error(`Timestamp authority ${authority.name} returned an invalid token: ${check.error || 'nonce mismatch'}`);
+      }
+      return token;
+    };
+
+    const token = authority.timestamp(request);
+    return token && typeof token.then === 'function' ? token.then(checked) : checked(token);
+  },
+
+  /**
+   * Chain a timestamp_token receipt for an anchor once its promised token
+   * arrives; a rejected request is chained as timestamp_error
+   */
+  chainTimestampToken(anchor, pendingToken) {
+    const payload = {
+      anchor_hash: anchor.receipt_hash,
+      epoch: anchor.payload.epoch,
+      merkle_root: anchor.payload.merkle_root
+    };
+    this.timestampQueue = this.timestampQueue
+      .then(() => pendingToken)
+      .then(token => {
+        payload.timestamp_token = token;
+      }, e => {
+        console.error('[RECEIPT_CHAIN] Timestamping epoch ' + payload.epoch + ' failed', e);
+        payload.timestamp_error = e.message;
+      })
+      .then(() => this.emitReceipt(this.RECEIPT_TYPES.TIMESTAMP_TOKEN, payload))
+      .catch(e => console.error('[RECEIPT_CHAIN] Cannot chain timestamp for epoch ' + payload.epoch, e));
+    return this.timestampQueue;
+  },
+
+  /**
+   * Timestamp token of an anchor: embedded, or from the timestamp_token receipt
+   * chained after it. Returns { token, receipt } (receipt null when embedded),
+   * or null when the anchor has none (yet).
+   */
+  anchorTimestampToken(anchor) {
+    if (anchor.payload.timestamp_token) {
+      return { token: anchor.payload.timestamp_token, receipt: null };
+    }
+    const receipt = this.indexedReceipt(this.timestampIndex, anchor.receipt_hash);
+    return receipt ? { token: receipt.payload.timestamp_token, receipt: receipt } : null;
+  },
+
+  /**
+   * Verify a batch anchor's timestamp token against a trusted TSA certificate
+   * (defaults to the configured authority's). Also reports the gap between the
+   * TSA time and the anchor's self-reported ts.
+   */
+  verifyAnchorTimestamp(anchor, certificate) {
+    const trusted = certificate || (this.timestampAuthority && this.timestampAuthority.certificate);
+    if (!trusted) {
+      return { valid: false, error: 'No trusted TSA certificate' };
+    }
+    if (anchor.receipt_type !== this.RECEIPT_TYPES.BATCH_ANCHOR) {
+      return { valid: false, error: `Not a batch anchor receipt: ${anchor.receipt_type}` };
+    }
+    if (this.payloadHash(anchor) !== anchor.payload_hash || this.envelopeHash(anchor) !== anchor.receipt_hash) {
+      return { valid: false, error: `Anchor receipt ${anchor.receipt_hash} has been altered` };
+    }
+    const found = this.anchorTimestampToken(anchor);
+    if (!found) {
+      return { valid: false, error: anchor.payload.timestamp_error
+        ? `Anchor was not timestamped: ${anchor.payload.timestamp_error}` : 'Anchor has no timestamp token' };
+    }
+    const holder = found.receipt;
+    if (holder && (this.payloadHash(holder) !== holder.payload_hash || this.envelopeHash(holder) !== holder.receipt_hash)) {
+      return { valid: false, error: `Timestamp receipt ${holder.receipt_hash} has been altered` };
+    }
+
+    const check = TimestampAuthority.verifyToken(found.token, trusted, anchor.payload.merkle_root);
+    if (!check.valid) return check;
+    return { ...check, skew_ms: Date.parse(anchor.ts) - Date.parse(check.gen_time) };
+  },
+
+  /**
+   * Anchor automatically every N receipts and/or every T seconds
+   * Interval anchors are skipped while the open epoch is empty; a failed
+   * interval anchor is logged and retried on the next tick.
+   */
+  setAnchorPolicy(policy) {
+    this.clearAnchorPolicy();
+    this.anchorPolicy = { ...policy };
+
+    if (policy.every_seconds) {
+      this.anchorTimer = setInterval(() => {
+        try {
+          if (this.pendingAnchorCount() > 0) {
+            this.anchorBatch({ trigger: 'interval' });
+          }
+        } catch (e) {
+          console.error('[RECEIPT_CHAIN] Automatic anchoring failed', e);
+        }
+      }, policy.every_seconds * 1000);
+      // Never keep a Node process alive just to anchor
+      if (this.anchorTimer.unref) this.anchorTimer.unref();
+    }
+    return this.anchorPolicy;
+  },
+
+  /**
+   * Stop automatic anchoring
+   */
+  clearAnchorPolicy() {
+    if (this.anchorTimer) {
+      clearInterval(this.anchorTimer);
+      this.anchorTimer = null;
+    }
+    this.anchorPolicy = null;
+  },
+
+  /**
+   * Attach an archive backend (see ledger_storage.js) and resume from its manifest
+   * Call before attachStorage(): the stored tail links onto the last checkpoint.
+   */
+  async attachArchive(backend) {
+    const manifest = await backend.getManifest();
+    const superseded = (manifest && manifest.superseded) || [];
+    if (manifest && (manifest.archived_count > 0 || superseded.length > 0)) {
+      if (this.ledgerLength() > 0) {
+        throw new Error(`Cannot attach ${backend.name} archive: the ledger already holds receipts`);
+      }
+      if (manifest.tenant_id !== this.tenantId) {
+        throw new Error(`Archive belongs to tenant ${manifest.tenant_id}, not ${this.tenantId}`);
+      }
+      const hashSuite = manifest.hash_suite || HashSuite.LEGACY;
+      if (manifest.archived_count > 0) {
+        const last = manifest.checkpoints[manifest.checkpoints.length - 1];
+        const tree = MerkleTree.fromFrontier((left, right) => this.merkleHashPair(left, right, hashSuite),
+          manifest.archived_count, manifest.frontier);
+        if (!last || MerkleTree.root(tree) !== last.merkle_root) {
+          throw new Error(`Archive manifest does not reproduce its last checkpoint root`);
+        }
+      }
+      this.hashSuite = hashSuite;
+      this.archivedCount = manifest.archived_count;
+      this.archivedFrontier = manifest.frontier;
+      this.archivedAnchor = manifest.last_anchor;
+      this.checkpoints = manifest.checkpoints;
+      this.supersededLedgers = superseded.map(entry => ({ ...entry, receipts: null }));
+      this.tree = null;
+    }
+    this.archive = backend;
+    return { archived: this.archivedCount, checkpoints: this.checkpoints.length, superseded: superseded.length };
+  },
+
+  /**
+   * What the archive needs to resume this chain (see attachArchive())
+   */
+  archiveManifest() {
+    return {
+      tenant_id: this.tenantId,
+      hash_suite: this.hashSuite,
+      archived_count: this.archivedCount,
+      frontier: this.archivedFrontier,
+      last_anchor: this.archivedAnchor,
+      checkpoints: this.checkpoints,
+      superseded: this.supersededLedgers.map(({ receipts, ...entry }) => entry)
+    };
+  },
+
+  /**
+   * Archive automatically after each anchor once more than `max_receipts` are
+   * in memory, keeping the newest `keep_epochs` (default 1) anchored epochs
+   */
+  setArchivePolicy(policy) {
+    this.archivePolicy = { keep_epochs: 1, ...policy };
+    return this.archivePolicy;
+  },
+
+  clearArchivePolicy() {
+    this.archivePolicy = null;
+  },
+
+  /**
+   * Roll closed epochs out of memory into the archive as one segment
+   * The segment runs up to and including the anchor before the newest
+   * `options.keepEpochs` (default 0) anchored epochs. Memory keeps a checkpoint
+   * (segment root, full-ledger root at the cut, last hash) and the Merkle
+   * frontier; attached storage drops the archived receipts.
+   * Resolves to the checkpoint, or null when no epoch is closed.
+   */
+  archiveEpochs(options = {}) {
+    const run = this.archiveQueue.then(() => this.archiveSegment(options.keepEpochs || 0));
+    this.archiveQueue = run.catch(() => {});
+    return run;
+  },
+
+  async archiveSegment(keepEpochs) {
+    if (!this.archive) {
+      throw new Error('No archive attached');
+    }
+    if (this.anchorIndices.length <= keepEpochs) return null;
+
+    const start = this.archivedCount;
+    const end = this.anchorIndices[this.anchorIndices.length - 1 - keepEpochs] + 1;
+    const receipts = this.ledger.slice(0, end - start);
+    const prevHash = this.archivedHeadHash();
+    const report = this.verifyReceipts(receipts, { prevHash });
+    if (!report.valid) {
+      throw new Error(`Refusing to archive an invalid chain: ${report.error}`);
+    }
+
+    const byType = {};
+    for (const receipt of receipts) {
+      byType[receipt.receipt_type] = (byType[receipt.receipt_type] || 0) + 1;
+    }
+    const anchors = receipts.filter(receipt => receipt.receipt_type === this.RECEIPT_TYPES.BATCH_ANCHOR);
+    const segmentId = `${this.tenantId}_${start}-${end}`;
+    const checkpoint = {
+      segment_id: segmentId,
+      range_start: start,
+      range_end: end,
+      first_epoch: anchors[0].payload.epoch,
+      last_epoch: anchors[anchors.length - 1].payload.epoch,
+      segment_root: report.merkle_root,
+      merkle_root: this.getMerkleRoot(end),
+      last_receipt_hash: receipts[receipts.length - 1].receipt_hash,
+      by_type: byType,
+      archived_at: new Date().toISOString()
+    };
+
+    await this.archive.put({
+      segment_id: segmentId,
+      tenant_id: this.tenantId,
+      range_start: start,
+      range_end: end,
+      prev_hash: prevHash,
+      receipts: receipts
+    });
+    if (this.archivedCount !== start || this.ledger[0] !== receipts[0]) {
+      throw new Error('Ledger changed while archiving');
+    }
+
+    // Drop the archived prefix; receipts emitted meanwhile stay in the tail
+    const tree = this.getTree();
+    this.archivedFrontier = MerkleTree.frontier(tree, end);
+    MerkleTree.prune(tree, end);
+    this.ledger = this.ledger.slice(receipts.length);
+    this.archivedCount = end;
+    this.archivedAnchor = receipts[receipts.length - 1];
+    this.pruneIndexes(end);
+    this.checkpoints.push(checkpoint);
+    this.verifiedLength = Math.max(0, this.verifiedLength - receipts.length);
+    this.verificationIssues = this.verificationIssues
+      .filter(issue => issue.index >= receipts.length)
+      .map(issue => ({ ...issue, index: issue.index - receipts.length }));
+
+    await this.archive.putManifest(this.archiveManifest());
+    if (this.storage) {
+      const storage = this.storage;
+      this.enqueueStorage(() => storage.compact(receipts.length));
+    }
+    console.log('[RECEIPT_CHAIN] Archived ' + receipts.length + ' receipts as ' + segmentId);
+    return checkpoint;
+  },
+
+  /**
+   * Load an archived segment and check it against its checkpoint
+   */
+  async loadArchivedSegment(checkpoint) {
+    if (!this.archive) {
+      throw new Error('No archive attached');
+    }
+    const segment = await this.archive.get(checkpoint.segment_id);
+    if (!segment || !Array.isArray(segment.receipts) ||
+        segment.receipts.length !== checkpoint.range_end - checkpoint.range_start) {
+      throw new Error(`Archived segment ${checkpoint.segment_id} is missing or incomplete`);
+    }
+    const previous = this.checkpoints.find(entry => entry.range_end === checkpoint.range_start);
+    const report = this.verifyReceipts(segment.receipts, { prevHash: previous ? previous.last_receipt_hash : 'GENESIS' });
+    if (!report.valid || report.merkle_root !== checkpoint.segment_root) {
+      throw new Error(`Archived segment ${checkpoint.segment_id} does not match its checkpoint: ` +
+        (report.error || 'segment root differs'));
+    }
+    return segment;
+  },
+
+  /**
+   * Inclusion proof for an archived receipt, loading its segment on demand
+   * Proves the receipt into its segment root (held in the checkpoint) and, when
+   * it lies inside an anchored epoch, into that anchor's signed range_root.
+   * Returns { receipt, proof }
+   */
+  async getArchivedInclusionProof(index) {
+    const checkpoint = this.checkpoints.find(entry => index >= entry.range_start && index < entry.range_end);
+    if (!checkpoint) {
+      throw new Error(`Receipt ${index} is not archived`);
+    }
+    const segment = await this.loadArchivedSegment(checkpoint);
+    const treeOf = receipts => {
+      const tree = MerkleTree.create((left, right) => this.merkleHashPair(left, right));
+      for (const receipt of receipts) MerkleTree.append(tree, receipt.receipt_hash);
+      return tree;
+    };
+
+    const position = index - checkpoint.range_start;
+    const receipt = segment.receipts[position];
+    const proof = {
+      leaf_index: index,
+      leaf_hash: receipt.receipt_hash,
+      segment_id: checkpoint.segment_id,
+      segment: {
+        range_start: checkpoint.range_start,
+        range_end: checkpoint.range_end,
+        path: MerkleTree.inclusionPath(treeOf(segment.receipts), position),
+        root: checkpoint.segment_root
+      },
+      epoch: null
+    };
+
+    const anchor = segment.receipts.find(entry => entry.receipt_type === this.RECEIPT_TYPES.BATCH_ANCHOR &&
+      entry.payload.range_start <= index && index < entry.payload.range_end);
+    if (anchor) {
+      const { range_start: rangeStart, range_end: rangeEnd } = anchor.payload;
+      const covered = segment.receipts.slice(rangeStart - checkpoint.range_start, rangeEnd - checkpoint.range_start);
+      proof.epoch = {
+        epoch: anchor.payload.epoch,
+        range_start: rangeStart,
+        range_end: rangeEnd,
+        path: MerkleTree.inclusionPath(treeOf(covered), index - rangeStart),
+        range_root: anchor.payload.range_root,
+        anchor: anchor
+      };
+    }
+    return { receipt, proof };
+  },
+
+  /**
+   * Verify an archived inclusion proof
+   * The segment root must match a checkpoint (this chain's, unless one is
+   * given); an epoch proof also needs an intact, validly signed anchor.
+   */
+  verifyArchivedInclusionProof(receipt, proof, checkpoint) {
+    if (this.payloadHash(receipt) !== receipt.payload_hash) {
+      return { valid: false, error: 'Payload does not match payload_hash' };
+    }
+    const leaf = this.envelopeHash(receipt);
+    if (leaf !== receipt.receipt_hash || leaf !== proof.leaf_hash) {
+      return { valid: false, error: 'Receipt envelope does not match proof leaf' };
+    }
+
+    const suite = this.suiteOf(receipt);
+    const hashPair = (left, right) => this.merkleHashPair(left, right, suite);
+    const trusted = checkpoint || this.checkpoints.find(entry => entry.segment_id === proof.segment_id);
+    if (!trusted || trusted.segment_root !== proof.segment.root) {
+      return { valid: false, error: `No checkpoint for segment ${proof.segment_id} with this root` };
+    }
+    if (MerkleTree.rootFromPath(leaf, proof.segment.path, hashPair) !== trusted.segment_root) {
+      return { valid: false, error: 'Proof does not lead to the segment root' };
+    }
+
+    if (proof.epoch) {
+      const anchor = proof.epoch.anchor;
+      if (this.payloadHash(anchor) !== anchor.payload_hash || this.envelopeHash(anchor) !== anchor.receipt_hash ||
+          anchor.payload.range_root !== proof.epoch.range_root) {
+        return { valid: false, error: 'Anchor receipt has been altered' };
+      }
+      const signatureIssue = this.checkSignature(anchor);
+      if (signatureIssue) {
+        return { valid: false, error: `Anchor: ${signatureIssue.message}` };
+      }
+      if (MerkleTree.rootFromPath(leaf, proof.epoch.path, hashPair) !== anchor.payload.range_root) {
+        return { valid: false, error: 'Proof does not lead to the anchored epoch root' };
+      }
+    }
+    return { valid: true, leaf_index: proof.leaf_index, segment_id: proof.segment_id,
+      epoch: proof.epoch ? proof.epoch.epoch : null };
+  },
+
+  /**
+   * Hash suite for a chain that holds no receipts yet (a chain with receipts
+   * changes suite through migrateHashSuite())
+   */
+  setHashSuite(suiteId) {
+    HashSuite.assertActive(suiteId);
+    if (suiteId !== this.hashSuite && this.ledgerLength() > 0) {
+      throw new Error(`Chain already holds ${this.hashSuite} receipts; use migrateHashSuite()`);
+    }
+    this.hashSuite = suiteId;
+    this.tree = null;
+    return suiteId;
+  },
+
+  /**
+   * Re-anchor the ledger under another hash suite
+   * Closes the open epoch, then restarts the chain under `suiteId` with a
+   * hash_migration_receipt as its genesis, anchored at once. The migration
+   * commits to the old ledger's root, head and last anchor, and to a `suiteId`
+   * Merkle root over digests of every old receipt (rehash_root), so old
+   * receipts stay provable (getCrossLinkProof()) even if their own suite is
+   * later broken. The old ledger is kept in supersededLedgers, in the archive
+   * when one is attached.
+   * Resolves to { migration, anchor }
+   */
+  async migrateHashSuite(suiteId) {
+    HashSuite.assertActive(suiteId);
+    const fromSuite = this.hashSuite;
+    if (suiteId === fromSuite) {
+      throw new Error(`Chain already uses ${suiteId}`);
+    }
+    if (this.ledgerLength() === 0) {
+      throw new Error('Nothing to migrate; use setHashSuite()');
+    }
+    await this.archiveQueue;
+
+    const report = this.verifyChain();
+    if (!report.valid) {
+      throw new Error(`Refusing to migrate an invalid chain: ${report.error}`);
+    }
+    if (this.pendingAnchorCount() > 0) {
+      const policy = this.archivePolicy;
+      this.archivePolicy = null;
+      this.anchorBatch({ trigger: 'migration' });
+      this.archivePolicy = policy;
+    }
+
+    const head = this.headHash();
+    const receipts = [];
+    for (const checkpoint of this.checkpoints) {
+      receipts.push(...(await this.loadArchivedSegment(checkpoint)).receipts);
+    }
+    receipts.push(...this.ledger);
+    const segmentId = `${this.tenantId}_${fromSuite}_superseded_${this.supersededLedgers.length + 1}`;
+    if (this.archive) {
+      await this.archive.put({
+        segment_id: segmentId,
+        tenant_id: this.tenantId,
+        hash_suite: fromSuite,
+        range_start: 0,
+        range_end: receipts.length,
+        prev_hash: 'GENESIS',
+        receipts: receipts
+      });
+    }
+    if (this.headHash() !== head) {
+      throw new Error('Ledger changed while migrating');
+    }
+
+    const rehash = MerkleTree.create((left, right) => this.merkleHashPair(left, right, suiteId));
+    for (const receipt of receipts) {
+      MerkleTree.append(rehash, this.dualHash(receipt, suiteId));
+    }
+    const entry = {
+      hash_suite: fromSuite,
+      tree_size: receipts.length,
+      merkle_root: this.getMerkleRoot(),
+      segment_id: this.archive ? segmentId : null,
+      receipts: this.archive ? null : receipts
+    };
+    const payload = {
+      from_suite: fromSuite,
+      to_suite: suiteId,
+      prior_tree_size: entry.tree_size,
+      prior_merkle_root: entry.merkle_root,
+      prior_head_hash: head,
+      prior_last_anchor_hash: this.getLastAnchor().receipt_hash,
+      rehash_root: MerkleTree.root(rehash),
+      migrated_at: new Date().toISOString()
+    };
+
+    // Restart the chain under the new suite
+    if (this.storage) {
+      const storage = this.storage;
+      this.enqueueStorage(() => storage.clear());
+    }
+    this.hashSuite = suiteId;
+    this.ledger = [];
+    this.tree = null;
+    this.resetIndexes();
+    this.verifiedLength = 0;
+    this.verificationIssues = [];
+    this.archivedCount = 0;
+    this.archivedFrontier = [];
+    this.archivedAnchor = null;
+    this.checkpoints = [];
+
+    entry.migration = this.emitReceipt(this.RECEIPT_TYPES.HASH_MIGRATION, payload);
+    const anchor = this.anchorBatch({ trigger: 'migration' });
+    this.supersededLedgers.push(entry);
+    if (this.archive) {
+      await this.archive.putManifest(this.archiveManifest());
+    }
+    console.log('[RECEIPT_CHAIN] Migrated ' + entry.tree_size + ' receipts from ' + fromSuite + ' to ' + suiteId);
+    return { migration: entry.migration, anchor };
+  },
+
+  /**
+   * Receipts of a superseded ledger, loaded from the archive if needed
+   */
+  async supersededReceipts(entry) {
+    if (entry.receipts) return entry.receipts;
+    if (!this.archive) {
+      throw new Error('No archive attached');
+    }
+    const segment = await this.archive.get(entry.segment_id);
+    if (!segment || !Array.isArray(segment.receipts) || segment.receipts.length !== entry.tree_size ||
+        this.computeMerkleRoot(segment.receipts) !== entry.merkle_root) {
+      throw new Error(`Superseded ledger ${entry.segment_id} is missing or does not match its root`);
+    }
+    return segment.receipts;
+  },
+
+  /**
+   * Cross-link proof for receipt `index` of a superseded ledger (default: the
+   * most recent) into the migration receipt that re-anchored it
+   * Proves the receipt under the new suite (digest path to rehash_root) and
+   * under its own suite (receipt_hash path to the prior Merkle root). A ledger
+   * migrated twice is proven hop by hop: each migration receipt is receipt 0
+   * of the next superseded ledger.
+   * Returns { receipt, proof, migration }
+   */
+  async getCrossLinkProof(index, generation = this.supersededLedgers.length - 1) {
+    const entry = this.supersededLedgers[generation];
+    if (!entry) {
+      throw new Error(`No superseded ledger ${generation}`);
+    }
+    const receipts = await this.supersededReceipts(entry);
+    if (!Number.isInteger(index) || index < 0 || index >= receipts.length) {
+      throw new Error(`No receipt ${index} in the superseded ${entry.hash_suite} ledger`);
+    }
+
+    const toSuite = entry.migration.payload.to_suite;
+    const rehash = MerkleTree.create((left, right) => this.merkleHashPair(left, right, toSuite));
+    const prior = MerkleTree.create((left, right) => this.merkleHashPair(left, right, entry.hash_suite));
+    for (const receipt of receipts) {
+      MerkleTree.append(rehash, this.dualHash(receipt, toSuite));
+      MerkleTree.append(prior, receipt.receipt_hash);
+    }
+    return {
+      receipt: receipts[index],
+      migration: entry.migration,
+      proof: {
+        leaf_index: index,
+        from_suite: entry.hash_suite,
+        to_suite: toSuite,
+        migration_hash: entry.migration.receipt_hash,
+        rehash: { leaf_hash: MerkleTree.leaf(rehash, index), path: MerkleTree.inclusionPath(rehash, index) },
+        prior: { leaf_hash: receipts[index].receipt_hash, path: MerkleTree.inclusionPath(prior, index), tree_size: receipts.length }
+      }
+    };
+  },
+
+  /**
+   * Verify a cross-link proof against its (signed) migration receipt
+   * Returns { valid, leaf_index, from_suite, to_suite, from_suite_status, error? }
+   */
+  verifyCrossLinkProof(receipt, proof, migration) {
+    const fail = error => ({ valid: false, error });
+    if (!migration || migration.receipt_type !== this.RECEIPT_TYPES.HASH_MIGRATION ||
+        migration.receipt_hash !== proof.migration_hash) {
+      return fail('Not the migration receipt this proof refers to');
+    }
+    if (!HashSuite.has(this.suiteOf(migration)) || this.payloadHash(migration) !== migration.payload_hash ||
+        this.envelopeHash(migration) !== migration.receipt_hash) {
+      return fail('Migration receipt has been altered');
+    }
+    const signatureIssue = this.checkSignature(migration);
+    if (signatureIssue) {
+      return fail(`Migration: ${signatureIssue.message}`);
+    }
+
+    // Under the new suite: the whole receipt, as it was re-anchored
+    const { from_suite: fromSuite, to_suite: toSuite } = migration.payload;
+    const digest = this.dualHash(receipt, toSuite);
+    if (digest !== proof.rehash.leaf_hash ||
+        MerkleTree.rootFromPath(digest, proof.rehash.path, (left, right) => this.merkleHashPair(left, right, toSuite)) !==
+          migration.payload.rehash_root) {
+      return fail(`Receipt is not among those re-anchored under ${toSuite}`);
+    }
+
+    // Under its own suite: its hashes and the prior ledger root
+    if (this.suiteOf(receipt) !== fromSuite || this.payloadHash(receipt) !== receipt.payload_hash ||
+        this.envelopeHash(receipt) !== receipt.receipt_hash) {
+      return fail(`Receipt does not match its ${fromSuite} hashes`);
+    }
+    if (MerkleTree.rootFromPath(receipt.receipt_hash, proof.prior.path,
+      (left, right) => this.merkleHashPair(left, right, fromSuite)) !== migration.payload.prior_merkle_root) {
+      return fail('Proof does not lead to the prior Merkle root');
+    }
+    return {
+      valid: true,
+      leaf_index: proof.leaf_index,
+      from_suite: fromSuite,
+      to_suite: toSuite,
+      from_suite_status: HashSuite.get(fromSuite).status
+    };
+  },
+
+  /**
+   * Verify chain integrity of the current ledger
+   * With { incremental: true } only receipts appended since the last
+   * incremental check are re-hashed; earlier findings are carried forward.
+   */
+  verifyChain(options = {}) {
+    const prevHash = this.archivedHeadHash();
+    const hashSuite = this.hashSuite;
+    if (!options.incremental) {
+      return this.verifyReceipts(this.ledger, { prevHash, hashSuite });
+    }
+
+    const report = this.verifyReceipts(this.ledger, { start: this.verifiedLength, prevHash, hashSuite });
+    this.verificationIssues = this.verificationIssues.concat(report.issues);
+    this.verifiedLength = this.ledger.length;
+    return this.summarizeVerification(this.ledger, this.verificationIssues);
+  },
+
+  /**
+   * Verify a sequence of receipts
+   * Recomputes every payload and envelope hash and checks every prev link.
+   * Each problem is reported with its index and kind:
+   *   payload_edit  - payload no longer matches payload_hash
+   *   envelope_edit - header fields no longer match receipt_hash
+   *   reorder       - receipt links to a receipt that sits elsewhere in the ledger
+   *   deletion      - receipt links to a receipt that is missing from the ledger
+   *   insertion     - receipts spliced in between two linked receipts
+   *   malformed     - receipt is missing envelope fields
+   *   unsigned      - receipt has no signature (when requireSignatures is set)
+   *   unknown_key   - signed with a key that is not in KeyStore
+   *   bad_signature - signature does not verify against its key
+   *   key_mismatch  - key belongs to a different tenant than tenant_id
+   *   hash_suite    - unknown envelope version or hash suite, or not the chain's suite
+   * `options.start` skips receipts before that index (their links are trusted).
+   * `options.signaturesFrom` checks signatures only from that index on.
+   * `options.prevHash` is what the first receipt links to (default 'GENESIS';
+   * an archived chain's tail links to its last checkpoint).
+   * `options.hashSuite` is the suite every receipt must use (default: the first receipt's).
+   */
+  verifyReceipts(receipts, options = {}) {
+    const issues = [];
+    const first = receipts.find(receipt => receipt && typeof receipt === 'object');
+    const chainSuite = options.hashSuite || (first ? this.suiteOf(first) : this.hashSuite);
+
+    // Hash → index lookup, only built once a link is actually broken
+    let positions = null;
+    const positionOf = (hash) => {
+      if (!positions) {
+        positions = new Map();
+        receipts.forEach((receipt, index) => {
+          if (receipt && typeof receipt.receipt_hash === 'string' && !positions.has(receipt.receipt_hash)) {
+            positions.set(receipt.receipt_hash, index);
+          }
+        });
+      }
+      return positions.get(hash);
+    };
+
+    // A receipt is displaced when its own link resolves to a non-adjacent receipt
+    const isDisplaced = (index) => {
+      const link = receipts[index] && positionOf(receipts[index].prev_hash);
+      return link !== undefined && link !== index - 1;
+    };
+
+    for (let i = options.start || 0; i < receipts.length; i++) {
+      const receipt = receipts[i];
+
+      const missing = ['payload', ...this.ENVELOPE_FIELDS, 'receipt_hash']
+        .filter(field => !this.OPTIONAL_ENVELOPE_FIELDS.includes(field))
+        .filter(field => !receipt || receipt[field] === undefined);
+      if (missing.length > 0) {
+        issues.push({ index: i, kind: 'malformed', message: `Missing fields at index ${i}: ${missing.join(', ')}` });
+        continue;
+      }
+
+      // Hashes can only be recomputed under a known envelope version and suite
+      const version = receipt.envelope_version === undefined ? 1 : receipt.envelope_version;
+      const suite = this.suiteOf(receipt);
+      if (!this.SUPPORTED_ENVELOPE_VERSIONS.includes(version) || !HashSuite.has(suite) ||
+          (version === 1) !== (receipt.hash_suite === undefined)) {
+        issues.push({ index: i, kind: 'hash_suite',
+          message: `Unsupported envelope (version ${version}, hash suite ${suite}) at index ${i}` });
+        continue;
+      }
+      if (suite !== chainSuite) {
+        issues.push({ index: i, kind: 'hash_suite', message: `Receipt at index ${i} uses ${suite}, the chain uses ${chainSuite}` });
+      }
+
+      const payloadHash = this.payloadHash(receipt);
+      if (payloadHash !== receipt.payload_hash) {
+        issues.push({ index: i, kind: 'payload_edit', message: `Payload does not match payload_hash at index ${i}`,
+          expected: receipt.payload_hash, found: payloadHash });
+      }
+
+      const receiptHash = this.envelopeHash(receipt);
+      if (receiptHash !== receipt.receipt_hash) {
+        issues.push({ index: i, kind: 'envelope_edit', message: `Envelope does not match receipt_hash at index ${i}`,
+          expected: receipt.receipt_hash, found: receiptHash });
+      }
+
+      const signatureIssue = i >= (options.signaturesFrom || 0) ? this.checkSignature(receipt) : null;
+      if (signatureIssue) {
+        issues.push({ index: i, kind: signatureIssue.kind, message: `${signatureIssue.message} at index ${i}` });
+      }
+
+      // An unreadable predecessor is already reported as malformed
+      if (i > 0 && !receipts[i - 1]) continue;
+      const expectedPrev = i === 0 ? (options.prevHash || 'GENESIS') : receipts[i - 1].receipt_hash;
+      if (receipt.prev_hash === expectedPrev) continue;
+
+      const link = positionOf(receipt.prev_hash);
+      const issue = { index: i, expected: expectedPrev, found: receipt.prev_hash };
+      if (receipt.prev_hash === 'GENESIS') {
+        issue.kind = 'insertion';
+        issue.message = `Second genesis receipt at index ${i}`;
+      } else if (link === undefined) {
+        issue.kind = 'deletion';
+        issue.message = `Receipt(s) missing before index ${i}`;
+      } else if (link >= i) {
+        issue.kind = 'reorder';
+        issue.message = `Receipt at index ${i} links to index ${link}`;
+      } else {
+        const skipped = [];
+        for (let k = link + 1; k < i; k++) skipped.push(k);
+        if (skipped.some(isDisplaced)) {
+          issue.kind = 'reorder';
+          issue.message = `Receipt at index ${i} links to index ${link}`;
+        } else {
+          issue.kind = 'insertion';
+          issue.message = `Receipt(s) inserted at index ${skipped.join(', ')}`;
+          issue.inserted = skipped;
+        }
+      }
+      issues.push(issue);
+    }
+
+    return this.summarizeVerification(receipts, issues);
+  },
+
+  /**
+   * Check a receipt's signature against KeyStore
+   * Returns null when it verifies, otherwise { kind, message }
+   */
+  checkSignature(receipt) {
+    if (receipt.key_id === undefined || receipt.signature === undefined) {
+      return this.requireSignatures
+        ? { kind: 'unsigned', message: 'Receipt is not signed' }
+        : null;
+    }
+
+    const check = KeyStore.verify(receipt.key_id, receipt.receipt_hash, receipt.signature);
+    if (!check.valid) {
+      const message = check.error === 'unknown_key'
+        ? `Signing key ${receipt.key_id} is not in the key store`
+        : `Signature does not verify against ${receipt.key_id}`;
+      return { kind: check.error, message };
+    }
+    if (check.tenant_id !== receipt.tenant_id) {
+      return { kind: 'key_mismatch', message: `Key ${receipt.key_id} belongs to ${check.tenant_id}, not ${receipt.tenant_id}` };
+    }
+    return null;
+  },
+
+  /**
+   * Structured verification report from a list of issues
+   */
+  summarizeVerification(receipts, issues) {
+    const byKind = {};
+    for (const issue of issues) {
+      byKind[issue.kind] = (byKind[issue.kind] || 0) + 1;
+    }
+
+    const report = {
+      valid: issues.length === 0,
+      length: receipts.length,
+      verified_at: new Date().toISOString(),
+      issues: issues,
+      broken_indices: [...new Set(issues.map(issue => issue.index))],
+      by_kind: byKind,
+      merkle_root: issues.length === 0 ? this.computeMerkleRoot(receipts) : null
+    };
+    if (!report.valid) {
+      report.error = issues[0].message;
+    }
+    return report;
+  },
+
+  /**
+   * Verify an exported JSONL ledger
+   * Lines that no longer parse are reported as malformed. A cross-tenant export
+   * is split by tenant_id and each tenant's chain is verified on its own.
+   */
+  verifyExportedLedger(jsonl) {
+    const receipts = jsonl.split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          return null;
+        }
+      });
+
+    // Unreadable lines stay with the tenant of the line before them
+    const groups = new Map();
+    let tenant = null;
+    receipts.forEach((receipt, index) => {
+      if (receipt && typeof receipt.tenant_id === 'string') tenant = receipt.tenant_id;
+      if (!groups.has(tenant)) groups.set(tenant, []);
+      groups.get(tenant).push(index);
+    });
+    if (groups.size <= 1) {
+      return this.verifyReceipts(receipts);
+    }
+
+    const issues = [];
+    const tenants = {};
+    for (const [tenantId, indices] of groups) {
+      const report = this.verifyReceipts(indices.map(index => receipts[index]));
+      tenants[tenantId] = { valid: report.valid, length: report.length, merkle_root: report.merkle_root };
+      for (const issue of report.issues) {
+        issues.push({ ...issue, index: indices[issue.index], tenant_index: issue.index,
+          tenant_id: tenantId, message: `${tenantId}: ${issue.message}` });
+      }
+    }
+    issues.sort((a, b) => a.index - b.index);
+
+    const report = this.summarizeVerification(receipts, issues);
+    report.merkle_root = null;
+    report.tenants = tenants;
+    return report;
+  },
+
+  /**
+   * Import a JSONL ledger (e.g. a partner's exportLedger output)
+   * Every line is parsed, checked against ledger_schema.json and re-hashed, and
+   * the chain is re-verified. The report names the first line that diverges from
+   * a valid chain and where the file departs from the local ledger. A clean file
+   * is adopted when the local ledger is empty or a prefix of it (new receipts are
+   * appended and persisted); { dryRun: true } only checks. Every receipt must
+   * belong to this chain's tenant (import into forTenant(tenant_id)).
+   */
+  importLedger(jsonl, options = {}) {
+    const lines = [];
+    jsonl.split('\n').forEach((text, i) => {
+      if (text.trim() !== '') lines.push({ line: i + 1, text: text });
+    });
+
+    const issues = [];
+    const receipts = lines.map(({ line, text }, index) => {
+      let receipt;
+      try {
+        receipt = JSON.parse(text);
+      } catch (e) {
+        issues.push({ line, index, kind: 'parse', message: `Line ${line} is not valid JSON: ${e.message}` });
+        return null;
+      }
+      for (const error of LedgerSchema.validateReceipt(receipt).errors) {
+        issues.push({ line, index, kind: 'schema', field: error.field, message: `Line ${line}: ${error.field} ${error.message}` });
+      }
+      // Tenants never share a chain: another tenant's receipts go to forTenant(tenant_id)
+      if (receipt && typeof receipt === 'object' && receipt.tenant_id !== this.tenantId) {
+        issues.push({ line, index, kind: 'tenant', message: `Line ${line}: receipt belongs to tenant ${receipt.tenant_id}, not ${this.tenantId}` });
+      }
+      return receipt;
+    });
+
+    for (const issue of this.verifyReceipts(receipts).issues) {
+      if (issue.kind === 'malformed' && receipts[issue.index] === null) continue;
+      const line = lines[issue.index].line;
+      issues.push({ ...issue, line, message: `Line ${line}: ${issue.message}` });
+    }
+    issues.sort((a, b) => a.line - b.line);
+
+    // Compare with the local ledger; an archived prefix is matched by its last hash
+    const localLength = this.ledgerLength();
+    const base = this.archivedCount;
+    let common = 0;
+    if (base > 0 && receipts[base - 1] && receipts[base - 1].receipt_hash === this.archivedHeadHash()) {
+      common = base;
+    }
+    while ((common > 0 || base === 0) && common < localLength && common < receipts.length &&
+           receipts[common] && receipts[common].receipt_hash === this.receiptAt(common).receipt_hash) {
+      common++;
+    }
+    let relation;
+    if (localLength === 0) relation = 'local_empty';
+    else if (common === localLength && common === receipts.length) relation = 'identical';
+    else if (common === localLength) relation = 'extends_local';
+    else if (common === receipts.length) relation = 'prefix_of_local';
+    else relation = 'forked';
+
+    const valid = issues.length === 0;
+    const report = {
+      valid: valid,
+      receipts: receipts.length,
+      issues: issues,
+      first_divergence: valid ? null : { line: issues[0].line, kind: issues[0].kind, message: issues[0].message },
+      local: {
+        relation: relation,
+        common_prefix: common,
+        diverges_at: relation === 'forked' ? {
+          line: lines[common].line,
+          index: common,
+          local_hash: common < base ? null : this.receiptAt(common).receipt_hash,
+          imported_hash: receipts[common] ? receipts[common].receipt_hash : null
+        } : null
+      },
+      adopted: 0
+    };
+
+    if (valid && !options.dryRun && (relation === 'local_empty' || relation === 'extends_local')) {
+      if (relation === 'local_empty' && receipts.length > 0) {
+        this.hashSuite = this.suiteOf(receipts[0]);
+        this.tree = null;
+      }
+      this.assertPersistable();
+      for (const receipt of receipts.slice(common)) {
+        this.ledger.push(receipt);
+        this.indexReceipt(receipt);
+        this.persistReceipt(receipt);
+        this.notifySubscribers(receipt);
+      }
+      this.verifiedLength = this.ledger.length;
+      report.adopted = receipts.length - common;
+    }
+
+    report.merkle_root = this.computeMerkleRoot();
+    return report;
+  },
+
+  /**
+   * Chain for a tenant, created on first use
+   * Tenant chains share these methods but keep their own ledger, Merkle tree,
+   * anchors, storage and signing key, so tenants never see each other's receipts.
+   */
+  forTenant(tenantId) {
+    if (typeof tenantId !== 'string' || tenantId === '') {
+      throw new Error('Tenant id must be a non-empty string');
+    }
+    if (tenantId === ReceiptChain.tenantId) return ReceiptChain;
+
+    if (!this.tenantChains[tenantId]) {
+      const chain = Object.create(ReceiptChain);
+      Object.assign(chain, {
+        tenantId: tenantId,
+        ledger: [],
+        tree: null,
+        verifiedLength: 0,
+        verificationIssues: [],
+        anchorIndices: [],
+        hashIndex: new Map(),
+        profileIndex: new Map(),
+        timestampIndex: new Map(),
+        anchorPolicy: null,
+        anchorTimer: null,
+        timestampQueue: Promise.resolve(),
+        storage: null,
+        storageQueue: Promise.resolve(),
+        storageError: null,
+        archive: null,
+        archiveQueue: Promise.resolve(),
+        archivedCount: 0,
+        archivedFrontier: [],
+        archivedAnchor: null,
+        checkpoints: [],
+        archivePolicy: null,
+        hashSuite: HashSuite.defaultSuite,
+        supersededLedgers: [],
+        quarantine: []
+      });
+      this.tenantChains[tenantId] = chain;
+      console.log('[RECEIPT_CHAIN] Created chain for tenant ' + tenantId);
+    }
+    return this.tenantChains[tenantId];
+  },
+
+  /**
+   * Existing chain for a tenant, or null; unlike forTenant() never creates one
+   */
+  getTenant(tenantId) {
+    if (tenantId === ReceiptChain.tenantId) return ReceiptChain;
+    return Object.prototype.hasOwnProperty.call(this.tenantChains, tenantId) ? this.tenantChains[tenantId] : null;
+  },
+
+  /**
+   * Existing chain for a tenant; throws for a tenant with no chain
+   */
+  requireTenant(tenantId) {
+    const chain = this.getTenant(tenantId);
+    if (!chain) {
+      throw new Error(`Unknown tenant ${tenantId}`);
+    }
+    return chain;
+  },
+
+  /**
+   * Every tenant chain, default tenant included, ordered by tenant id
+   */
+  getTenantChains() {
+    return [ReceiptChain, ...Object.values(this.tenantChains)]
+      .sort((a, b) => (a.tenantId < b.tenantId ? -1 : a.tenantId > b.tenantId ? 1 : 0));
+  },
+
+  /**
+   * Leaf committing to one tenant's root at its current size
+   */
+  tenantRootLeaf(entry, suite = this.hashSuite) {
+    return this.dualHash({ tenant_id: entry.tenant_id, tree_size: entry.tree_size, root: entry.root }, suite);
+  },
+
+  /**
+   * Merkle tree over every tenant's current root, one leaf per tenant
+   */
+  buildSuperRootTree() {
+    const tenants = this.getTenantChains().map(chain => ({
+      tenant_id: chain.tenantId,
+      tree_size: chain.ledgerLength(),
+      root: chain.computeMerkleRoot()
+    }));
+
+    const tree = MerkleTree.create((left, right) => this.merkleHashPair(left, right));
+    for (const entry of tenants) {
+      MerkleTree.append(tree, this.tenantRootLeaf(entry));
+    }
+    return { tenants, tree };
+  },
+
+  /**
+   * Cross-tenant super-root: Merkle root over every tenant's current root
+   * Leaves commit only to (tenant_id, tree_size, root), so the super-root can be
+   * published without revealing any tenant's receipts.
+   */
+  getSuperRoot() {
+    const { tenants, tree } = this.buildSuperRootTree();
+    return {
+      super_root: MerkleTree.root(tree),
+      tenant_count: tenants.length,
+      tenants: tenants,
+      computed_at: new Date().toISOString()
+    };
+  },
+
+  /**
+   * Proof that a tenant's current root is committed to by the super-root
+   * Hands a tenant its own root and sibling hashes only
+   */
+  getTenantRootProof(tenantId) {
+    const { tenants, tree } = this.buildSuperRootTree();
+    const index = tenants.findIndex(entry => entry.tenant_id === tenantId);
+    if (index === -1) {
+      throw new Error(`Unknown tenant ${tenantId}`);
+    }
+    return {
+      ...tenants[index],
+      leaf_index: index,
+      tenant_count: tenants.length,
+      path: MerkleTree.inclusionPath(tree, index),
+      super_root: MerkleTree.root(tree)
+    };
+  },
+
+  /**
+   * Verify a tenant root proof against a published super-root
+   */
+  verifyTenantRootProof(proof, superRoot) {
+    const computed = MerkleTree.rootFromPath(this.tenantRootLeaf(proof), proof.path,
+      (left, right) => this.merkleHashPair(left, right));
+    if (computed !== superRoot) {
+      return { valid: false, error: 'Tenant root is not committed to by the super-root' };
+    }
+    return { valid: true };
+  },
+
+  /**
+   * Anchor every tenant with an open epoch, then commit to all tenant roots
+   * Returns the new anchor receipts by tenant and the resulting super-root
+   */
+  anchorAllTenants(options = {}) {
+    const anchors = {};
+    for (const chain of this.getTenantChains()) {
+      if (chain.pendingAnchorCount() > 0) {
+        anchors[chain.tenantId] = chain.anchorBatch(options);
+      }
+    }
+    return { anchors, ...this.getSuperRoot() };
+  },
+
+  /**
+   * Verdict recorded by a receipt: 'genuine', 'counterfeit', 'inconclusive',
+   * or null when it has none (receipts before verdicts only carry is_genuine)
+   */
+  receiptVerdict(receipt) {
+    const payload = receipt.payload || {};
+    if (typeof payload.verdict === 'string') return payload.verdict.toLowerCase();
+    if (typeof payload.is_genuine === 'boolean') return payload.is_genuine ? 'genuine' : 'counterfeit';
+    return null;
+  },
+
+  /**
+   * Query receipts
+   * filter:  { type, component_id, mode, since, until, tenant, verdict }
+   *   type matches the full or short name (component_verification[_receipt]);
+   *   since/until are ISO8601 bounds (inclusive); tenant is a tenant id or 'all'
+   *   (default: this chain; an unknown tenant matches nothing); verdict is
+   *   'genuine', 'counterfeit' or 'inconclusive'
+   * options: { sort: 'index'|'ts'|'type'|'component_id', order: 'asc'|'desc', offset, limit }
+   * Returns { total, offset, limit, next_offset, partial, archived_skipped, results: [{ tenant_id, index, receipt }] }
+   * Only in-memory receipts are searched: partial is true when the chains have
+   * archived receipts (archived_skipped of them); queryArchive() searches those too.
+   */
+  query(filter = {}, options = {}) {
+    const chains = this.queryChains(filter);
+    const entries = [];
+    for (const chain of chains) {
+      chain.ledger.forEach((receipt, offset) => {
+        entries.push({ tenant_id: chain.tenantId, index: chain.archivedCount + offset, receipt: receipt });
+      });
+    }
+    const skipped = chains.reduce((sum, chain) => sum + chain.archivedCount, 0);
+    return this.matchQuery(entries, filter, options, skipped);
+  },
+
+  /**
+   * query() over archived receipts as well, loading (and checking) every archived segment
+   * Throws when a chain has archived receipts but no archive attached.
+   */
+  async queryArchive(filter = {}, options = {}) {
+    const chains = this.queryChains(filter);
+    const entries = [];
+    for (const chain of chains) {
+      for (const checkpoint of chain.checkpoints) {
+        const segment = await chain.loadArchivedSegment(checkpoint);
+        segment.receipts.forEach((receipt, offset) => {
+          entries.push({ tenant_id: chain.tenantId, index: checkpoint.range_start + offset, receipt: receipt });
+        });
+      }
+      chain.ledger.forEach((receipt, offset) => {
+        entries.push({ tenant_id: chain.tenantId, index: chain.archivedCount + offset, receipt: receipt });
+      });
+    }
+    return this.matchQuery(entries, filter, options, 0);
+  },
+
+  /**
+   * Chains a query filter's tenant selects
+   */
+  queryChains(filter) {
+    if (filter.tenant === 'all') return this.getTenantChains();
+    if (filter.tenant) {
+      const chain = this.getTenant(filter.tenant);
+      return chain ? [chain] : [];
+    }
+    return [this];
+  },
+
+  /**
+   * Filter, sort and page query entries ({ tenant_id, index, receipt }); see query()
+   */
+  matchQuery(entries, filter, options, archivedSkipped) {
+    const type = filter.type && !filter.type.endsWith('_receipt') ? filter.type + '_receipt' : filter.type;
+    const since = filter.since ? Date.parse(filter.since) : null;
+    const until = filter.until ? Date.parse(filter.until) : null;
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      throw new Error('Query since/until must be ISO8601 timestamps');
+    }
+    const verdict = filter.verdict ? filter.verdict.toLowerCase() : null;
+
+    const matches = entries.filter(({ receipt }) => {
+      const payload = receipt.payload || {};
+      if (type && receipt.receipt_type !== type) return false;
+      if (filter.component_id && payload.component_id !== filter.component_id) return false;
+      if (filter.mode && (payload.mode || payload.verification_mode) !== filter.mode) return false;
+      if (since !== null && Date.parse(receipt.ts) < since) return false;
+      if (until !== null && Date.parse(receipt.ts) > until) return false;
+      if (verdict && this.receiptVerdict(receipt) !== verdict) return false;
+      return true;
+    });
+
+    const sortKey = options.sort || 'index';
+    const keyOf = {
+      index: match => match.index,
+      ts: match => match.receipt.ts,
+      type: match => match.receipt.receipt_type,
+      component_id: match => match.receipt.payload.component_id || ''
+    }[sortKey];
+    if (!keyOf) {
+      throw new Error(`Unknown sort key ${sortKey}`);
+    }
+    const direction = options.order === 'desc' ? -1 : 1;
+    matches.sort((a, b) => {
+      const ka = keyOf(a);
+      const kb = keyOf(b);
+      if (ka !== kb) return (ka < kb ? -1 : 1) * direction;
+      // Stable across tenants: tenant id, then ledger position
+      if (a.tenant_id !== b.tenant_id) return a.tenant_id < b.tenant_id ? -1 : 1;
+      return (a.index - b.index) * direction;
+    });
+
+    const offset = Math.max(0, options.offset || 0);
+    const limit = options.limit === undefined ? matches.length : Math.max(0, options.limit);
+    const results = matches.slice(offset, offset + limit);
+    return {
+      total: matches.length,
+      offset: offset,
+      limit: limit,
+      next_offset: offset + results.length < matches.length ? offset + results.length : null,
+      partial: archivedSkipped > 0,
+      archived_skipped: archivedSkipped,
+      results: results
+    };
+  },
+
+  /**
+   * Find an in-memory receipt by its receipt_hash (or a prefix of it) across tenants
+   * Prefixes of HASH_INDEX_PREFIX hex or more are looked up in hashIndex;
+   * shorter ones (typed by hand) scan the ledgers.
+   */
+  findReceipt(hash) {
+    for (const chain of this.getTenantChains()) {
+      let index;
+      if (hash.length >= this.HASH_INDEX_PREFIX) {
+        index = chain.hashIndex.get(hash.substring(0, this.HASH_INDEX_PREFIX));
+      } else {
+        const offset = chain.ledger.findIndex(receipt => receipt.receipt_hash.startsWith(hash));
+        index = offset === -1 ? undefined : chain.archivedCount + offset;
+      }
+      const receipt = index === undefined ? undefined : chain.receiptAt(index);
+      if (receipt && receipt.receipt_hash.startsWith(hash)) {
+        return { tenant_id: chain.tenantId, index: index, receipt: receipt };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Get ledger statistics
+   * { tenant } reports on that tenant's chain (an unknown tenant throws),
+   * { allTenants: true } across every tenant
+   */
+  getStats(options = {}) {
+    if (options.tenant) {
+      return this.requireTenant(options.tenant).getStats();
+    }
+    if (options.allTenants) {
+      return this.getCrossTenantStats();
+    }
+
+    const byType = {};
+    for (const checkpoint of this.checkpoints) {
+      for (const [type, count] of Object.entries(checkpoint.by_type)) {
+        byType[type] = (byType[type] || 0) + count;
+      }
+    }
+    for (const receipt of this.ledger) {
+      byType[receipt.receipt_type] = (byType[receipt.receipt_type] || 0) + 1;
+    }
+
+    return {
+      tenant_id: this.tenantId,
+      total_receipts: this.ledgerLength(),
+      in_memory: this.ledger.length,
+      archived: this.archivedCount,
+      checkpoints: this.checkpoints.length,
+      quarantined: this.quarantine.length,
+      by_type: byType,
+      merkle_root: this.computeMerkleRoot(),
+      chain_valid: this.verifyChain({ incremental: true }).valid
+    };
+  },
+
+  /**
+   * Statistics for every tenant plus cross-tenant totals and the super-root
+   */
+  getCrossTenantStats() {
+    const byTenant = {};
+    const byType = {};
+    let total = 0;
+    let quarantined = 0;
+    for (const chain of this.getTenantChains()) {
+      const stats = chain.getStats();
+      byTenant[chain.tenantId] = stats;
+      total += stats.total_receipts;
+      quarantined += stats.quarantined;
+      for (const [type, count] of Object.entries(stats.by_type)) {
+        byType[type] = (byType[type] || 0) + count;
+      }
+    }
+
+    return {
+      tenant_count: Object.keys(byTenant).length,
+      total_receipts: total,
+      quarantined: quarantined,
+      by_type: byType,
+      by_tenant: byTenant,
+      super_root: this.getSuperRoot().super_root,
+      chain_valid: Object.values(byTenant).every(stats => stats.chain_valid)
+    };
+  },
+
+  /**
+   * Receipts to export, redacted if asked (see exportLedger)
+   * An archived chain exports its in-memory tail; the archive keeps the rest.
+   * An unknown { tenant } throws.
+   */
+  exportReceipts(options = {}) {
+    if (options.tenant) {
+      return this.requireTenant(options.tenant).exportReceipts({ redact: options.redact });
+    }
+    if (options.allTenants) {
+      return this.getTenantChains().flatMap(chain => chain.exportReceipts({ redact: options.redact }));
+    }
+    return this.ledger
+      .map(r => (options.redact ? this.redactReceipt(r, this.redactionsFor(r, options.redact)) : r));
+  },
+
+  /**
+   * Export ledger
+   * { tenant } exports that tenant's chain; { allTenants: true } concatenates
+   * every tenant's chain (each still starts at its own GENESIS).
+   * { redact } withholds payload fields (see redactionsFor); the export still verifies.
+   * { format }: 'jsonl' (default, string), 'csv' (string), 'cbor' (Uint8Array) or
+   * 'bundle' (evidence bundle object); see ledger_export.js
+   */
+  exportLedger(options = {}) {
+    const format = options.format || 'jsonl';
+    if (format === 'bundle') {
+      const chains = options.allTenants ? this.getTenantChains()
+        : [options.tenant ? this.requireTenant(options.tenant) : this];
+      return LedgerExport.createEvidenceBundle(chains, { redact: options.redact });
+    }
+
+    const receipts = this.exportReceipts(options);
+    switch (format) {
+      case 'jsonl':
+        return receipts.map(r => JSON.stringify(r)).join('\n');
+      case 'csv':
+        return LedgerExport.toCSV(receipts);
+      case 'cbor':
+        return LedgerExport.toCBOR(receipts);
+      default:
+        throw new Error(`Unknown export format ${format}`);
+    }
+  },
+
+  /**
+   * Reset ledger, including any attached storage and archive
+   */
+  reset() {
+    if (this.storage) {
+      const storage = this.storage;
+      this.enqueueStorage(() => storage.clear());
+    }
+    if (this.archive) {
+      const archive = this.archive;
+      this.archiveQueue = this.archiveQueue.then(() => archive.clear())
+        .catch(e => console.error('[RECEIPT_CHAIN] Archive clear failed', e));
+    }
+    this.archivedCount = 0;
+    this.archivedFrontier = [];
+    this.archivedAnchor = null;
+    this.checkpoints = [];
+    this.supersededLedgers = [];
     this.ledger = [];
+    this.tree = null;
+    this.verifiedLength = 0;
+    this.verificationIssues = [];
+    this.resetIndexes();
+    this.quarantine = [];
     console.log('[RECEIPT_CHAIN] Ledger reset');
   },
 
@@ -284,7 +2499,7 @@ const ReceiptChain = {
     return {
       type: receipt.receipt_type,
       timestamp: receipt.ts,
-      hash: receipt.payload_hash.substring(0, 24) + '...',
+      hash: receipt.receipt_hash.substring(0, 24) + '...',
       chain_link: receipt.prev_hash === 'GENESIS' ? 'GENESIS' : receipt.prev_hash.substring(0, 12) + '...'
     };
   }
@@ -0,0 +1,210 @@
+/**
+ * SpaceProof Ledger Schema Validator
+ *
+ * Checks receipts against ledger_schema.json:
+ * - Envelope: receipt_type, ts, tenant_id, payload, hashes and chain link,
+ *   plus envelope_version and hash_suite on version 2 envelopes
+ * - Signature: key_id and Ed25519 signature, when present
+ * - Disclosure: payload_salts / payload_redacted; redacted fields are not required
+ * - Payload: required_fields per receipt type, typed by the schema's specs;
+ *   optional_fields are typed the same way when present
+ *
+ * Field specs understood:
+ *   "ISO8601", "string", "string:a|b" (enum), "string:hex", "string:dual_hash",
+ *   "float", "integer", "boolean", "object", "array", [exact list], { nested fields }
+ */
+
+const LedgerSchema = {
+  // Parsed ledger_schema.json (loaded by load() in the browser, require() in Node)
+  schema: null,
+
+  // Fields that live on the receipt envelope rather than in the payload
+  ENVELOPE_FIELDS: ['receipt_type', 'ts', 'tenant_id', 'envelope_version', 'hash_suite', 'key_id',
+    'payload_salts', 'payload_redacted', 'payload_hash', 'prev_hash', 'receipt_hash', 'signature'],
+
+  ISO8601_PATTERN: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+  HEX_PATTERN: /^(0x)?[0-9a-fA-F]+$/,
+  // Any hash suite: 256- or 512-bit hex digests joined with ':'
+  DUAL_HASH_PATTERN: /^([0-9a-f]{64}|[0-9a-f]{128})(:([0-9a-f]{64}|[0-9a-f]{128}))+$/,
+  KEY_ID_PATTERN: /^ed25519:[0-9a-f]{16}$/,
+  SIGNATURE_PATTERN: /^[0-9a-f]{128}$/,
+  SALT_PATTERN: /^[0-9a-f]{32}$/,
+
+  /**
+   * Fetch the schema (browser)
+   */
+  async load(url = '../ledger_schema.json') {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Cannot load ledger schema from ${url}: HTTP ${response.status}`);
+    }
+    return this.use(await response.json());
+  },
+
+  /**
+   * Use an already-parsed schema
+   */
+  use(schema) {
+    this.schema = schema;
+    return schema;
+  },
+
+  /**
+   * Schema entry for a receipt type (e.g. component_verification_receipt, as in
+   * ReceiptChain.RECEIPT_TYPES)
+   */
+  lookup(receiptType) {
+    if (!this.schema) return null;
+    return Object.prototype.hasOwnProperty.call(this.schema.receipt_types, receiptType)
+      ? this.schema.receipt_types[receiptType] : null;
+  },
+
+  /**
+   * Check one value against a field spec; returns an error message or null
+   */
+  checkField(value, spec) {
+    if (Array.isArray(spec)) {
+      const matches = Array.isArray(value) && value.length === spec.length &&
+        spec.every((item, i) => value[i] === item);
+      return matches ? null : `expected ${JSON.stringify(spec)}`;
+    }
+
+    if (typeof spec === 'object' && spec !== null) {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) return 'expected object';
+      const nested = this.checkFields(value, spec, {});
+      return nested.length > 0 ? nested.map(e => `${e.field} ${e.message}`).join('; ') : null;
+    }
+
+    const [base, qualifier] = spec.split(':');
+    switch (base) {
+      case 'ISO8601':
+        return typeof value === 'string' && this.ISO8601_PATTERN.test(value) && !isNaN(Date.parse(value))
+          ? null : 'expected ISO8601 timestamp';
+      case 'float':
+        return typeof value === 'number' && Number.isFinite(value) ? null : 'expected float';
+      case 'integer':
+        return Number.isInteger(value) ? null : 'expected integer';
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'expected boolean';
+      case 'object':
+        return typeof value === 'object' && value !== null && !Array.isArray(value) ? null : 'expected object';
+      case 'array':
+        return Array.isArray(value) ? null : 'expected array';
+      case 'string':
+        if (typeof value !== 'string') return 'expected string';
+        if (qualifier === 'hex') return this.HEX_PATTERN.test(value) ? null : 'expected hex string';
+        if (qualifier === 'dual_hash') return this.DUAL_HASH_PATTERN.test(value) ? null : 'expected dual hash';
+        if (qualifier) {
+          const allowed = qualifier.split('|');
+          return allowed.includes(value) ? null : `expected one of ${allowed.join('|')}`;
+        }
+        return null;
+      default:
+        return `unknown spec ${spec}`;
+    }
+  },
+
+  /**
+   * Check every required field; envelope fields are read from `envelope`
+   */
+  checkFields(payload, fields, envelope) {
+    const errors = [];
+    for (const [field, spec] of Object.entries(fields)) {
+      const source = this.ENVELOPE_FIELDS.includes(field) ? envelope : payload;
+      if (source[field] === undefined) {
+        errors.push({ field, message: 'is required' });
+        continue;
+      }
+      const message = this.checkField(source[field], spec);
+      if (message) errors.push({ field, message });
+    }
+    return errors;
+  },
+
+  /**
+   * Validate a full receipt (envelope + payload)
+   * Returns { valid, errors: [{ field, message }] }
+   */
+  validateReceipt(receipt) {
+    if (!this.schema) {
+      return { valid: false, errors: [{ field: 'schema', message: 'ledger schema not loaded' }] };
+    }
+    if (typeof receipt !== 'object' || receipt === null) {
+      return { valid: false, errors: [{ field: 'receipt', message: 'expected object' }] };
+    }
+
+    const errors = this.checkFields(receipt, {
+      receipt_type: 'string',
+      ts: 'ISO8601',
+      tenant_id: 'string',
+      payload: 'object',
+      payload_hash: 'string:dual_hash',
+      receipt_hash: 'string:dual_hash'
+    }, receipt);
+
+    if (receipt.prev_hash !== 'GENESIS') {
+      const message = this.checkField(receipt.prev_hash, 'string:dual_hash');
+      if (message) errors.push({ field: 'prev_hash', message: message + ' or GENESIS' });
+    }
+
+    // Version 2 envelopes name a hash suite the schema knows
+    const hashStrategy = this.schema.hash_strategy || {};
+    if (receipt.envelope_version !== undefined &&
+        !(hashStrategy.envelope_versions || [1]).includes(receipt.envelope_version)) {
+      errors.push({ field: 'envelope_version', message: `unsupported envelope version ${receipt.envelope_version}` });
+    }
+    if (receipt.hash_suite !== undefined &&
+        !(typeof receipt.hash_suite === 'string' && hashStrategy.suites && hashStrategy.suites[receipt.hash_suite])) {
+      errors.push({ field: 'hash_suite', message: `unknown hash suite ${receipt.hash_suite}` });
+    }
+
+    // Signature fields are optional here; ReceiptChain decides whether unsigned is acceptable
+    if (receipt.key_id !== undefined &&
+        (typeof receipt.key_id !== 'string' || !this.KEY_ID_PATTERN.test(receipt.key_id))) {
+      errors.push({ field: 'key_id', message: 'expected ed25519:<16 hex> key id' });
+    }
+    if (receipt.signature !== undefined &&
+        (typeof receipt.signature !== 'string' || !this.SIGNATURE_PATTERN.test(receipt.signature))) {
+      errors.push({ field: 'signature', message: 'expected 64-byte hex signature' });
+    }
+
+    // Selective disclosure: salts per revealed field, commitments per redacted field
+    for (const [field, pattern, message] of [
+      ['payload_salts', this.SALT_PATTERN, 'expected 16-byte hex salts'],
+      ['payload_redacted', this.DUAL_HASH_PATTERN, 'expected dual hash commitments']
+    ]) {
+      const value = receipt[field];
+      if (value === undefined) continue;
+      if (typeof value !== 'object' || value === null || Array.isArray(value) ||
+          !Object.values(value).every(v => typeof v === 'string' && pattern.test(v))) {
+        errors.push({ field, message });
+      }
+    }
+    const redacted = receipt.payload_redacted && typeof receipt.payload_redacted === 'object' ? receipt.payload_redacted : {};
+
+    const definition = this.lookup(receipt.receipt_type);
+    if (!definition) {
+      errors.push({ field: 'receipt_type', message: `unknown receipt type ${receipt.receipt_type}` });
+    } else if (receipt.payload && typeof receipt.payload === 'object') {
+      const required = {};
+      for (const [field, spec] of Object.entries(definition.required_fields)) {
+        if (!(field in redacted)) required[field] = spec;
+      }
+      errors.push(...this.checkFields(receipt.payload, required, receipt));
+
+      const present = {};
+      for (const [field, spec] of Object.entries(definition.optional_fields || {})) {
+        if (receipt.payload[field] !== undefined) present[field] = spec;
+      }
+      errors.push(...this.checkFields(receipt.payload, present, receipt));
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  LedgerSchema.use(require('../ledger_schema.json'));
+  module.exports = LedgerSchema;
+}
@@ -0,0 +1,112 @@
+/**
+ * SpaceProof Seeded Randomness
+ *
+ * Deterministic random source so any verification can be replayed:
+ * - sfc32 generator, state from cyrb128(seed); seeds are strings
+ *   (randomSeed() gives 128-bit hex)
+ * - Generators expose random() like Math, so Math is the unseeded fallback
+ * - A session generator hands out one child seed per operation (nextSeed());
+ *   receipts record that seed, and create(seed) replays the operation's draws
+ */
+
+const SeededRandom = {
+  ALGORITHM: 'sfc32-cyrb128',
+
+  // Outputs discarded after seeding so nearby seeds diverge
+  WARMUP_ROUNDS: 12,
+
+  /**
+   * Fresh 128-bit hex seed
+   */
+  randomSeed() {
+    const bytes = new Uint8Array(16);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      crypto.getRandomValues(bytes);
+    } else {
+      bytes.set(require('crypto').randomBytes(16));
+    }
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  },
+
+  /**
+   * cyrb128 string hash → four 32-bit words of generator state
+   */
+  seedState(seed) {
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+    for (let i = 0; i < seed.length; i++) {
+      const k = seed.charCodeAt(i);
+      h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+      h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+      h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+      h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= (h2 ^ h3 ^ h4);
+    h2 ^= h1;
+    h3 ^= h1;
+    h4 ^= h1;
+    return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+  },
+
+  /**
+   * Generator for a seed (a fresh random one when omitted)
+   * Returns { seed, algorithm, random(), nextUint32(), bytes(n), nextSeed() }
+   */
+  create(seed = this.randomSeed()) {
+    seed = String(seed);
+    let [a, b, c, d] = this.seedState(seed);
+
+    const nextUint32 = () => {
+      const t = (((a + b) | 0) + d) | 0;
+      d = (d + 1) | 0;
+      a = b ^ (b >>> 9);
+      b = (c + (c << 3)) | 0;
+      c = (c << 21) | (c >>> 11);
+      c = (c + t) | 0;
+      return t >>> 0;
+    };
+    for (let i = 0; i < this.WARMUP_ROUNDS; i++) nextUint32();
+
+    return {
+      seed: seed,
+      algorithm: this.ALGORITHM,
+
+      nextUint32: nextUint32,
+
+      // Float in [0, 1), as Math.random()
+      random() {
+        return nextUint32() / 4294967296;
+      },
+
+      bytes(n) {
+        const out = new Uint8Array(n);
+        for (let i = 0; i < n; i++) out[i] = nextUint32() & 0xff;
+        return out;
+      },
+
+      // 128-bit hex seed for a child generator, taken from this stream
+      nextSeed() {
+        let hex = '';
+        for (let i = 0; i < 4; i++) hex += nextUint32().toString(16).padStart(8, '0');
+        return hex;
+      }
+    };
+  },
+
+  /**
+   * Generator for one operation: an explicit seed replays a recorded one;
+   * otherwise the seed is drawn from `parent` (fresh when there is none)
+   */
+  child(parent, seed) {
+    if (seed !== undefined && seed !== null) return this.create(seed);
+    return this.create(parent ? parent.nextSeed() : this.randomSeed());
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SeededRandom;
+}
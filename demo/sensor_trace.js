@@ -0,0 +1,165 @@
+/**
+ * SpaceProof Sensor Traces
+ *
+ * Raw test-bench output for the entropy estimators (see EntropyEngine.measureTrace):
+ * - Kinds: time_series (samples in time order), spectrum (non-negative power per
+ *   bin), thermal_image (2-D frame, flattened row-major)
+ * - Input: number arrays, typed arrays, 2-D arrays, { kind, samples } objects or
+ *   CSV text (optional header row; ',', ';' or tab separated)
+ * - Windowing: fixed-size windows with a step; binning: equal-width histograms
+ */
+
+const SensorTrace = {
+  KINDS: ['time_series', 'spectrum', 'thermal_image'],
+
+  // Samples per window when none is configured
+  DEFAULT_WINDOW: 1024,
+
+  /**
+   * Parse CSV text into { header, rows } (rows are arrays of numbers)
+   * Blank lines and lines starting with '#' are skipped.
+   */
+  parseCSV(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '' && !line.startsWith('#'));
+    if (lines.length === 0) {
+      throw new Error('Sensor trace CSV is empty');
+    }
+    const delimiter = [',', ';', '\t'].find(d => lines[0].includes(d)) || ',';
+    const split = line => line.split(delimiter).map(cell => cell.trim());
+
+    let header = null;
+    let start = 0;
+    if (split(lines[0]).some(cell => cell === '' || !Number.isFinite(Number(cell)))) {
+      header = split(lines[0]);
+      start = 1;
+    }
+
+    const rows = lines.slice(start).map((line, i) => split(line).map(cell => {
+      const value = Number(cell);
+      if (cell === '' || !Number.isFinite(value)) {
+        throw new Error(`Sensor trace CSV line ${start + i + 1}: '${cell}' is not a number`);
+      }
+      return value;
+    }));
+    if (rows.length === 0) {
+      throw new Error('Sensor trace CSV has no data rows');
+    }
+    return { header, rows };
+  },
+
+  /**
+   * Normalize any accepted input into a trace: { kind, samples, shape }
+   * options.kind overrides the inferred kind (2-D input → thermal_image, else
+   * time_series); options.column picks a CSV column by header name or index
+   * (default: the last column of one- or two-column CSV, e.g. "t,value").
+   */
+  create(input, options = {}) {
+    let kind = options.kind;
+    let rows;
+
+    if (typeof input === 'string') {
+      const { header, rows: csvRows } = this.parseCSV(input);
+      const width = csvRows[0].length;
+      if (csvRows.some(row => row.length !== width)) {
+        throw new Error('Sensor trace CSV rows have different lengths');
+      }
+      if (options.column !== undefined) {
+        const index = typeof options.column === 'number' ? options.column : (header || []).indexOf(options.column);
+        if (index < 0 || index >= width) {
+          throw new Error(`Sensor trace CSV has no column ${options.column}`);
+        }
+        rows = csvRows.map(row => [row[index]]);
+      } else if (width <= 2 && kind !== 'thermal_image') {
+        rows = csvRows.map(row => [row[width - 1]]);
+      } else {
+        rows = csvRows;
+      }
+    } else if (input && !Array.isArray(input) && !ArrayBuffer.isView(input) && typeof input === 'object') {
+      return this.create(input.samples || input.data, { ...options, kind: options.kind || input.kind });
+    } else if (Array.isArray(input) && input.length > 0 && (Array.isArray(input[0]) || ArrayBuffer.isView(input[0]))) {
+      rows = input.map(row => Array.from(row));
+    } else if (Array.isArray(input) || ArrayBuffer.isView(input)) {
+      rows = [Array.from(input)];
+      kind = kind || 'time_series';
+    } else {
+      throw new Error('Sensor trace must be an array, typed array, { samples } object or CSV text');
+    }
+
+    if (rows.some(row => row.length !== rows[0].length)) {
+      throw new Error('Sensor trace rows have different lengths');
+    }
+    const columns = rows[0].length;
+    kind = kind || (columns > 1 ? 'thermal_image' : 'time_series');
+    if (!this.KINDS.includes(kind)) {
+      throw new Error(`Unknown sensor trace kind ${kind}`);
+    }
+
+    const samples = columns === 1 && rows.length > 1 ? rows.map(row => row[0]) : rows.flat();
+    if (samples.length < 2) {
+      throw new Error('Sensor trace needs at least 2 samples');
+    }
+    if (!samples.every(Number.isFinite)) {
+      throw new Error('Sensor trace samples must be finite numbers');
+    }
+    if (kind === 'spectrum' && samples.some(v => v < 0)) {
+      throw new Error('Spectrum power values must be non-negative');
+    }
+
+    return {
+      kind: kind,
+      samples: samples,
+      shape: kind === 'thermal_image' ? [rows.length, columns] : [samples.length]
+    };
+  },
+
+  /**
+   * Split a trace's samples into windows of options.size every options.step
+   * (defaults: DEFAULT_WINDOW, non-overlapping). A trailing partial window is
+   * dropped unless it is the only one.
+   */
+  windows(trace, options = {}) {
+    const samples = trace.samples;
+    const size = Math.min(options.size || this.DEFAULT_WINDOW, samples.length);
+    const step = options.step || size;
+    if (!(size >= 2) || !(step >= 1)) {
+      throw new Error('Window size must be at least 2 and step at least 1');
+    }
+    const out = [];
+    for (let start = 0; start + size <= samples.length; start += step) {
+      out.push(samples.slice(start, start + size));
+    }
+    return out;
+  },
+
+  /**
+   * Equal-width histogram counts over the window's own range
+   * A constant window puts everything in the first bin.
+   */
+  histogram(samples, bins) {
+    const counts = new Array(bins).fill(0);
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of samples) {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    const width = (max - min) / bins;
+    for (const v of samples) {
+      const bin = width > 0 ? Math.min(bins - 1, Math.floor((v - min) / width)) : 0;
+      counts[bin]++;
+    }
+    return counts;
+  },
+
+  /**
+   * Trace description for results and receipts
+   */
+  summary(trace, windowCount) {
+    return { kind: trace.kind, samples: trace.samples.length, shape: trace.shape, windows: windowCount };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SensorTrace;
+}
@@ -0,0 +1,232 @@
+/**
+ * SpaceProof SLO Gate
+ *
+ * Evaluates verifications and location proofs against ledger_schema.json
+ * slo_thresholds (CLAUDEME: every receipt type = SCHEMA + EMIT + TEST + STOPRULE):
+ * - A breach emits an anomaly receipt with metric, baseline, delta and action;
+ *   repeats of a still-active breach are counted on it instead of emitting again
+ * - Every verification is judged on its own against the thresholds
+ * - A breach whose action is 'halt' raises a StopRule, stopping the demo act or
+ *   batch, and every halt is recorded
+ * - Breaches stay active until the same metric passes again for that tenant
+ */
+
+// Sibling modules are shared globals in the browser (see index.html); load them in Node
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.LedgerSchema = globalThis.LedgerSchema || require('./schema_validator.js');
+}
+
+const SloGate = {
+  // Thresholds in use; defaults to the loaded schema's slo_thresholds
+  thresholds: null,
+
+  // Per-metric action overrides, e.g. { confidence_terrestrial: 'escalate' }
+  actions: {},
+
+  // "tenant_id:metric" → most recent unresolved breach
+  active: {},
+
+  /**
+   * SLO rules
+   *   subject: 'verification' (EntropyEngine result) or 'location_proof' (OrbitalSim proof)
+   *   bound:   'min' (value must be >= limit) or 'max' (value must be <= limit)
+   */
+  RULES: [
+    {
+      metric: 'confidence_terrestrial', threshold: 'confidence_terrestrial_min', bound: 'min',
+      subject: 'verification', mode: 'terrestrial', classification: 'degradation', action: 'alert',
+      value: result => result.confidence
+    },
+    {
+      metric: 'confidence_orbital', threshold: 'confidence_orbital_min', bound: 'min',
+      subject: 'verification', mode: 'orbital', classification: 'degradation', action: 'halt',
+      value: result => result.confidence
+    },
+    {
+      metric: 'entropy_noise_terrestrial', threshold: 'entropy_terrestrial_noise', bound: 'max',
+      subject: 'verification', mode: 'terrestrial', classification: 'drift', action: 'alert',
+      value: result => result.entropy.noise_floor
+    },
+    {
+      metric: 'entropy_noise_orbital', threshold: 'entropy_orbital_noise', bound: 'max',
+      subject: 'verification', mode: 'orbital', classification: 'drift', action: 'escalate',
+      value: result => result.entropy.noise_floor
+    },
+    {
+      metric: 'verification_latency', threshold: 'verification_latency_max_ms', bound: 'max',
+      subject: 'verification', classification: 'degradation', action: 'escalate',
+      value: result => Number(result.verification_time_ms)
+    },
+    {
+      metric: 'orbital_latency', threshold: 'orbital_latency_max_ms', bound: 'max',
+      subject: 'location_proof', classification: 'violation', action: 'halt',
+      value: proof => Number(proof.actual_latency_ms)
+    }
+  ],
+
+  /**
+   * Thresholds from an explicit configure() or the loaded ledger schema
+   */
+  getThresholds() {
+    if (this.thresholds) return this.thresholds;
+    return (LedgerSchema.schema && LedgerSchema.schema.slo_thresholds) || {};
+  },
+
+  /**
+   * Override thresholds and/or actions
+   */
+  configure(options = {}) {
+    if (options.thresholds) this.thresholds = { ...this.getThresholds(), ...options.thresholds };
+    if (options.actions) this.actions = { ...this.actions, ...options.actions };
+  },
+
+  /**
+   * Evaluate a subject against every applicable rule
+   * Returns { checked, breaches: [{ metric, threshold, bound, value, limit, delta, classification, action }] }
+   */
+  evaluate(subject, target) {
+    const thresholds = this.getThresholds();
+    const checked = [];
+    const breaches = [];
+
+    for (const rule of this.RULES) {
+      if (rule.subject !== subject) continue;
+      if (rule.mode && target.mode !== rule.mode) continue;
+      const limit = thresholds[rule.threshold];
+      if (typeof limit !== 'number') continue;
+
+      const value = rule.value(target);
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+      checked.push(rule.metric);
+
+      const breached = rule.bound === 'min' ? value < limit : value > limit;
+      if (breached) {
+        breaches.push({
+          metric: rule.metric,
+          threshold: rule.threshold,
+          bound: rule.bound,
+          value: value,
+          limit: limit,
+          delta: Number((value - limit).toFixed(6)),
+          classification: rule.classification,
+          action: this.actions[rule.metric] || rule.action
+        });
+      }
+    }
+    return { checked, breaches };
+  },
+
+  /**
+   * Gate one verification result; see enforce()
+   */
+  checkVerification(chain, result, sourceReceipt) {
+    return this.enforce(chain, 'verification', result, sourceReceipt, {
+      component_id: result.component_id,
+      mode: result.mode
+    });
+  },
+
+  /**
+   * Gate one location proof; see enforce()
+   */
+  checkLocationProof(chain, proof, sourceReceipt) {
+    return this.enforce(chain, 'location_proof', proof, sourceReceipt, {
+      challenge: proof.challenge,
+      altitude_km: proof.altitude_km
+    });
+  },
+
+  /**
+   * Evaluate, emit an anomaly receipt per new breach on `chain`, update active
+   * breaches, and throw a StopRule if any breach calls for a halt
+   * A breach of a metric that is already active only updates it (value,
+   * occurrences), unless it halts: halts are always recorded.
+   */
+  enforce(chain, subject, target, sourceReceipt, context) {
+    const { checked, breaches } = this.evaluate(subject, target);
+    const breached = new Set(breaches.map(breach => breach.metric));
+
+    // Metrics that passed this time resolve their earlier breaches
+    for (const metric of checked) {
+      if (!breached.has(metric)) delete this.active[chain.tenantId + ':' + metric];
+    }
+
+    const anomalies = [];
+    for (const breach of breaches) {
+      const key = chain.tenantId + ':' + breach.metric;
+      const active = this.active[key];
+      if (active && breach.action !== 'halt') {
+        Object.assign(active, { value: breach.value, delta: breach.delta, occurrences: active.occurrences + 1 });
+        continue;
+      }
+
+      const anomaly = chain.emitReceipt(chain.RECEIPT_TYPES.ANOMALY, {
+        metric: breach.metric,
+        baseline: breach.limit,
+        delta: breach.delta,
+        classification: breach.classification,
+        action: breach.action,
+        slo_threshold: breach.threshold,
+        observed: breach.value,
+        subject: subject,
+        ...context,
+        source_receipt_hash: sourceReceipt ? sourceReceipt.receipt_hash : null
+      });
+      this.active[key] = {
+        ...breach,
+        tenant_id: chain.tenantId,
+        subject: subject,
+        ...context,
+        anomaly_receipt_hash: anomaly.receipt_hash,
+        ts: anomaly.ts,
+        occurrences: active ? active.occurrences + 1 : 1
+      };
+      anomalies.push(anomaly);
+    }
+
+    const halts = breaches.filter(breach => breach.action === 'halt');
+    if (halts.length > 0) {
+      throw this.stopRule(halts.map(breach =>
+        `${breach.metric} ${breach.value} ${breach.bound === 'min' ? '<' : '>'} ${breach.limit}`).join('; '), halts, anomalies);
+    }
+    return { checked, breaches, anomalies };
+  },
+
+  /**
+   * StopRule: an Error that halts the surrounding act or batch
+   */
+  stopRule(message, breaches, anomalies = []) {
+    const error = new Error('StopRule: ' + message);
+    error.name = 'StopRule';
+    error.breaches = breaches;
+    error.anomalies = anomalies;
+    return error;
+  },
+
+  isStopRule(error) {
+    return Boolean(error) && error.name === 'StopRule';
+  },
+
+  /**
+   * Unresolved breaches, optionally for one tenant, most recent first
+   */
+  getActiveBreaches(tenantId) {
+    return Object.values(this.active)
+      .filter(breach => !tenantId || breach.tenant_id === tenantId)
+      .sort((a, b) => (a.ts < b.ts ? 1 : a.ts > b.ts ? -1 : 0));
+  },
+
+  /**
+   * Acknowledge breaches (all, or one tenant's)
+   */
+  clearBreaches(tenantId) {
+    for (const key of Object.keys(this.active)) {
+      if (!tenantId || this.active[key].tenant_id === tenantId) delete this.active[key];
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SloGate;
+}
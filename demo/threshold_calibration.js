@@ -0,0 +1,250 @@
+/**
+ * SpaceProof Threshold Calibration
+ *
+ * Per-component-type genuine thresholds from labeled data (is_genuine):
+ * - ROC per type: true-accept rate (genuine passing) against false-accept rate
+ *   (counterfeit passing) at every cut between observed entropies
+ * - Criteria: 'youden' (max TPR - FAR) or 'far' (highest TPR with FAR <= target)
+ * - Result is a threshold profile with a content id; EntropyEngine.setThresholdProfile()
+ *   applies it, the ledger records it once per chain and receipts reference it by id
+ *   (versions only number this browser's saved profiles)
+ * - A profile is calibrated for one estimator's scale (default 'shannon') and one
+ *   mode, on measurements as classify() sees them (thermal noise included), and
+ *   only applies to measurements taken with that estimator in that mode
+ *
+ * Types with too few labels of either class use the profile's pooled default.
+ */
+
+// Sibling modules are shared globals in the browser (see index.html); load them in Node
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.SeededRandom = globalThis.SeededRandom || require('./seeded_random.js');
+  globalThis.CryptoHash = globalThis.CryptoHash || require('./crypto_hash.js');
+  globalThis.CanonicalJSON = globalThis.CanonicalJSON || require('./canonical_json.js');
+  globalThis.EntropyEngine = globalThis.EntropyEngine || require('./entropy_engine.js');
+}
+
+const ThresholdCalibration = {
+  STORAGE_KEY: 'spaceproof_threshold_profiles',
+  CRITERIA: ['youden', 'far'],
+
+  // Labels needed in each class before a type gets its own threshold
+  MIN_PER_CLASS: 3,
+
+  // Simulated measurements per labeled component (traces are measured once)
+  MEASUREMENTS: 5,
+
+  // Saved profiles, oldest first (version = position + 1)
+  profiles: [],
+
+  /**
+   * ROC curve for [{ score, genuine }]
+   * Cuts sit midway between adjacent distinct scores (plus both ends); a part
+   * passes when score >= threshold. Returns { points, auc, genuine, counterfeit }.
+   */
+  rocCurve(samples) {
+    const genuine = samples.filter(s => s.genuine).length;
+    const counterfeit = samples.length - genuine;
+    const scores = [...new Set(samples.map(s => s.score))].sort((a, b) => a - b);
+
+    const cuts = [scores[0] - 0.005];
+    for (let i = 1; i < scores.length; i++) {
+      cuts.push((scores[i - 1] + scores[i]) / 2);
+    }
+    cuts.push(scores[scores.length - 1] + 0.005);
+
+    const points = cuts.map(threshold => {
+      let truePass = 0;
+      let falsePass = 0;
+      for (const s of samples) {
+        if (s.score < threshold) continue;
+        if (s.genuine) truePass++;
+        else falsePass++;
+      }
+      return {
+        threshold: Number(threshold.toFixed(6)),
+        tpr: genuine > 0 ? truePass / genuine : 0,
+        far: counterfeit > 0 ? falsePass / counterfeit : 0
+      };
+    });
+
+    // Trapezoidal area under TPR(FAR), points run from (1,1) down to (0,0)
+    let auc = 0;
+    for (let i = 1; i < points.length; i++) {
+      auc += (points[i - 1].far - points[i].far) * (points[i - 1].tpr + points[i].tpr) / 2;
+    }
+
+    return { points, auc, genuine, counterfeit };
+  },
+
+  /**
+   * Operating point on a curve by criterion
+   * Ties go to the higher threshold (fewer false accepts).
+   */
+  pickThreshold(curve, criterion, farTarget) {
+    let best = null;
+    for (const point of curve.points) {
+      let score;
+      if (criterion === 'youden') {
+        score = point.tpr - point.far;
+      } else if (point.far <= farTarget) {
+        score = point.tpr;
+      } else {
+        continue;
+      }
+      if (best === null || score >= best.score) {
+        best = { ...point, score };
+      }
+    }
+    return {
+      threshold: best.threshold,
+      tpr: best.tpr,
+      far: best.far,
+      youden_j: best.tpr - best.far,
+      auc: curve.auc,
+      genuine: curve.genuine,
+      counterfeit: curve.counterfeit
+    };
+  },
+
+  /**
+   * Calibrate a threshold profile from labeled components
+   * options: criterion ('youden' default, or 'far'), far (target for 'far',
+   * default 0.01), estimator (default 'shannon'), mode ('terrestrial' default, or
+   * 'orbital'), measurements (per component, default MEASUREMENTS), seed (for the
+   * noise draws; recorded in the profile), score(component, rng) (default: the
+   * component's entropy with the mode's thermal noise for shannon, otherwise the
+   * estimator over component.trace).
+   * The profile is not saved or applied; see save() and EntropyEngine.setThresholdProfile().
+   */
+  calibrate(components, options = {}) {
+    const criterion = options.criterion || 'youden';
+    if (!this.CRITERIA.includes(criterion)) {
+      throw new Error(`Unknown calibration criterion ${criterion}`);
+    }
+    const farTarget = options.far !== undefined ? options.far : 0.01;
+    if (criterion === 'far' && !(farTarget >= 0 && farTarget < 1)) {
+      throw new Error('False-accept rate target must be in [0, 1)');
+    }
+    const estimator = options.estimator || 'shannon';
+    if (!EntropyEngine.ESTIMATORS.includes(estimator)) {
+      throw new Error(`Unknown entropy estimator ${estimator}`);
+    }
+    const mode = options.mode || 'terrestrial';
+    if (mode !== 'terrestrial' && mode !== 'orbital') {
+      throw new Error(`Unknown verification mode ${mode}`);
+    }
+    const measurements = options.measurements || this.MEASUREMENTS;
+    if (!(Number.isInteger(measurements) && measurements >= 1)) {
+      throw new Error('Measurements per component must be an integer >= 1');
+    }
+    const rng = SeededRandom.child(EntropyEngine.rng, options.seed);
+    // Score what classify() will see: noisy measurements, never the noise-free entropy
+    const score = options.score || ((component, random) => {
+      if (component.trace) return EntropyEngine.measureTrace(component.trace, { estimator }).value;
+      return estimator === 'shannon' ? EntropyEngine.addThermalNoise(component.entropy, mode, random) : NaN;
+    });
+
+    const labeled = components.filter(c => typeof c.is_genuine === 'boolean');
+    const scored = [];
+    for (const c of labeled) {
+      for (let i = 0; i < (c.trace ? 1 : measurements); i++) {
+        scored.push({ type: c.type, score: score(c, rng), genuine: c.is_genuine });
+      }
+    }
+    const samples = scored.filter(sample => Number.isFinite(sample.score));
+    const pooled = this.rocCurve(samples);
+    if (pooled.genuine === 0 || pooled.counterfeit === 0) {
+      throw new Error('Calibration needs labeled genuine and counterfeit components');
+    }
+
+    // Enough labeled components (not measurements) of each class for a type of its own
+    const labelsOf = (type, genuine) => labeled.filter(c => c.type === type && c.is_genuine === genuine).length;
+    const types = {};
+    for (const type of [...new Set(samples.map(s => s.type))].sort()) {
+      const curve = this.rocCurve(samples.filter(s => s.type === type));
+      if (labelsOf(type, true) >= this.MIN_PER_CLASS && labelsOf(type, false) >= this.MIN_PER_CLASS) {
+        types[type] = this.pickThreshold(curve, criterion, farTarget);
+      }
+    }
+
+    const profile = {
+      version: null,
+      created: new Date().toISOString(),
+      criterion: criterion,
+      far_target: criterion === 'far' ? farTarget : null,
+      estimator: estimator,
+      mode: mode,
+      // Digest of the scored measurements and the seed of their noise, so a
+      // profile can be traced to (and re-derived from) its inputs
+      source: {
+        components: labeled.length,
+        samples: samples.length,
+        measurements: measurements,
+        seed: rng.seed,
+        digest: CryptoHash.sha256(CanonicalJSON.stringify(samples))
+      },
+      default: this.pickThreshold(pooled, criterion, farTarget),
+      types: types
+    };
+    profile.profile_id = this.profileId(profile);
+    return profile;
+  },
+
+  /**
+   * Content id: first 16 hex of SHA-256 over the profile without id, version or date
+   */
+  profileId(profile) {
+    const { profile_id, version, created, ...content } = profile;
+    return 'tp-' + CryptoHash.sha256(CanonicalJSON.stringify(content)).substring(0, 16);
+  },
+
+  /**
+   * Number a profile as the next version and keep it (browser: localStorage)
+   * A profile already saved under its id keeps its version.
+   */
+  save(profile) {
+    if (profile.profile_id !== this.profileId(profile)) {
+      throw new Error('Threshold profile does not match its id');
+    }
+    const existing = this.find(profile.profile_id);
+    if (existing) return existing;
+    profile.version = this.profiles.length + 1;
+    this.profiles.push(profile);
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.profiles));
+    }
+    return profile;
+  },
+
+  /**
+   * Saved profiles (browser: re-read from localStorage, so other tabs' saves show up)
+   */
+  load() {
+    if (typeof localStorage !== 'undefined') {
+      const stored = localStorage.getItem(this.STORAGE_KEY);
+      if (stored) this.profiles = JSON.parse(stored);
+    }
+    return this.profiles;
+  },
+
+  /**
+   * Saved profile by id, or null
+   */
+  find(profileId) {
+    return this.load().find(p => p.profile_id === profileId) || null;
+  },
+
+  /**
+   * Saved profile by version number, or the latest
+   */
+  get(version) {
+    const profiles = this.load();
+    return version === undefined ? profiles[profiles.length - 1] || null
+      : profiles.find(p => p.version === version) || null;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThresholdCalibration;
+}
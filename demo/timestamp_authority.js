@@ -0,0 +1,205 @@
+/**
+ * SpaceProof Timestamp Authority
+ *
+ * RFC 3161-style trusted timestamps for batch anchors:
+ * - A token binds a message imprint (SHA-256 of the anchored Merkle root) to the
+ *   TSA's clock, signed with the TSA's Ed25519 key
+ * - Tokens carry the TSA certificate; verifiers check against a certificate they trust
+ * - createLocal() is a stand-in TSA with a self-signed certificate; any object with
+ *   { name, certificate, timestamp(request) } can replace it (see ReceiptChain.setTimestampAuthority)
+ *
+ * Tokens and certificates are canonical JSON structures, not DER.
+ */
+
+// Sibling modules are shared globals in the browser (see index.html); load them in Node
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.CryptoHash = globalThis.CryptoHash || require('./crypto_hash.js');
+  globalThis.CanonicalJSON = globalThis.CanonicalJSON || require('./canonical_json.js');
+  globalThis.Ed25519 = globalThis.Ed25519 || require('./ed25519.js');
+}
+
+const TimestampAuthority = {
+  // Demo policy OID (private enterprise arc)
+  POLICY_OID: '1.3.6.1.4.1.57264.1.1',
+  HASH_ALGORITHM: 'SHA-256',
+  STORAGE_KEY: 'spaceproof_tsa',
+
+  // Certificate validity for the local stand-in
+  VALIDITY_DAYS: 3650,
+
+  /**
+   * SHA-256 hex of canonical JSON (or of a string as-is)
+   */
+  digest(data) {
+    return CryptoHash.sha256(typeof data === 'string' ? data : CanonicalJSON.stringify(data));
+  },
+
+  /**
+   * Certificate fingerprint: SHA-256 over the whole signed certificate
+   */
+  fingerprint(certificate) {
+    return this.digest(certificate);
+  },
+
+  /**
+   * Timestamp request for a Merkle root
+   */
+  createRequest(merkleRoot, options = {}) {
+    const nonce = new Uint8Array(8);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      crypto.getRandomValues(nonce);
+    } else {
+      nonce.set(require('crypto').randomBytes(8));
+    }
+    return {
+      message_imprint: { hash_algorithm: this.HASH_ALGORITHM, hashed_message: this.digest(merkleRoot) },
+      nonce: CryptoHash.toHex(nonce),
+      cert_req: options.certReq !== false
+    };
+  },
+
+  /**
+   * Self-signed Ed25519 certificate restricted to timestamping
+   */
+  createCertificate(seed, subject, notBefore = new Date()) {
+    const tbs = {
+      version: 1,
+      serial_number: CryptoHash.toHex(Ed25519.randomSeed().subarray(0, 8)),
+      subject: subject,
+      issuer: subject,
+      not_before: notBefore.toISOString(),
+      not_after: new Date(notBefore.getTime() + this.VALIDITY_DAYS * 86400000).toISOString(),
+      public_key_algorithm: 'Ed25519',
+      public_key: CryptoHash.toHex(Ed25519.getPublicKey(seed)),
+      extended_key_usage: ['timeStamping']
+    };
+    return {
+      ...tbs,
+      signature_algorithm: 'Ed25519',
+      signature: CryptoHash.toHex(Ed25519.sign(CanonicalJSON.stringify(tbs), seed))
+    };
+  },
+
+  /**
+   * Local stand-in TSA
+   * Browser: the key and certificate persist in localStorage so earlier tokens keep verifying.
+   */
+  createLocal(options = {}) {
+    const subject = options.subject || 'CN=SpaceProof Local TSA,O=SpaceProof Demo';
+    // An explicit seed gives a throwaway TSA that is never persisted
+    const persist = !options.seed;
+    let state = persist ? this.loadLocalState() : null;
+    if (!state) {
+      const seed = options.seed || Ed25519.randomSeed();
+      state = { seed: CryptoHash.toHex(seed), certificate: this.createCertificate(seed, subject), serial: 0 };
+      if (persist) this.saveLocalState(state);
+    }
+
+    const authority = this;
+    const seed = Ed25519.hexToBytes(state.seed);
+
+    return {
+      name: 'local',
+      certificate: state.certificate,
+
+      /**
+       * Issue a token for a request (see createRequest)
+       */
+      timestamp(request) {
+        if (!request || !request.message_imprint || request.message_imprint.hash_algorithm !== authority.HASH_ALGORITHM) {
+          throw new Error('Timestamp request needs a SHA-256 message imprint');
+        }
+        state.serial = (state.serial || 0) + 1;
+        if (persist) authority.saveLocalState(state);
+        const tstInfo = {
+          version: 1,
+          policy: authority.POLICY_OID,
+          message_imprint: request.message_imprint,
+          serial_number: state.serial,
+          gen_time: new Date().toISOString(),
+          accuracy_ms: 1,
+          nonce: request.nonce,
+          tsa: this.certificate.subject
+        };
+        const token = {
+          tst_info: tstInfo,
+          signature_algorithm: 'Ed25519',
+          signature: CryptoHash.toHex(Ed25519.sign(CanonicalJSON.stringify(tstInfo), seed)),
+          certificate_fingerprint: authority.fingerprint(this.certificate)
+        };
+        if (request.cert_req) {
+          token.certificate = this.certificate;
+        }
+        return token;
+      }
+    };
+  },
+
+  loadLocalState() {
+    if (typeof localStorage === 'undefined') return null;
+    const stored = localStorage.getItem(this.STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  },
+
+  saveLocalState(state) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(state));
+  },
+
+  /**
+   * Check a certificate's self-signature and that it may issue timestamps
+   */
+  verifyCertificate(certificate) {
+    const { signature, signature_algorithm, ...tbs } = certificate;
+    if (signature_algorithm !== 'Ed25519' || certificate.public_key_algorithm !== 'Ed25519') {
+      return { valid: false, error: 'Unsupported certificate algorithm' };
+    }
+    if (!Array.isArray(certificate.extended_key_usage) || !certificate.extended_key_usage.includes('timeStamping')) {
+      return { valid: false, error: 'Certificate is not valid for timestamping' };
+    }
+    const valid = Ed25519.verify(Ed25519.hexToBytes(signature), CanonicalJSON.stringify(tbs),
+      Ed25519.hexToBytes(certificate.public_key));
+    return valid ? { valid: true } : { valid: false, error: 'Certificate signature does not verify' };
+  },
+
+  /**
+   * Verify a token against a trusted TSA certificate and the data it timestamps
+   * Returns { valid, gen_time?, serial_number?, error? }
+   */
+  verifyToken(token, certificate, merkleRoot) {
+    try {
+      const cert = this.verifyCertificate(certificate);
+      if (!cert.valid) return cert;
+
+      if (token.certificate_fingerprint !== this.fingerprint(certificate)) {
+        return { valid: false, error: 'Token was not issued under this certificate' };
+      }
+
+      const info = token.tst_info;
+      if (token.signature_algorithm !== 'Ed25519' ||
+          !Ed25519.verify(Ed25519.hexToBytes(token.signature), CanonicalJSON.stringify(info),
+            Ed25519.hexToBytes(certificate.public_key))) {
+        return { valid: false, error: 'Token signature does not verify' };
+      }
+
+      if (info.message_imprint.hash_algorithm !== this.HASH_ALGORITHM ||
+          info.message_imprint.hashed_message !== this.digest(merkleRoot)) {
+        return { valid: false, error: 'Token does not cover this Merkle root' };
+      }
+
+      const genTime = Date.parse(info.gen_time);
+      if (!(genTime >= Date.parse(certificate.not_before) && genTime <= Date.parse(certificate.not_after))) {
+        return { valid: false, error: 'Token time is outside the certificate validity period' };
+      }
+
+      return { valid: true, gen_time: info.gen_time, serial_number: info.serial_number };
+    } catch (e) {
+      return { valid: false, error: 'Malformed timestamp token: ' + e.message };
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TimestampAuthority;
+}
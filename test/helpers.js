@@ -0,0 +1,36 @@
+/**
+ * Shared setup for the Node tests (npm test)
+ * - Ledger and key files go to a throwaway directory, never the repository
+ * - Per-receipt logging is silenced; warnings and errors still print
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SPACEPROOF_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'spaceproof-test-'));
+process.on('exit', () => fs.rmSync(process.env.SPACEPROOF_DATA_DIR, { recursive: true, force: true }));
+console.log = () => {};
+
+const ReceiptChain = require('../demo/receipt_chain.js');
+
+/**
+ * Emit a demo_launch receipt on a chain
+ */
+function emitLaunch(chain, seed = 'test') {
+  return chain.emitReceipt(chain.RECEIPT_TYPES.DEMO_LAUNCH, {
+    version: '6.0',
+    mode: 'demo',
+    timestamp: new Date().toISOString(),
+    session_seed: seed
+  });
+}
+
+/**
+ * Deep copy of a receipt, so edits never touch the ledger itself
+ */
+function copy(receipt) {
+  return JSON.parse(JSON.stringify(receipt));
+}
+
+module.exports = { ReceiptChain, emitLaunch, copy };
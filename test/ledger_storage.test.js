@@ -0,0 +1,58 @@
+/**
+ * Persistence: a restored ledger is adopted only when it verifies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ReceiptChain, emitLaunch } = require('./helpers.js');
+const LedgerStorage = require('../demo/ledger_storage.js');
+
+// A fresh session of `chain` over the same file: detach, forget, attach again
+async function restart(chain, file) {
+  await chain.detachStorage();
+  chain.reset();
+  return chain.attachStorage(LedgerStorage.jsonlFile(file));
+}
+
+async function storedChain(tenantId) {
+  const file = path.join(LedgerStorage.dataDir(), tenantId + '.jsonl');
+  const chain = ReceiptChain.forTenant(tenantId);
+  await chain.attachStorage(LedgerStorage.jsonlFile(file));
+  for (let i = 0; i < 4; i++) emitLaunch(chain, 'stored-' + i);
+  chain.anchorBatch({ trigger: 'manual' });
+  emitLaunch(chain, 'stored-4');
+  await chain.flush();
+  return { chain, file };
+}
+
+test('ledgers and key files default to the data directory, never the repository', () => {
+  assert.strictEqual(path.dirname(LedgerStorage.jsonlFile().file), LedgerStorage.dataDir());
+  assert.throws(() => LedgerStorage.jsonlFile(path.join(__dirname, '..', 'data', 'receipts.jsonl')), /inside the repository/);
+});
+
+test('a stored ledger is restored on attach', async () => {
+  const { chain, file } = await storedChain('storage-restore');
+  const root = chain.getMerkleRoot();
+  const result = await restart(chain, file);
+  assert.strictEqual(result.attached, true);
+  assert.strictEqual(result.restored, 6);
+  assert.strictEqual(chain.getMerkleRoot(), root);
+  assert.strictEqual(chain.verifyChain().valid, true);
+});
+
+test('a single edited byte in the stored file is refused, before or after the anchor', async () => {
+  const { chain, file } = await storedChain('storage-tamper');
+  const original = fs.readFileSync(file, 'utf8');
+
+  for (const [seed, kind] of [['stored-1', 'payload_edit'], ['stored-4', 'payload_edit']]) {
+    const at = original.indexOf(seed) + seed.length - 1;
+    fs.writeFileSync(file, original.slice(0, at) + '9' + original.slice(at + 1));
+    const result = await restart(chain, file);
+    assert.strictEqual(result.attached, false, `Edit in ${seed} was adopted`);
+    assert.deepStrictEqual(result.report.issues.map(issue => issue.kind), [kind]);
+    assert.strictEqual(chain.ledger.length, 0);
+    assert.throws(() => emitLaunch(chain), /failed verification/);
+  }
+});
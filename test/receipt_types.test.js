@@ -0,0 +1,99 @@
+/**
+ * Receipt types beyond demo_launch: each is emitted schema-valid, chained and verifiable
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ReceiptChain, emitLaunch, copy } = require('./helpers.js');
+const LedgerSchema = require('../demo/schema_validator.js');
+const TimestampAuthority = require('../demo/timestamp_authority.js');
+const ThresholdCalibration = require('../demo/threshold_calibration.js');
+const EntropyEngine = require('../demo/entropy_engine.js');
+const components = require('../data/components.json');
+
+const types = chain => chain.ledger.map(receipt => receipt.receipt_type);
+
+test('every receipt type has a schema entry', () => {
+  for (const type of Object.values(ReceiptChain.RECEIPT_TYPES)) {
+    assert.ok(LedgerSchema.lookup(type), `No schema for ${type}`);
+  }
+});
+
+test('receipts that break the schema are quarantined with an anomaly receipt', () => {
+  const chain = ReceiptChain.forTenant('types-schema');
+  const result = chain.emitReceipt(chain.RECEIPT_TYPES.DEMO_LAUNCH, { version: '6.0' });
+  assert.strictEqual(result.quarantined, true);
+  assert.deepStrictEqual(types(chain), ['anomaly_receipt']);
+  assert.strictEqual(chain.ledger[0].payload.action, 'quarantine');
+  assert.strictEqual(chain.quarantine.length, 1);
+});
+
+test('batch anchors carry a timestamp token that verifies against the TSA certificate', async () => {
+  const chain = ReceiptChain.forTenant('types-tsa');
+  const local = TimestampAuthority.createLocal({ seed: new Uint8Array(32).fill(7) });
+  // Asynchronous authorities chain a timestamp_token receipt after the anchor
+  chain.setTimestampAuthority({
+    name: 'async-local',
+    certificate: local.certificate,
+    timestamp: request => Promise.resolve(local.timestamp(request))
+  });
+  emitLaunch(chain);
+  const anchor = chain.anchorBatch({ trigger: 'manual' });
+  await chain.timestampQueue;
+
+  assert.deepStrictEqual(types(chain), ['demo_launch_receipt', 'batch_anchor_receipt', 'timestamp_token_receipt']);
+  assert.strictEqual(chain.ledger[2].payload.anchor_hash, anchor.receipt_hash);
+  assert.strictEqual(chain.anchorTimestampToken(anchor).receipt, chain.ledger[2]);
+  assert.strictEqual(chain.verifyAnchorTimestamp(anchor).valid, true);
+  assert.strictEqual(chain.verifyChain().valid, true);
+
+  const other = TimestampAuthority.createLocal({ seed: new Uint8Array(32).fill(9) });
+  assert.strictEqual(chain.verifyAnchorTimestamp(anchor, other.certificate).valid, false);
+});
+
+test('verifying with a calibrated profile records the profile once', () => {
+  const chain = ReceiptChain.forTenant('types-profile');
+  const profile = ThresholdCalibration.save(ThresholdCalibration.calibrate(components, { seed: 'profile-test' }));
+  EntropyEngine.setThresholdProfile(profile);
+  try {
+    for (const component of components.slice(0, 2)) {
+      const result = EntropyEngine.verifyComponent(component, 'terrestrial', { seed: 'verify-' + component.id });
+      chain.emitVerificationReceipt(result);
+    }
+  } finally {
+    EntropyEngine.setThresholdProfile(null);
+  }
+
+  const recorded = chain.ledger.filter(receipt => receipt.receipt_type === chain.RECEIPT_TYPES.THRESHOLD_PROFILE);
+  assert.strictEqual(recorded.length, 1);
+  assert.strictEqual(recorded[0].payload.profile_id, profile.profile_id);
+  assert.strictEqual(recorded[0].payload.mode, 'terrestrial');
+  assert.strictEqual(ThresholdCalibration.profileId(recorded[0].payload.profile), profile.profile_id);
+  assert.deepStrictEqual(ReceiptChain.findThresholdProfile(profile.profile_id), recorded[0].payload.profile);
+  assert.strictEqual(chain.verifyChain().valid, true);
+});
+
+test('hash suite migration chains a hash_migration receipt with cross-link proofs', async () => {
+  const chain = ReceiptChain.forTenant('types-migration');
+  emitLaunch(chain, 'before-0');
+  emitLaunch(chain, 'before-1');
+  const prior = chain.ledger.map(copy);
+
+  const { migration } = await chain.migrateHashSuite('sha512-blake3');
+  assert.deepStrictEqual(types(chain), ['hash_migration_receipt', 'batch_anchor_receipt']);
+  assert.strictEqual(migration.payload.from_suite, 'sha256-blake3');
+  // The open epoch is anchored under the old suite before the chain restarts
+  const superseded = await chain.supersededReceipts(chain.supersededLedgers[0]);
+  assert.deepStrictEqual(superseded.slice(0, 2), prior);
+  assert.strictEqual(superseded[2].payload.trigger, 'migration');
+  assert.strictEqual(migration.payload.prior_head_hash, superseded[2].receipt_hash);
+  assert.strictEqual(chain.verifyChain().valid, true);
+
+  const { receipt, proof } = await chain.getCrossLinkProof(1);
+  assert.deepStrictEqual(receipt, prior[1]);
+  assert.strictEqual(chain.verifyCrossLinkProof(receipt, proof, migration).valid, true);
+
+  const forged = copy(receipt);
+  forged.payload.session_seed = 'forged';
+  assert.strictEqual(chain.verifyCrossLinkProof(forged, proof, migration).valid, false);
+});
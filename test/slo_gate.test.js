@@ -0,0 +1,74 @@
+/**
+ * Stop rules: SLO breaches emit anomaly receipts, and halt-level breaches throw a StopRule
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ReceiptChain } = require('./helpers.js');
+const SloGate = require('../demo/slo_gate.js');
+const EntropyEngine = require('../demo/entropy_engine.js');
+const OrbitalSim = require('../demo/orbital_sim.js');
+const components = require('../data/components.json');
+
+const anomalies = chain => chain.ledger.filter(receipt => receipt.receipt_type === chain.RECEIPT_TYPES.ANOMALY);
+
+function verification(mode, confidence) {
+  const result = EntropyEngine.verifyComponent(components[0], mode, { seed: 'slo-' + mode });
+  return { ...result, confidence: confidence, verification_time_ms: '1.0' };
+}
+
+test('the canonical thresholds come from the ledger schema', () => {
+  const thresholds = SloGate.getThresholds();
+  assert.strictEqual(thresholds.confidence_terrestrial_min, 0.85);
+  assert.strictEqual(thresholds.confidence_orbital_min, 0.95);
+  assert.strictEqual(thresholds.orbital_latency_max_ms, 10);
+});
+
+test('orbital confidence below its minimum halts after recording the anomaly', () => {
+  const chain = ReceiptChain.forTenant('slo-orbital');
+  assert.throws(() => chain.emitVerificationReceipt(verification('orbital', 0.9)), error => {
+    assert.ok(SloGate.isStopRule(error));
+    assert.deepStrictEqual(error.breaches.map(breach => breach.metric), ['confidence_orbital']);
+    assert.strictEqual(error.anomalies[0], anomalies(chain)[0]);
+    return true;
+  });
+  const [anomaly] = anomalies(chain);
+  assert.strictEqual(anomaly.payload.action, 'halt');
+  assert.strictEqual(anomaly.payload.baseline, 0.95);
+  assert.strictEqual(anomaly.payload.source_receipt_hash, chain.ledger[0].receipt_hash);
+
+  // Halts are recorded every time, even while the breach is still active
+  assert.throws(() => chain.emitVerificationReceipt(verification('orbital', 0.9)), SloGate.isStopRule.bind(SloGate));
+  assert.strictEqual(anomalies(chain).length, 2);
+  assert.strictEqual(chain.verifyChain().valid, true);
+});
+
+test('an orbital round trip slower than the SLO halts the proof', async () => {
+  const chain = ReceiptChain.forTenant('slo-latency');
+  // A medium Earth orbit node cannot answer inside 10 ms
+  const node = { ...OrbitalSim.DEFAULT_NODE, altitude_km: 20200 };
+  const proof = await OrbitalSim.generateLocationProof(node, { seed: 'slo-latency' });
+  assert.strictEqual(proof.latency_valid, true);
+
+  assert.throws(() => chain.emitLocationProofReceipt(proof), error => {
+    assert.ok(SloGate.isStopRule(error));
+    assert.deepStrictEqual(error.breaches.map(breach => breach.metric), ['orbital_latency']);
+    return true;
+  });
+  assert.deepStrictEqual(chain.ledger.map(receipt => receipt.receipt_type), ['location_proof_receipt', 'anomaly_receipt']);
+});
+
+test('non-halting breaches alert once and resolve when the metric passes', () => {
+  const chain = ReceiptChain.forTenant('slo-terrestrial');
+  chain.emitVerificationReceipt(verification('terrestrial', 0.8));
+  chain.emitVerificationReceipt(verification('terrestrial', 0.7));
+  assert.strictEqual(anomalies(chain).length, 1);
+  assert.strictEqual(anomalies(chain)[0].payload.action, 'alert');
+
+  const [active] = SloGate.getActiveBreaches('slo-terrestrial');
+  assert.strictEqual(active.metric, 'confidence_terrestrial');
+  assert.strictEqual(active.occurrences, 2);
+
+  chain.emitVerificationReceipt(verification('terrestrial', 0.99));
+  assert.deepStrictEqual(SloGate.getActiveBreaches('slo-terrestrial'), []);
+});
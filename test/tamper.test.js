@@ -0,0 +1,91 @@
+/**
+ * Tamper evidence: every edit to a chained receipt is reported at its index
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ReceiptChain, emitLaunch, copy } = require('./helpers.js');
+
+function chainOf(tenantId, length) {
+  const chain = ReceiptChain.forTenant(tenantId);
+  for (let i = 0; i < length; i++) emitLaunch(chain, 'seed-' + i);
+  return chain;
+}
+
+test('an untouched chain verifies', () => {
+  const chain = chainOf('tamper-clean', 3);
+  const report = chain.verifyChain();
+  assert.strictEqual(report.valid, true);
+  assert.deepStrictEqual(report.issues, []);
+  assert.strictEqual(report.merkle_root, chain.getMerkleRoot());
+});
+
+test('every single-byte edit of a receipt that still parses is caught', () => {
+  const chain = chainOf('tamper-bytes', 2);
+  const [first, second] = chain.ledger;
+  const line = JSON.stringify(second);
+  let edits = 0;
+
+  for (let i = 0; i < line.length; i++) {
+    const edited = line.slice(0, i) + (line[i] === 'a' ? 'b' : 'a') + line.slice(i + 1);
+    let receipt;
+    try {
+      receipt = JSON.parse(edited);
+    } catch (e) {
+      continue;
+    }
+    edits++;
+    const report = chain.verifyReceipts([receipt], { prevHash: first.receipt_hash });
+    assert.strictEqual(report.valid, false, `Edit at byte ${i} went unnoticed: ${edited.slice(Math.max(0, i - 20), i + 20)}`);
+    assert.deepStrictEqual(report.broken_indices, [0]);
+  }
+  assert.ok(edits > line.length / 2, `Only ${edits} of ${line.length} edits parsed`);
+});
+
+test('edits are classified by what they break', () => {
+  const chain = chainOf('tamper-kinds', 3);
+  const verifyWith = (index, edit) => {
+    const receipts = chain.ledger.map(copy);
+    edit(receipts[index]);
+    return chain.verifyReceipts(receipts);
+  };
+  const kinds = report => report.issues.map(issue => `${issue.index}:${issue.kind}`);
+
+  assert.deepStrictEqual(kinds(verifyWith(1, r => { r.payload.session_seed = 'forged'; })), ['1:payload_edit']);
+  assert.deepStrictEqual(kinds(verifyWith(1, r => { r.ts = '2020-01-01T00:00:00.000Z'; })), ['1:envelope_edit']);
+
+  const resigned = verifyWith(1, r => { r.signature = chain.ledger[0].signature; });
+  assert.deepStrictEqual(kinds(resigned), ['1:bad_signature']);
+
+  // Rehashing a forged receipt still breaks its signature and the next link
+  const rehashed = verifyWith(1, r => {
+    r.payload.session_seed = 'forged';
+    r.payload_hash = chain.payloadHash(r);
+    r.receipt_hash = chain.envelopeHash(r);
+  });
+  assert.deepStrictEqual(kinds(rehashed), ['1:bad_signature', '2:deletion']);
+});
+
+test('deleted and reordered receipts are reported', () => {
+  const chain = chainOf('tamper-order', 4);
+  const [r0, r1, r2, r3] = chain.ledger;
+
+  const deleted = chain.verifyReceipts([r0, r2, r3]);
+  assert.deepStrictEqual(deleted.issues.map(issue => [issue.index, issue.kind]), [[1, 'deletion']]);
+
+  const swapped = chain.verifyReceipts([r0, r2, r1, r3]);
+  assert.strictEqual(swapped.valid, false);
+  assert.ok(swapped.issues.every(issue => issue.kind === 'reorder'));
+});
+
+test('an exported ledger with a single edited byte fails verification', () => {
+  const chain = chainOf('tamper-export', 3);
+  const jsonl = chain.exportLedger();
+  assert.strictEqual(chain.verifyExportedLedger(jsonl).valid, true);
+
+  const at = jsonl.indexOf('seed-1') + 'seed-'.length;
+  const edited = jsonl.slice(0, at) + '7' + jsonl.slice(at + 1);
+  const report = chain.verifyExportedLedger(edited);
+  assert.strictEqual(report.valid, false);
+  assert.deepStrictEqual(report.broken_indices, [1]);
+});